@@ -6,6 +6,25 @@ const config = {
         endpoints: {
             chat: '/chat',
             health: '/health',
+            conversations: '/conversations',
+            plans: '/plans',
+            workouts: '/workouts',
+            auth: '/auth',
+            profile: '/profile',
+            nutrition: '/nutrition',
+            schedule: '/schedule',
+        },
+        // Stream assistant replies token-by-token over Server-Sent Events
+        streaming: import.meta.env.VITE_STREAMING !== 'false',
+        // AI requests give up after this long (a streamed reply only until it starts;
+        // after that the server's LLM_TIMEOUT_MS applies)
+        timeoutMs: Number(import.meta.env.VITE_REQUEST_TIMEOUT_MS) || 90000,
+        // Network errors and 429 responses are retried with exponential backoff and jitter
+        // (5xx too, except for chat requests, which may have had side effects)
+        retry: {
+            maxRetries: 3,
+            baseDelayMs: 500,
+            maxDelayMs: 8000
         }
     },
 
@@ -16,6 +35,33 @@ const config = {
         debug: import.meta.env.VITE_DEV === 'true' ?? true
     },
 
+    // Browser storage keys
+    storage: {
+        conversationId: 'gymBuddy.conversationId',
+        clientId: 'gymBuddy.clientId',
+        profile: 'gymBuddy.profile',
+        outbox: 'gymBuddy.outbox'
+    },
+
+    // Offline mode
+    offline: {
+        // Registered in production builds only (it would cache the dev server's modules)
+        serviceWorker: 'sw.js',
+        // Last copy of API reads, kept by the service worker (name matches public/sw.js)
+        apiCache: 'gym-buddy-api',
+        // How often to check whether the backend is back while offline
+        healthCheckMs: 15000
+    },
+
+    // Coach personas selectable in the chatting stage (IDs match server/personas.js)
+    coachPersonas: [
+        { id: 'supportive', name: 'Supportive', description: 'Warm, patient and encouraging' },
+        { id: 'no-nonsense', name: 'No-nonsense', description: 'Direct, brief and demanding' },
+        { id: 'technical', name: 'Technical', description: 'Explains the science and the numbers' },
+        { id: 'beginner-friendly', name: 'Beginner-friendly', description: 'Plain language, one step at a time' }
+    ],
+    defaultPersona: 'supportive',
+
     // App stages for stage management
     stages: {
         WELCOME: 'welcome',
@@ -24,32 +70,174 @@ const config = {
         CHATTING: 'chatting'   
     },
 
-    // Onboarding questions (can render dynamically)
+    // Onboarding questions (rendered dynamically by type)
+    // Types: select, checkbox, number (optionally with units), text, slider, multi-step (a group of steps)
+    // showIf: only ask when an earlier answer matches ({ question, equals | includes | oneOf })
+    // optional: the question may be skipped
+    // exclusiveOption: a checkbox option that can't be combined with others (e.g. 'None')
     onboarding: {
         questions: [
+          {
+            id: 'name',
+            type: 'text',
+            label: 'Name',
+            question: 'First things first, what should I call you?',
+            placeholder: 'Your first name',
+            minLength: 1,
+            maxLength: 50
+          },
           {
             id: 'goals',
             type: 'select',
+            label: 'Goals',
             question: 'What are your primary fitness goals?',
             options: ['Weight Loss', 'Muscle Building', 'General Fitness', 'Strength Training', 'Endurance']
           },
+          {
+            id: 'runningExperience',
+            type: 'select',
+            label: 'Running Experience',
+            question: 'How much running do you do right now?',
+            options: ['New to running', 'Run occasionally', 'Run regularly', 'Training for a race'],
+            showIf: { question: 'goals', includes: 'Endurance' }
+          },
+          {
+            id: 'weeklyDistance',
+            type: 'number',
+            label: 'Weekly Running Distance',
+            question: 'Roughly how far do you run in a typical week?',
+            units: ['km', 'mi'],
+            limits: {
+                km: { min: 0, max: 300 },
+                mi: { min: 0, max: 190 }
+            },
+            step: 0.5,
+            showIf: { question: 'runningExperience', oneOf: ['Run occasionally', 'Run regularly', 'Training for a race'] }
+          },
           {
             id: 'level',
             type: 'select',
+            label: 'Fitness Level',
             question: 'What is your current fitness level?',
             options: ['Beginner', 'Intermediate', 'Advanced']
           },
+          {
+            id: 'bodyMetrics',
+            type: 'multi-step',
+            label: 'Body Metrics',
+            question: 'A few body metrics so advice and calorie numbers fit you',
+            steps: [
+              {
+                id: 'age',
+                type: 'number',
+                label: 'Age',
+                question: 'How old are you?',
+                min: 13,
+                max: 100,
+                integer: true,
+                suffix: 'years'
+              },
+              {
+                id: 'sex',
+                type: 'select',
+                label: 'Sex',
+                question: 'What sex should calorie estimates use?',
+                options: ['Male', 'Female', 'Prefer not to say']
+              },
+              {
+                id: 'height',
+                type: 'number',
+                label: 'Height',
+                question: 'How tall are you?',
+                units: ['cm', 'in'],
+                limits: {
+                    cm: { min: 100, max: 250 },
+                    in: { min: 39, max: 99 }
+                },
+                step: 0.5
+              },
+              {
+                id: 'weight',
+                type: 'number',
+                label: 'Weight',
+                question: 'What do you weigh?',
+                units: ['kg', 'lb'],
+                limits: {
+                    kg: { min: 30, max: 300 },
+                    lb: { min: 66, max: 660 }
+                },
+                step: 0.5
+              }
+            ]
+          },
+          {
+            id: 'conditions',
+            type: 'checkbox',
+            label: 'Injuries & Conditions',
+            question: 'Do you have any injuries or health conditions I should plan around?',
+            options: [
+                'None',
+                'Knee pain or injury',
+                'Lower back pain',
+                'Shoulder injury',
+                'Wrist or elbow pain',
+                'Pregnancy',
+                'High blood pressure',
+                'Heart condition',
+                'Diabetes',
+                'Asthma'
+            ],
+            exclusiveOption: 'None'
+          },
           {
             id: 'equipment',
             type: 'checkbox',
+            label: 'Available Equipment',
             question: 'What equipment do you have access to?',
             options: ['Gym Membership', 'Home Weights', 'Resistance Bands', 'No Equipment']
           },
           {
             id: 'time',
             type: 'select',
+            label: 'Workout Duration',
             question: 'How much time can you dedicate per workout?',
             options: ['15-30 minutes', '30-45 minutes', '45-60 minutes', '60+ minutes']
+          },
+          {
+            id: 'schedule',
+            type: 'multi-step',
+            label: 'Schedule',
+            question: 'Let\'s plan your training week',
+            steps: [
+              {
+                id: 'daysPerWeek',
+                type: 'slider',
+                label: 'Days per week',
+                question: 'How many days per week can you train?',
+                min: 1,
+                max: 7,
+                step: 1,
+                default: 3,
+                suffix: 'days'
+              },
+              {
+                id: 'timeOfDay',
+                type: 'select',
+                label: 'Time of day',
+                question: 'When do you usually train?',
+                options: ['Morning', 'Midday', 'Evening', 'It varies']
+              }
+            ]
+          },
+          {
+            id: 'notes',
+            type: 'text',
+            label: 'Notes',
+            question: 'Anything else your coach should know?',
+            placeholder: 'e.g. I prefer compound lifts, I train with a friend...',
+            maxLength: 300,
+            multiline: true,
+            optional: true
           }
         ]
     }    
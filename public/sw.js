@@ -0,0 +1,108 @@
+// Service worker
+// Caches the app shell so the app opens offline, and keeps the last copy of API reads
+// (profile, threads, workout logs, schedule) to fall back on when the backend can't be reached
+
+// Bump to drop the cached shell after a change to this file
+const VERSION = 'v1';
+const SHELL_CACHE = `gym-buddy-shell-${VERSION}`;
+// Matches config.offline.apiCache (the page clears it on sign-out)
+const API_CACHE = 'gym-buddy-api';
+
+const SHELL_FILES = ['./', 'index.html', 'manifest.webmanifest', 'icon.svg'];
+
+// Never answered from the cache: the app uses it to tell whether it is online
+const UNCACHED_API_PATHS = ['/api/health'];
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        caches.open(SHELL_CACHE)
+            .then(cache => cache.addAll(SHELL_FILES))
+            .then(() => self.skipWaiting())
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(keys
+                .filter(key => key.startsWith('gym-buddy-shell-') && key !== SHELL_CACHE)
+                .map(key => caches.delete(key))))
+            .then(() => self.clients.claim())
+    );
+});
+
+/**
+ * Try the network and keep a copy; use the copy when the network fails
+ * @param {Request} request - GET request
+ * @param {string} cacheName - Cache to read and fill
+ * @param {Request|string} [fallbackKey] - Cached entry to use instead of the request itself
+ * @returns {Promise<Response>} Response
+ */
+async function networkFirst(request, cacheName, fallbackKey = request) {
+    const cache = await caches.open(cacheName);
+
+    try {
+        const response = await fetch(request);
+        if (response.ok) {
+            cache.put(fallbackKey, response.clone());
+        }
+        return response;
+    } catch (error) {
+        const cached = await cache.match(fallbackKey);
+        if (cached) {
+            return cached;
+        }
+        throw error;
+    }
+}
+
+/**
+ * Answer from the cache, fetching (and keeping) what isn't cached yet
+ * Built assets have hashed names, so a cached copy never goes stale
+ * @param {Request} request - GET request
+ * @returns {Promise<Response>} Response
+ */
+async function cacheFirst(request) {
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request);
+    if (cached) {
+        return cached;
+    }
+
+    const response = await fetch(request);
+    if (response.ok || response.type === 'opaque') {
+        cache.put(request, response.clone());
+    }
+    return response;
+}
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') {
+        return;
+    }
+
+    const url = new URL(request.url);
+
+    if (url.pathname.includes('/api/')) {
+        // Streams and health checks always go to the network
+        if (UNCACHED_API_PATHS.some(path => url.pathname.endsWith(path)) ||
+            request.headers.get('Accept') === 'text/event-stream') {
+            return;
+        }
+        event.respondWith(networkFirst(request, API_CACHE));
+        return;
+    }
+
+    // Pages: the newest shell when online, the cached one offline
+    if (request.mode === 'navigate') {
+        event.respondWith(networkFirst(request, SHELL_CACHE, 'index.html'));
+        return;
+    }
+
+    // Built assets and web fonts
+    if (url.origin === self.location.origin || url.hostname.endsWith('fonts.googleapis.com') ||
+        url.hostname.endsWith('fonts.gstatic.com')) {
+        event.respondWith(cacheFirst(request));
+    }
+});
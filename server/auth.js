@@ -0,0 +1,143 @@
+// Authenticated sessions
+// Session tokens live in an HttpOnly cookie; only their SHA-256 hash is stored
+
+import crypto from 'crypto';
+import JsonFileStore from './store.js';
+import { getUser } from './users.js';
+import { getClientKey } from './rateLimit.js';
+
+export const SESSION_COOKIE = 'gb_session';
+
+const SESSION_TTL_MS = (Number(process.env.SESSION_TTL_DAYS) || 30) * 24 * 60 * 60 * 1000;
+
+const store = new JsonFileStore('sessions', { sessions: {} });
+
+/**
+ * Hash a session token for storage
+ * @param {string} token - Raw token from the cookie
+ * @returns {string} Hex digest
+ */
+function hashToken(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/**
+ * Read the session token from the Cookie header
+ * Other cookies on the host are skipped without decoding, and a malformed
+ * session cookie counts as no session rather than failing the request.
+ * @param {string} header - Raw Cookie header
+ * @returns {string|null} Token or null
+ */
+function getSessionToken(header = '') {
+    for (const part of header.split(';')) {
+        const index = part.indexOf('=');
+        if (index === -1 || part.slice(0, index).trim() !== SESSION_COOKIE) continue;
+
+        try {
+            return decodeURIComponent(part.slice(index + 1).trim()) || null;
+        } catch {
+            return null;
+        }
+    }
+    return null;
+}
+
+/**
+ * Cookie attributes shared by set and clear
+ * Cross-site deployments need COOKIE_SAME_SITE=None (which also forces Secure)
+ * @returns {Object} Cookie options for res.cookie
+ */
+function cookieOptions() {
+    const sameSite = (process.env.COOKIE_SAME_SITE || 'lax').toLowerCase();
+    return {
+        httpOnly: true,
+        sameSite,
+        secure: sameSite === 'none' || process.env.NODE_ENV === 'production',
+        path: '/'
+    };
+}
+
+/**
+ * Start a session for a user and set the cookie
+ * @param {Object} res - Express response
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export async function startSession(res, userId) {
+    const token = crypto.randomBytes(32).toString('hex');
+    const expiresAt = Date.now() + SESSION_TTL_MS;
+
+    await store.update(data => {
+        // Drop expired sessions while we're here
+        Object.entries(data.sessions).forEach(([key, session]) => {
+            if (session.expiresAt <= Date.now()) delete data.sessions[key];
+        });
+
+        data.sessions[hashToken(token)] = { userId, expiresAt };
+    });
+
+    res.cookie(SESSION_COOKIE, token, { ...cookieOptions(), maxAge: SESSION_TTL_MS });
+}
+
+/**
+ * Forget the request's session without touching the cookie
+ * (used before signing in as someone else; the new session replaces the cookie)
+ * @param {Object} req - Express request
+ * @returns {Promise<void>}
+ */
+export async function revokeSession(req) {
+    const token = getSessionToken(req.headers.cookie);
+
+    if (token) {
+        await store.update(data => {
+            delete data.sessions[hashToken(token)];
+        });
+    }
+}
+
+/**
+ * End the request's session and clear the cookie
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {Promise<void>}
+ */
+export async function endSession(req, res) {
+    await revokeSession(req);
+    res.clearCookie(SESSION_COOKIE, cookieOptions());
+}
+
+/**
+ * Express middleware that loads the signed-in user (if any)
+ * Sets req.user and req.ownerKey, the key that scopes stored data:
+ * 'user:<id>' for accounts, the anonymous client key otherwise
+ */
+export async function authenticate(req, res, next) {
+    req.user = null;
+
+    const token = getSessionToken(req.headers.cookie);
+    if (token) {
+        const data = await store.read();
+        const session = data.sessions[hashToken(token)];
+
+        if (session && session.expiresAt > Date.now()) {
+            req.user = await getUser(session.userId);
+        }
+    }
+
+    req.ownerKey = req.user ? `user:${req.user.id}` : getClientKey(req);
+    next();
+}
+
+/**
+ * Express middleware rejecting anonymous requests
+ */
+export function requireAuth(req, res, next) {
+    if (!req.user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required',
+            details: 'Please sign in to continue'
+        });
+    }
+    next();
+}
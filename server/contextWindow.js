@@ -0,0 +1,168 @@
+// Context-window management
+// Keeps the prompt inside a token budget: recent turns stay verbatim and older
+// turns are folded into a rolling summary stored with the conversation
+
+import crypto from 'crypto';
+import { estimateTokens, countMessagesTokens } from './tokens.js';
+import { getConversation, updateConversationSummary } from './conversations.js';
+
+// Token budget for the conversation history (system prompt excluded)
+const HISTORY_TOKEN_BUDGET = Number(process.env.CONTEXT_TOKEN_BUDGET) || 3000;
+
+// Number of most recent messages that are never folded into the summary
+const KEEP_RECENT_MESSAGES = Number(process.env.CONTEXT_KEEP_RECENT) || 6;
+
+// Upper bound on the length of the rolling summary
+const SUMMARY_MAX_TOKENS = 300;
+
+const SUMMARY_PROMPT = `You maintain a running summary of a conversation between a user and their AI fitness coach "Gym Buddy".
+Merge the previous summary (if any) with the new messages into one concise summary.
+Keep facts that matter for future coaching: goals, injuries or limitations, preferences, workouts or plans given, progress reported, and open questions.
+Write in the third person, at most 200 words, no preamble.`;
+
+/**
+ * Fingerprint the messages a summary covers
+ * Lets a summary be reused only by histories that start with the same turns,
+ * so switching to another branch of a conversation never brings in a stale summary
+ * @param {Array} messages - Covered messages
+ * @returns {string} Hash of their roles and contents
+ */
+function fingerprint(messages) {
+    const text = JSON.stringify(messages.map(message => [message.role, message.content]));
+    return crypto.createHash('sha256').update(text).digest('hex');
+}
+
+/**
+ * Ask the provider to fold messages into the rolling summary
+ * @param {Object} provider - LLM provider
+ * @param {string|null} previousSummary - Existing summary text
+ * @param {Array} messages - Messages to fold in
+ * @param {AbortSignal} [signal] - Cancels the call along with the chat request
+ * @returns {Promise<Object>} { content, usage } with the new summary text
+ */
+async function summarize(provider, previousSummary, messages, signal) {
+    const transcript = messages
+        .map(message => `${message.role.toUpperCase()}: ${message.content}`)
+        .join('\n\n');
+
+    const completion = await provider.complete({
+        messages: [
+            { role: 'system', content: SUMMARY_PROMPT },
+            {
+                role: 'user',
+                content: `PREVIOUS SUMMARY:\n${previousSummary || '(none)'}\n\nNEW MESSAGES:\n${transcript}`
+            }
+        ],
+        maxTokens: SUMMARY_MAX_TOKENS,
+        temperature: 0.2,
+        signal
+    });
+
+    return { content: completion.message.trim(), usage: completion.usage };
+}
+
+/**
+ * Build the system message that carries the rolling summary
+ * @param {string} summary - Summary text
+ * @returns {Object} System message
+ */
+function toSummaryMessage(summary) {
+    return {
+        role: 'system',
+        content: `SUMMARY OF EARLIER CONVERSATION:\n${summary}`
+    };
+}
+
+/**
+ * Fit the conversation history into the token budget
+ *
+ * Messages already covered by the stored summary are replaced by it. If the
+ * rest is still over budget, the oldest messages (never the most recent
+ * KEEP_RECENT_MESSAGES) are folded into an updated summary, which is saved
+ * back onto the conversation. Without a stored conversation the overflow is
+ * summarized for this request only.
+ *
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider used for summarizing
+ * @param {Array} options.messages - Full history including the new user message
+ * @param {string} [options.conversationId] - Stored conversation the history belongs to
+ * @param {string} options.ownerKey - Owner of the conversation
+ * @param {AbortSignal} [options.signal] - Cancels summarizing along with the chat request
+ * @returns {Promise<Object>} { messages, context, usage } where messages go after the system prompt
+ * and usage is what summarizing cost (null if nothing was summarized)
+ */
+export async function buildContext({ provider, messages, conversationId, ownerKey, signal }) {
+    const conversation = conversationId ? await getConversation(conversationId, ownerKey) : null;
+    let summary = conversation?.summary || null;
+
+    // A summary written for another branch (or an edited history) doesn't apply
+    if (summary?.fingerprint && (
+        summary.messageCount >= messages.length ||
+        summary.fingerprint !== fingerprint(messages.slice(0, summary.messageCount))
+    )) {
+        summary = null;
+    }
+
+    // Skip what the stored summary already covers (always keep the new message)
+    const coveredCount = summary ? Math.min(summary.messageCount, messages.length - 1) : 0;
+    let recent = messages.slice(coveredCount);
+
+    const summaryTokens = summary ? estimateTokens(summary.content) : 0;
+    let foldCount = 0;
+    let droppedCount = 0;
+    let usage = null;
+
+    if (summaryTokens + countMessagesTokens(recent) > HISTORY_TOKEN_BUDGET) {
+        // Leave room for the summary we are about to write
+        const recentBudget = HISTORY_TOKEN_BUDGET - SUMMARY_MAX_TOKENS;
+
+        while (
+            recent.length - foldCount > KEEP_RECENT_MESSAGES &&
+            countMessagesTokens(recent.slice(foldCount)) > recentBudget
+        ) {
+            foldCount++;
+        }
+    }
+
+    if (foldCount > 0) {
+        const toFold = recent.slice(0, foldCount);
+
+        try {
+            const result = await summarize(provider, summary?.content, toFold, signal);
+            usage = result.usage;
+
+            summary = {
+                content: result.content,
+                messageCount: coveredCount + foldCount,
+                fingerprint: fingerprint(messages.slice(0, coveredCount + foldCount)),
+                updatedAt: new Date().toISOString()
+            };
+
+            if (conversation) {
+                await updateConversationSummary(conversation.id, summary);
+            }
+        } catch (error) {
+            // Better to lose the oldest turns than to fail the whole request, but say so
+            droppedCount = foldCount;
+            console.warn(`⚠️ Failed to summarize conversation, dropped the ${foldCount} oldest messages from this request:`, error.message);
+        }
+
+        recent = recent.slice(foldCount);
+    }
+
+    const contextMessages = summary
+        ? [toSummaryMessage(summary.content), ...recent]
+        : recent;
+
+    return {
+        messages: contextMessages,
+        context: {
+            estimatedTokens: countMessagesTokens(contextMessages),
+            summarizedMessages: summary?.messageCount || 0,
+            verbatimMessages: recent.length,
+            // Messages left out entirely because summarizing them failed
+            droppedMessages: droppedCount
+        },
+        usage
+    };
+}
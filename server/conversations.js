@@ -0,0 +1,402 @@
+// Conversation persistence
+// Stores coaching threads and their messages in the conversations JSON store
+// Every conversation belongs to an owner key ('user:<id>' or an anonymous client key)
+
+import crypto from 'crypto';
+import JsonFileStore from './store.js';
+
+const store = new JsonFileStore('conversations', { conversations: {} });
+
+// Roles that may be stored in a conversation
+const VALID_ROLES = ['user', 'assistant'];
+
+// Title of a thread until its first user message names it
+export const DEFAULT_TITLE = 'New Conversation';
+export const MAX_TITLE_LENGTH = 80;
+
+// Generated titles are cut at a word boundary near this length
+const AUTO_TITLE_LENGTH = 40;
+
+// Client-generated message IDs (UUIDs or similar)
+const MESSAGE_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+/**
+ * Build the list view of a conversation (without messages)
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} Conversation summary
+ */
+function toSummary(conversation) {
+    const { messages, summary, ownerKey, customTitle, ...rest } = conversation;
+    return {
+        ...rest,
+        messageCount: messages.length
+    };
+}
+
+/**
+ * Check optional response metadata (e.g. { persona, promptVersion })
+ * @param {any} meta - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidMeta(meta) {
+    return typeof meta === 'object' && meta !== null && !Array.isArray(meta) &&
+        Object.values(meta).every(value => typeof value === 'string' && value.length <= 100);
+}
+
+/**
+ * Generate a thread title from the first user message
+ * @param {string} content - Message text
+ * @returns {string} Short title
+ */
+export function generateTitle(content) {
+    const text = content
+        .replace(/[#*_`>]/g, '')
+        .replace(/\s+/g, ' ')
+        .trim();
+
+    if (!text) {
+        return DEFAULT_TITLE;
+    }
+    if (text.length <= AUTO_TITLE_LENGTH) {
+        return text.charAt(0).toUpperCase() + text.slice(1);
+    }
+
+    const cut = text.slice(0, AUTO_TITLE_LENGTH);
+    const lastSpace = cut.lastIndexOf(' ');
+    const title = lastSpace > AUTO_TITLE_LENGTH / 2 ? cut.slice(0, lastSpace) : cut;
+    return `${title.charAt(0).toUpperCase()}${title.slice(1).replace(/[\s,.;:!?-]+$/, '')}…`;
+}
+
+/**
+ * Validate a thread title
+ * @param {any} title - Value to check
+ * @returns {string|null} Error description or null when valid
+ */
+export function validateTitle(title) {
+    if (typeof title !== 'string' || title.trim().length === 0) {
+        return 'Title must be a non-empty string';
+    }
+    if (title.trim().length > MAX_TITLE_LENGTH) {
+        return `Title must be at most ${MAX_TITLE_LENGTH} characters`;
+    }
+    return null;
+}
+
+/**
+ * Validate messages before they are appended
+ * @param {Array} messages - Messages to check
+ * @returns {string|null} Error description or null when valid
+ */
+export function validateMessages(messages) {
+    if (!Array.isArray(messages) || messages.length === 0) {
+        return 'Messages array is required';
+    }
+
+    for (const message of messages) {
+        if (!message || !VALID_ROLES.includes(message.role)) {
+            return `Message role must be one of: ${VALID_ROLES.join(', ')}`;
+        }
+        if (typeof message.content !== 'string') {
+            return 'Message content must be a string';
+        }
+        if (message.id !== undefined && (typeof message.id !== 'string' || !MESSAGE_ID_PATTERN.test(message.id))) {
+            return 'Message id must be 1-64 letters, digits, dashes or underscores';
+        }
+        if (message.parentId !== undefined && message.parentId !== null && typeof message.parentId !== 'string') {
+            return 'Message parentId must be a string or null';
+        }
+        if (message.plan !== undefined && (typeof message.plan !== 'object' || message.plan === null)) {
+            return 'Message plan must be an object';
+        }
+        if (message.nutrition !== undefined && (typeof message.nutrition !== 'object' || message.nutrition === null)) {
+            return 'Message nutrition must be an object';
+        }
+        if (message.tools !== undefined && (!Array.isArray(message.tools) || !message.tools.every(tool => typeof tool === 'object' && tool !== null))) {
+            return 'Message tools must be an array of objects';
+        }
+        if (message.meta !== undefined && !isValidMeta(message.meta)) {
+            return 'Message meta must be an object of short strings';
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Map every message ID to its parent's ID
+ * Messages saved before branching existed have no parentId and follow the previous message
+ * @param {Array} messages - Stored messages
+ * @returns {Map} Message ID -> parent ID (null for a root)
+ */
+function getParentIds(messages) {
+    return new Map(messages.map((message, index) => [
+        message.id,
+        message.parentId !== undefined ? message.parentId : (messages[index - 1]?.id ?? null)
+    ]));
+}
+
+/**
+ * Check that new messages only reply to messages in the conversation (or earlier in the batch)
+ * @param {Object} conversation - Stored conversation
+ * @param {Array} messages - Messages about to be appended
+ * @returns {string|null} Error description or null when valid
+ */
+export function validateParents(conversation, messages) {
+    const known = new Set(conversation.messages.map(message => message.id));
+
+    for (const message of messages) {
+        if (typeof message.parentId === 'string' && !known.has(message.parentId)) {
+            return `Unknown parent message ${message.parentId}`;
+        }
+        if (message.id) {
+            known.add(message.id);
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Get a conversation if it belongs to the owner
+ * @param {Object} data - Store data
+ * @param {string} id - Conversation ID
+ * @param {string} ownerKey - Owner key
+ * @returns {Object|null} Conversation or null
+ */
+function findOwned(data, id, ownerKey) {
+    const conversation = data.conversations[id];
+    return conversation && conversation.ownerKey === ownerKey ? conversation : null;
+}
+
+/**
+ * Strip internal fields before sending a conversation to the client
+ * @param {Object} conversation - Stored conversation
+ * @returns {Object} Public conversation
+ */
+export function toPublicConversation(conversation) {
+    const { ownerKey, customTitle, ...rest } = conversation;
+    return rest;
+}
+
+/**
+ * Create a new conversation
+ * Without a title, the thread is named after its first user message
+ * @param {Object} options
+ * @param {string} [options.title] - Conversation title
+ * @param {string} options.ownerKey - Owner key
+ * @returns {Promise<Object>} The created conversation
+ */
+export async function createConversation({ title, ownerKey } = {}) {
+    const now = new Date().toISOString();
+    const conversation = {
+        id: crypto.randomUUID(),
+        ownerKey,
+        title: title?.trim() || DEFAULT_TITLE,
+        customTitle: Boolean(title?.trim()),
+        createdAt: now,
+        updatedAt: now,
+        messages: []
+    };
+
+    await store.update(data => {
+        data.conversations[conversation.id] = conversation;
+    });
+
+    return conversation;
+}
+
+/**
+ * List the owner's conversations, most recently updated first
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Array>} Conversation summaries
+ */
+export async function listConversations(ownerKey) {
+    const data = await store.read();
+
+    return Object.values(data.conversations)
+        .filter(conversation => conversation.ownerKey === ownerKey)
+        .map(toSummary)
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+}
+
+/**
+ * Get a conversation with all its messages
+ * @param {string} id - Conversation ID
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object|null>} Conversation or null if not found
+ */
+export async function getConversation(id, ownerKey) {
+    const data = await store.read();
+    return findOwned(data, id, ownerKey);
+}
+
+/**
+ * Append messages to a conversation
+ * Messages form a tree: parentId is the message being replied to, and an edited or
+ * regenerated message is a sibling of the one it replaces. Without a parentId a message
+ * follows the previous one. Messages whose id is already stored are skipped, so a
+ * retried save doesn't duplicate them.
+ * The first user message names a thread that still has the default title.
+ * @param {string} id - Conversation ID
+ * @param {Array} messages - Messages ({ id?, parentId?, role, content, timestamp?, plan?, nutrition?, tools?, meta? })
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object|null>} { messages, title } or null if not found
+ */
+export async function appendMessages(id, messages, ownerKey) {
+    return store.update(data => {
+        const conversation = findOwned(data, id, ownerKey);
+        if (!conversation) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const known = new Set(conversation.messages.map(message => message.id));
+        let previousId = conversation.messages.at(-1)?.id ?? null;
+        const stored = [];
+
+        messages.forEach(message => {
+            if (message.id && known.has(message.id)) {
+                previousId = message.id;
+                return;
+            }
+
+            const storedMessage = {
+                id: message.id || crypto.randomUUID(),
+                parentId: message.parentId !== undefined ? message.parentId : previousId,
+                role: message.role,
+                content: message.content,
+                timestamp: message.timestamp || now,
+                ...(message.plan ? { plan: message.plan } : {}),
+                ...(message.nutrition ? { nutrition: message.nutrition } : {}),
+                ...(message.tools?.length ? { tools: message.tools } : {}),
+                ...(message.meta ? { meta: message.meta } : {})
+            };
+
+            stored.push(storedMessage);
+            known.add(storedMessage.id);
+            previousId = storedMessage.id;
+        });
+
+        conversation.messages.push(...stored);
+        conversation.updatedAt = now;
+
+        const firstUserMessage = stored.find(message => message.role === 'user');
+        if (firstUserMessage && !conversation.customTitle && conversation.title === DEFAULT_TITLE) {
+            conversation.title = generateTitle(firstUserMessage.content);
+        }
+
+        return { messages: stored, title: conversation.title };
+    });
+}
+
+/**
+ * Delete messages from a conversation
+ * Replies to a deleted message are re-attached to its closest remaining ancestor
+ * @param {string} id - Conversation ID
+ * @param {Array<string>} messageIds - IDs of the messages to delete
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<number|null>} Number of messages deleted or null if not found
+ */
+export async function deleteMessages(id, messageIds, ownerKey) {
+    return store.update(data => {
+        const conversation = findOwned(data, id, ownerKey);
+        if (!conversation) {
+            return null;
+        }
+
+        const deletedIds = new Set(messageIds);
+        const parentIds = getParentIds(conversation.messages);
+
+        const remainingParent = (parentId) => {
+            let current = parentId;
+            while (current !== null && deletedIds.has(current)) {
+                current = parentIds.get(current) ?? null;
+            }
+            return current;
+        };
+
+        const remaining = conversation.messages.filter(message => !deletedIds.has(message.id));
+        remaining.forEach(message => {
+            message.parentId = remainingParent(parentIds.get(message.id));
+        });
+
+        const deleted = conversation.messages.length - remaining.length;
+        if (deleted > 0) {
+            conversation.messages = remaining;
+            conversation.updatedAt = new Date().toISOString();
+        }
+        return deleted;
+    });
+}
+
+/**
+ * Rename a conversation (the title is then never auto-generated)
+ * @param {string} id - Conversation ID
+ * @param {string} title - New title
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object|null>} Conversation summary or null if not found
+ */
+export async function renameConversation(id, title, ownerKey) {
+    return store.update(data => {
+        const conversation = findOwned(data, id, ownerKey);
+        if (!conversation) {
+            return null;
+        }
+
+        conversation.title = title.trim();
+        conversation.customTitle = true;
+        conversation.updatedAt = new Date().toISOString();
+        return toSummary(conversation);
+    });
+}
+
+/**
+ * Store the rolling summary of a conversation's older messages
+ * @param {string} id - Conversation ID
+ * @param {Object} summary - { content, messageCount, updatedAt }
+ * @returns {Promise<boolean>} True if the conversation exists
+ */
+export async function updateConversationSummary(id, summary) {
+    return store.update(data => {
+        const conversation = data.conversations[id];
+        if (!conversation) {
+            return false;
+        }
+        conversation.summary = summary;
+        return true;
+    });
+}
+
+/**
+ * Delete a conversation
+ * @param {string} id - Conversation ID
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteConversation(id, ownerKey) {
+    return store.update(data => {
+        if (!findOwned(data, id, ownerKey)) {
+            return false;
+        }
+        delete data.conversations[id];
+        return true;
+    });
+}
+
+/**
+ * Move every conversation from one owner to another
+ * Used to attach an anonymous client's chats to the account it signs in to
+ * @param {string} fromOwnerKey - Current owner
+ * @param {string} toOwnerKey - New owner
+ * @returns {Promise<number>} Number of conversations moved
+ */
+export async function transferConversations(fromOwnerKey, toOwnerKey) {
+    return store.update(data => {
+        const owned = Object.values(data.conversations)
+            .filter(conversation => conversation.ownerKey === fromOwnerKey);
+        owned.forEach(conversation => {
+            conversation.ownerKey = toOwnerKey;
+        });
+        return owned.length;
+    });
+}
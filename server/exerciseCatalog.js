@@ -0,0 +1,359 @@
+// Bundled exercise catalog
+// equipment: bodyweight | dumbbell | band | barbell | machine | cable
+// difficulty: Beginner | Intermediate | Advanced
+
+export const EXERCISES = [
+    // Bodyweight
+    {
+        id: 'push-up',
+        name: 'Push-up',
+        muscles: ['chest', 'triceps', 'shoulders'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Hands slightly wider than shoulders, body in a straight line', 'Lower your chest to just above the floor', 'Press back up without letting the hips sag']
+    },
+    {
+        id: 'incline-push-up',
+        name: 'Incline Push-up',
+        muscles: ['chest', 'triceps'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Place hands on a bench or sturdy surface', 'Keep a straight line from head to heels', 'Lower your chest to the edge and press away']
+    },
+    {
+        id: 'bodyweight-squat',
+        name: 'Bodyweight Squat',
+        muscles: ['quads', 'glutes'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Feet shoulder-width apart, toes slightly out', 'Sit back and down until thighs are at least parallel', 'Drive through your whole foot to stand']
+    },
+    {
+        id: 'reverse-lunge',
+        name: 'Reverse Lunge',
+        muscles: ['quads', 'glutes', 'hamstrings'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Step one foot back and lower the back knee toward the floor', 'Keep the front knee over the mid-foot', 'Push through the front heel to return']
+    },
+    {
+        id: 'glute-bridge',
+        name: 'Glute Bridge',
+        muscles: ['glutes', 'hamstrings'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Lie on your back with knees bent and feet flat', 'Squeeze your glutes and lift the hips until knees, hips and shoulders line up', 'Lower with control']
+    },
+    {
+        id: 'plank',
+        name: 'Plank',
+        muscles: ['core'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Forearms under shoulders, body in a straight line', 'Brace your abs and squeeze your glutes', 'Hold without letting the hips drop']
+    },
+    {
+        id: 'dead-bug',
+        name: 'Dead Bug',
+        muscles: ['core'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Lie on your back, arms up and knees over hips', 'Extend the opposite arm and leg while keeping your lower back down', 'Return and switch sides']
+    },
+    {
+        id: 'mountain-climber',
+        name: 'Mountain Climber',
+        muscles: ['core', 'shoulders', 'full body'],
+        equipment: 'bodyweight',
+        difficulty: 'Beginner',
+        instructions: ['Start in a high plank', 'Drive one knee toward your chest, then switch quickly', 'Keep the hips level throughout']
+    },
+    {
+        id: 'burpee',
+        name: 'Burpee',
+        muscles: ['full body'],
+        equipment: 'bodyweight',
+        difficulty: 'Intermediate',
+        instructions: ['Squat down and place your hands on the floor', 'Jump the feet back to a plank, then back in', 'Stand and jump with arms overhead']
+    },
+    {
+        id: 'bulgarian-split-squat',
+        name: 'Bulgarian Split Squat',
+        muscles: ['quads', 'glutes'],
+        equipment: 'bodyweight',
+        difficulty: 'Intermediate',
+        instructions: ['Rest your back foot on a bench', 'Lower until the front thigh is about parallel', 'Drive up through the front foot']
+    },
+    {
+        id: 'pike-push-up',
+        name: 'Pike Push-up',
+        muscles: ['shoulders', 'triceps'],
+        equipment: 'bodyweight',
+        difficulty: 'Intermediate',
+        instructions: ['Hips high in an inverted V', 'Bend the elbows to bring your head toward the floor', 'Press back up to the start']
+    },
+    {
+        id: 'pull-up',
+        name: 'Pull-up',
+        muscles: ['back', 'biceps'],
+        equipment: 'bodyweight',
+        difficulty: 'Intermediate',
+        instructions: ['Hang from a bar with an overhand grip', 'Pull your chest toward the bar, leading with the elbows', 'Lower all the way down with control']
+    },
+    {
+        id: 'pistol-squat',
+        name: 'Pistol Squat',
+        muscles: ['quads', 'glutes', 'core'],
+        equipment: 'bodyweight',
+        difficulty: 'Advanced',
+        instructions: ['Stand on one leg with the other extended forward', 'Squat down as low as you can with control', 'Stand back up without touching the free foot down']
+    },
+
+    // Dumbbells (home weights)
+    {
+        id: 'goblet-squat',
+        name: 'Goblet Squat',
+        muscles: ['quads', 'glutes', 'core'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Hold a dumbbell vertically at your chest', 'Squat down keeping the chest up and elbows inside the knees', 'Stand by driving through your heels']
+    },
+    {
+        id: 'dumbbell-bench-press',
+        name: 'Dumbbell Bench Press',
+        muscles: ['chest', 'triceps', 'shoulders'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Lie on a bench with dumbbells over your chest', 'Lower them to the sides of your chest with elbows at ~45 degrees', 'Press back up until arms are straight']
+    },
+    {
+        id: 'one-arm-dumbbell-row',
+        name: 'One-arm Dumbbell Row',
+        muscles: ['back', 'biceps'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Support one hand and knee on a bench', 'Row the dumbbell toward your hip', 'Lower until the arm is straight']
+    },
+    {
+        id: 'dumbbell-shoulder-press',
+        name: 'Dumbbell Shoulder Press',
+        muscles: ['shoulders', 'triceps'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Hold dumbbells at shoulder height', 'Press overhead without arching your lower back', 'Lower back to the shoulders']
+    },
+    {
+        id: 'dumbbell-romanian-deadlift',
+        name: 'Dumbbell Romanian Deadlift',
+        muscles: ['hamstrings', 'glutes', 'back'],
+        equipment: 'dumbbell',
+        difficulty: 'Intermediate',
+        instructions: ['Hold dumbbells in front of your thighs', 'Push the hips back with a slight knee bend until you feel the hamstrings stretch', 'Drive the hips forward to stand']
+    },
+    {
+        id: 'dumbbell-curl',
+        name: 'Dumbbell Curl',
+        muscles: ['biceps'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Stand with dumbbells at your sides, palms forward', 'Curl without swinging the elbows forward', 'Lower slowly']
+    },
+    {
+        id: 'overhead-triceps-extension',
+        name: 'Overhead Triceps Extension',
+        muscles: ['triceps'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Hold one dumbbell overhead with both hands', 'Lower it behind your head by bending the elbows', 'Extend back to the top']
+    },
+    {
+        id: 'dumbbell-walking-lunge',
+        name: 'Dumbbell Walking Lunge',
+        muscles: ['quads', 'glutes', 'hamstrings'],
+        equipment: 'dumbbell',
+        difficulty: 'Intermediate',
+        instructions: ['Hold dumbbells at your sides', 'Step forward into a lunge, back knee toward the floor', 'Bring the back foot through into the next step']
+    },
+    {
+        id: 'dumbbell-calf-raise',
+        name: 'Dumbbell Calf Raise',
+        muscles: ['calves'],
+        equipment: 'dumbbell',
+        difficulty: 'Beginner',
+        instructions: ['Hold dumbbells and stand on the edge of a step', 'Rise onto your toes as high as possible', 'Lower the heels below the step']
+    },
+
+    // Resistance bands
+    {
+        id: 'band-pull-apart',
+        name: 'Band Pull-apart',
+        muscles: ['shoulders', 'back'],
+        equipment: 'band',
+        difficulty: 'Beginner',
+        instructions: ['Hold a band at shoulder height with straight arms', 'Pull it apart by squeezing your shoulder blades', 'Return slowly']
+    },
+    {
+        id: 'band-row',
+        name: 'Banded Row',
+        muscles: ['back', 'biceps'],
+        equipment: 'band',
+        difficulty: 'Beginner',
+        instructions: ['Anchor the band at chest height', 'Row the handles to your ribs', 'Control the return']
+    },
+    {
+        id: 'band-chest-press',
+        name: 'Banded Chest Press',
+        muscles: ['chest', 'triceps'],
+        equipment: 'band',
+        difficulty: 'Beginner',
+        instructions: ['Anchor the band behind you at chest height', 'Press the handles forward until arms are straight', 'Return with control']
+    },
+    {
+        id: 'band-lateral-walk',
+        name: 'Banded Lateral Walk',
+        muscles: ['glutes'],
+        equipment: 'band',
+        difficulty: 'Beginner',
+        instructions: ['Place a mini band above the knees', 'Sit into a quarter squat', 'Step sideways keeping tension on the band']
+    },
+    {
+        id: 'band-good-morning',
+        name: 'Banded Good Morning',
+        muscles: ['hamstrings', 'glutes', 'back'],
+        equipment: 'band',
+        difficulty: 'Intermediate',
+        instructions: ['Stand on the band and loop it behind your neck', 'Hinge at the hips with a flat back', 'Drive the hips forward to stand']
+    },
+    {
+        id: 'band-face-pull',
+        name: 'Banded Face Pull',
+        muscles: ['shoulders', 'back'],
+        equipment: 'band',
+        difficulty: 'Beginner',
+        instructions: ['Anchor the band at face height', 'Pull toward your face with elbows high', 'Finish with hands beside your ears']
+    },
+
+    // Gym: barbell
+    {
+        id: 'barbell-back-squat',
+        name: 'Barbell Back Squat',
+        muscles: ['quads', 'glutes', 'core'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Bar on your upper back, feet shoulder-width', 'Brace and squat to at least parallel', 'Drive up keeping the chest tall']
+    },
+    {
+        id: 'barbell-bench-press',
+        name: 'Barbell Bench Press',
+        muscles: ['chest', 'triceps', 'shoulders'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Eyes under the bar, shoulder blades pinched', 'Lower the bar to your mid-chest', 'Press back up over the shoulders']
+    },
+    {
+        id: 'barbell-deadlift',
+        name: 'Barbell Deadlift',
+        muscles: ['hamstrings', 'glutes', 'back'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Bar over mid-foot, hinge to grip it', 'Brace, flatten your back and push the floor away', 'Lock out the hips, then lower under control']
+    },
+    {
+        id: 'barbell-overhead-press',
+        name: 'Barbell Overhead Press',
+        muscles: ['shoulders', 'triceps', 'core'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Bar on the front of your shoulders', 'Press overhead, moving your head back out of the way', 'Lock out with the bar over mid-foot']
+    },
+    {
+        id: 'barbell-row',
+        name: 'Barbell Row',
+        muscles: ['back', 'biceps'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Hinge forward with a flat back', 'Row the bar to your lower ribs', 'Lower until arms are straight']
+    },
+    {
+        id: 'barbell-hip-thrust',
+        name: 'Barbell Hip Thrust',
+        muscles: ['glutes', 'hamstrings'],
+        equipment: 'barbell',
+        difficulty: 'Intermediate',
+        instructions: ['Upper back on a bench, bar across the hips', 'Drive the hips up until the torso is level', 'Pause and lower']
+    },
+    {
+        id: 'power-clean',
+        name: 'Power Clean',
+        muscles: ['full body'],
+        equipment: 'barbell',
+        difficulty: 'Advanced',
+        instructions: ['Start like a deadlift', 'Extend explosively and pull yourself under the bar', 'Catch it on the front of your shoulders']
+    },
+
+    // Gym: machines and cables
+    {
+        id: 'leg-press',
+        name: 'Leg Press',
+        muscles: ['quads', 'glutes'],
+        equipment: 'machine',
+        difficulty: 'Beginner',
+        instructions: ['Feet shoulder-width on the platform', 'Lower until knees are at about 90 degrees', 'Press without locking the knees hard']
+    },
+    {
+        id: 'lat-pulldown',
+        name: 'Lat Pulldown',
+        muscles: ['back', 'biceps'],
+        equipment: 'cable',
+        difficulty: 'Beginner',
+        instructions: ['Grip the bar slightly wider than shoulders', 'Pull it to your upper chest, elbows down', 'Let it rise with control']
+    },
+    {
+        id: 'seated-cable-row',
+        name: 'Seated Cable Row',
+        muscles: ['back', 'biceps'],
+        equipment: 'cable',
+        difficulty: 'Beginner',
+        instructions: ['Sit tall with a slight knee bend', 'Row the handle to your stomach', 'Reach forward without rounding your back']
+    },
+    {
+        id: 'leg-curl',
+        name: 'Leg Curl',
+        muscles: ['hamstrings'],
+        equipment: 'machine',
+        difficulty: 'Beginner',
+        instructions: ['Pad just above the heels', 'Curl the pad toward your glutes', 'Lower slowly']
+    },
+    {
+        id: 'chest-press-machine',
+        name: 'Chest Press Machine',
+        muscles: ['chest', 'triceps'],
+        equipment: 'machine',
+        difficulty: 'Beginner',
+        instructions: ['Handles at mid-chest height', 'Press forward until arms are straight', 'Return with control']
+    },
+    {
+        id: 'cable-triceps-pushdown',
+        name: 'Cable Triceps Pushdown',
+        muscles: ['triceps'],
+        equipment: 'cable',
+        difficulty: 'Beginner',
+        instructions: ['Elbows pinned to your sides', 'Push the handle down until arms are straight', 'Let it rise to about chest height']
+    },
+    {
+        id: 'rowing-machine',
+        name: 'Rowing Machine',
+        muscles: ['full body'],
+        equipment: 'machine',
+        difficulty: 'Beginner',
+        instructions: ['Push with the legs first', 'Then lean back slightly and pull the handle to your ribs', 'Reverse the order on the way back']
+    }
+];
+
+// Which catalog equipment each onboarding equipment answer gives access to
+export const EQUIPMENT_ACCESS = {
+    'Gym Membership': ['bodyweight', 'dumbbell', 'band', 'barbell', 'machine', 'cable'],
+    'Home Weights': ['bodyweight', 'dumbbell'],
+    'Resistance Bands': ['bodyweight', 'band'],
+    'No Equipment': ['bodyweight']
+};
@@ -0,0 +1,97 @@
+// Exercise library
+// Filters the bundled catalog by the user's equipment, target muscle and level
+
+import { EXERCISES, EQUIPMENT_ACCESS } from './exerciseCatalog.js';
+import { isContraindicated } from './safety.js';
+
+// Difficulty order, used so a level also includes easier exercises
+const DIFFICULTY_ORDER = ['Beginner', 'Intermediate', 'Advanced'];
+
+// Catalog equipment names, valid as filters alongside the onboarding answers
+const CATALOG_EQUIPMENT = [...new Set(EXERCISES.map(exercise => exercise.equipment))];
+
+/**
+ * Turn equipment filters into the set of catalog equipment the user can use
+ * Accepts onboarding answers ('Home Weights') and catalog names ('dumbbell')
+ * @param {Array<string>} equipment - Equipment filters
+ * @returns {Object} { allowed: Set|null, unknown: Array } (allowed is null when unfiltered)
+ */
+export function resolveEquipment(equipment = []) {
+    if (equipment.length === 0) {
+        return { allowed: null, unknown: [] };
+    }
+
+    const allowed = new Set();
+    const unknown = [];
+
+    equipment.forEach(item => {
+        if (EQUIPMENT_ACCESS[item]) {
+            EQUIPMENT_ACCESS[item].forEach(name => allowed.add(name));
+        } else if (CATALOG_EQUIPMENT.includes(item)) {
+            allowed.add(item);
+        } else {
+            unknown.push(item);
+        }
+    });
+
+    return { allowed, unknown };
+}
+
+/**
+ * Filter the catalog
+ * @param {Object} filters
+ * @param {Array<string>} [filters.equipment] - Onboarding answers or catalog equipment names
+ * @param {string} [filters.muscle] - Muscle group (e.g. 'chest')
+ * @param {string} [filters.level] - Highest difficulty to include
+ * @param {string} [filters.search] - Text to look for in the name
+ * @returns {Array} Matching exercises
+ */
+export function filterExercises({ equipment = [], muscle, level, search } = {}) {
+    const { allowed } = resolveEquipment(equipment);
+    const maxDifficulty = level ? DIFFICULTY_ORDER.indexOf(level) : DIFFICULTY_ORDER.length - 1;
+    const muscleName = muscle?.toLowerCase();
+    const searchText = search?.trim().toLowerCase();
+
+    return EXERCISES.filter(exercise =>
+        (!allowed || allowed.has(exercise.equipment)) &&
+        (!muscleName || exercise.muscles.includes(muscleName)) &&
+        DIFFICULTY_ORDER.indexOf(exercise.difficulty) <= maxDifficulty &&
+        (!searchText || exercise.name.toLowerCase().includes(searchText))
+    );
+}
+
+/**
+ * Get one exercise by ID
+ * @param {string} id - Exercise ID (e.g. 'goblet-squat')
+ * @returns {Object|null} Exercise or null if not found
+ */
+export function getExercise(id) {
+    return EXERCISES.find(exercise => exercise.id === id) || null;
+}
+
+/**
+ * List the filter values the catalog supports
+ * @returns {Object} { equipment, muscles, levels }
+ */
+export function getFilterOptions() {
+    return {
+        equipment: [...Object.keys(EQUIPMENT_ACCESS), ...CATALOG_EQUIPMENT],
+        muscles: [...new Set(EXERCISES.flatMap(exercise => exercise.muscles))].sort(),
+        levels: DIFFICULTY_ORDER
+    };
+}
+
+/**
+ * List the exercise names a user can do, for the system prompt
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {string} Comma-separated exercise names
+ */
+export function formatAvailableExercises(userProfile) {
+    const equipment = Array.isArray(userProfile?.equipment) ? userProfile.equipment : [];
+    const level = DIFFICULTY_ORDER.includes(userProfile?.level) ? userProfile.level : undefined;
+
+    return filterExercises({ equipment, level })
+        .filter(exercise => !isContraindicated(exercise.name, userProfile))
+        .map(exercise => exercise.name)
+        .join(', ');
+}
@@ -0,0 +1,108 @@
+// iCalendar (RFC 5545) export
+// Turns schedule sessions into a .ics file any calendar app can import
+
+const PRODUCT_ID = '-//AI Gym Buddy//Training Schedule//EN';
+
+// Lines longer than this (in octets) are folded
+const MAX_LINE_OCTETS = 75;
+
+/**
+ * Escape text for a TEXT property value
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Fold a content line so no physical line exceeds 75 octets
+ * Never splits a multi-byte character
+ * @param {string} line - Unfolded line
+ * @returns {string} Folded line (CRLF + space between parts)
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let currentOctets = 0;
+
+    for (const char of line) {
+        const octets = Buffer.byteLength(char);
+        // Continuation lines start with a space, which counts towards the limit
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+
+        if (currentOctets + octets > limit) {
+            parts.push(current);
+            current = '';
+            currentOctets = 0;
+        }
+
+        current += char;
+        currentOctets += octets;
+    }
+
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Format a local date and time as a floating iCalendar date-time
+ * Floating times show at that wall-clock time in whatever time zone the calendar uses
+ * @param {string} date - YYYY-MM-DD
+ * @param {string} time - HH:MM
+ * @returns {string} e.g. 20250106T070000
+ */
+function formatLocalDateTime(date, time) {
+    return `${date.replace(/-/g, '')}T${time.replace(':', '')}00`;
+}
+
+/**
+ * Format a timestamp as a UTC iCalendar date-time
+ * @param {Date} date - Timestamp
+ * @returns {string} e.g. 20250106T070000Z
+ */
+function formatUtcDateTime(date) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+/**
+ * Build a calendar file
+ * @param {Object} options
+ * @param {string} options.name - Calendar name
+ * @param {Array} options.events - [{ uid, date, startTime, durationMinutes, summary, description, cancelled }]
+ * @returns {string} iCalendar text
+ */
+export function createCalendar({ name, events }) {
+    const stamp = formatUtcDateTime(new Date());
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        `PRODID:${PRODUCT_ID}`,
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`
+    ];
+
+    events.forEach(event => {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatLocalDateTime(event.date, event.startTime)}`,
+            `DURATION:PT${event.durationMinutes}M`,
+            `SUMMARY:${escapeText(event.summary)}`,
+            `DESCRIPTION:${escapeText(event.description)}`,
+            `STATUS:${event.cancelled ? 'CANCELLED' : 'CONFIRMED'}`,
+            'END:VEVENT'
+        );
+    });
+
+    lines.push('END:VCALENDAR');
+
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
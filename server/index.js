@@ -1,8 +1,33 @@
-// Express server with OpenAI proxy
+// Express server with LLM provider proxy (OpenAI, OpenAI-compatible or mock)
 import express from 'express';
 import cors from 'cors';
 import dotenv from 'dotenv';
-import OpenAI from 'openai';
+import { createProvider } from './providers/index.js';
+import conversationsRouter from './routes/conversations.js';
+import createPlansRouter from './routes/plans.js';
+import workoutsRouter from './routes/workouts.js';
+import progressionRouter from './routes/progression.js';
+import exercisesRouter from './routes/exercises.js';
+import authRouter from './routes/auth.js';
+import profileRouter from './routes/profile.js';
+import nutritionRouter from './routes/nutrition.js';
+import scheduleRouter from './routes/schedule.js';
+import { buildContext } from './contextWindow.js';
+import { addUsage, estimateUsage } from './tokens.js';
+import { watchUpstream } from './upstreamAbort.js';
+import { formatProfileForPrompt } from './profile.js';
+import { getRecentWorkoutSummary } from './workouts.js';
+import { formatAvailableExercises } from './exercises.js';
+import { rateLimit, recordTokenUsage, sendRateLimited } from './rateLimit.js';
+import { authenticate } from './auth.js';
+import { formatSafetyRulesForPrompt, getSafetyNotice } from './safety.js';
+import { screenConversation, recordScreeningHit } from './screening.js';
+import screeningRouter from './routes/screening.js';
+import { renderPrompt } from './prompts.js';
+import { PERSONAS, isPersona, getPersona } from './personas.js';
+import { getNutritionTargets, formatNutritionForPrompt } from './nutrition.js';
+import { completeWithTools, streamWithTools } from './toolLoop.js';
+import { getTargetsForRecentExercises, formatTargetsForPrompt, isTodaysTargetsQuestion } from './progression.js';
 
 // Load the environment variables from the .env file
 dotenv.config();
@@ -12,17 +37,20 @@ const app = express();
 const PORT = process.env.PORT || 3001;
 const NODE_ENV = process.env.NODE_ENV || 'development';
 
-// Initialize OpenAI client
-const openai = new OpenAI({
-    apiKey: process.env.OPENAI_API_KEY,
-});
+// Roles a client may send in the chat history
+const CHAT_ROLES = ['user', 'assistant'];
+
+// Initialize the LLM provider selected by LLM_PROVIDER
+const provider = createProvider();
 
 // CORS configuration with deployment option
 const corsOptions = {
     origin: NODE_ENV === 'production'
         ? process.env.FRONTEND_URL
         : ['http://localhost:3000', 'http://localhost:5173'],
-    credentials: true
+    credentials: true,
+    // Let the frontend read rate-limit hints on cross-origin responses
+    exposedHeaders: ['Retry-After', 'X-RateLimit-Remaining']
 };
 
 // Middleware
@@ -35,20 +63,166 @@ app.use((req, res, next) => {
     next();
 });
 
+// Load the signed-in user from the session cookie (sets req.user and req.ownerKey)
+app.use(authenticate);
+
 // Health check endpoint
 app.get('/api/health', (req, res) => {
     res.json({
         status: 'OK',
         message: 'AI Gym Buddy API is running',
         environment: NODE_ENV,
-        timestamp: new Date().toISOString()
+        provider: provider.name,
+        model: provider.model,
+        timestamp: new Date().toISOString(),
+        // Provider details such as the base URL stay out of production responses
+        ...(NODE_ENV === 'development' && { debug: provider.getDebugInfo() })
     });
 });
 
+// Accounts and sessions
+app.use('/api/auth', authRouter);
+
+// Signed-in user's profile
+app.use('/api/profile', profileRouter);
+
+// Review of messages stopped by content screening
+app.use('/api/screening', screeningRouter);
+
+// Conversation persistence endpoints
+app.use('/api/conversations', conversationsRouter);
+
+// Structured workout plan generation
+app.use('/api/plans', rateLimit, createPlansRouter(provider));
+
+// Workout logging
+app.use('/api/workouts', workoutsRouter);
+
+// Progressive overload targets
+app.use('/api/progression', progressionRouter);
+
+// Exercise library
+app.use('/api/exercises', exercisesRouter);
+
+// Calorie and macro targets
+app.use('/api/nutrition', nutritionRouter);
+
+// Training calendar and .ics export
+app.use('/api/schedule', scheduleRouter);
+
+/**
+ * Write a single Server-Sent Event to the response
+ * @param {Object} res - Express response
+ * @param {string} event - Event name (delta, tool, done, error)
+ * @param {Object} data - JSON payload
+ */
+function writeEvent(res, event, data) {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+}
+
+/**
+ * Stream a chat completion to the client token-by-token
+ * Sends `delta` events while the model is generating, a `tool` event after each
+ * tool call and a final `done` event carrying the full message, tool trace and token usage
+ * @param {Object} req - Express request (carries the rate-limit client key)
+ * @param {Object} res - Express response
+ * @param {Object} requestOptions - Options for provider.stream
+ * @param {Object} details
+ * @param {Object} details.context - Context-window stats reported with the final event
+ * @param {string|null} details.safetyNotice - Notice appended after the model's reply
+ * @param {Object} details.promptInfo - Persona and prompt version reported with the final event
+ * @param {Object} details.toolContext - Owner key and profile the chat tools run with
+ */
+async function streamCompletion(req, res, requestOptions, { context, safetyNotice, promptInfo, toolContext }) {
+    const stream = streamWithTools(provider, requestOptions, toolContext);
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    let fullMessage = '';
+    let usage = null;
+    const toolTrace = [];
+
+    // Text of the current round, until the provider reports its usage
+    let unreportedText = '';
+
+    try {
+        for await (const chunk of stream) {
+            if (chunk.delta) {
+                fullMessage += chunk.delta;
+                unreportedText += chunk.delta;
+                writeEvent(res, 'delta', { content: chunk.delta });
+            }
+
+            if (chunk.tool) {
+                toolTrace.push(chunk.tool);
+                writeEvent(res, 'tool', chunk.tool);
+            }
+
+            if (chunk.usage) {
+                usage = addUsage(usage, chunk.usage);
+                unreportedText = '';
+            }
+        }
+    } finally {
+        // A stream cut short by the client or an upstream error is still charged,
+        // estimating the round the provider never reported
+        const spent = unreportedText
+            ? addUsage(usage, estimateUsage(requestOptions.messages, unreportedText))
+            : usage;
+        await recordTokenUsage(req.quotaKey, spent);
+    }
+
+    // The safety notice goes out as a final delta so it's saved with the reply
+    if (safetyNotice) {
+        const addition = `\n\n${safetyNotice}`;
+        fullMessage += addition;
+        writeEvent(res, 'delta', { content: addition });
+    }
+
+    if (NODE_ENV === 'development') {
+        console.log(`📥 Finished streaming response from ${provider.name}`);
+    }
+
+    writeEvent(res, 'done', { success: true, message: fullMessage, usage, context, tools: toolTrace, ...promptInfo });
+    res.end();
+}
+
+/**
+ * Answer a screened message with its templated response instead of calling the model
+ * Uses the same shape as a normal reply (JSON or a delta + done event stream)
+ * @param {Object} res - Express response
+ * @param {Object} rule - Matching screening rule
+ * @param {boolean} stream - Whether the client asked for Server-Sent Events
+ */
+function sendScreenedResponse(res, rule, stream) {
+    const screened = { category: rule.category };
+
+    if (!stream) {
+        return res.json({ success: true, message: rule.response, usage: null, screened });
+    }
+
+    res.status(200);
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    writeEvent(res, 'delta', { content: rule.response });
+    writeEvent(res, 'done', { success: true, message: rule.response, usage: null, screened });
+    res.end();
+}
+
 // Main chat endpoint
-app.post('/api/chat', async (req, res) => {
+app.post('/api/chat', rateLimit, async (req, res) => {
+    // Cancels the model call when the client disconnects (Stop button) or it takes too long
+    const upstream = watchUpstream(res);
+
     try {
-        const { messages, userProfile } = req.body;
+        const { messages, conversationId, stream = false } = req.body;
+
+        // Signed-in users get their stored profile, the body is only trusted for anonymous chats
+        const userProfile = req.user ? req.user.profile : req.body.userProfile;
 
         // Validate the message request
         if (!messages || !Array.isArray(messages) || messages.length === 0) {
@@ -59,77 +233,165 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        // Validate the API Key
-        if (!process.env.OPENAI_API_KEY) {
+        // Only the server writes system messages, the history is user and assistant turns
+        if (!messages.every(message => CHAT_ROLES.includes(message?.role) && typeof message.content === 'string')) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid request",
+                details: `Each message needs a role of ${CHAT_ROLES.join(' or ')} and text content`
+            });
+        }
+
+        // An explicit choice wins over the persona saved in the profile
+        const personaId = req.body.persona ?? userProfile?.preferences?.persona;
+        if (req.body.persona !== undefined && !isPersona(req.body.persona)) {
+            return res.status(400).json({
+                success: false,
+                error: "Invalid request",
+                details: `Persona must be one of: ${Object.keys(PERSONAS).join(', ')}`
+            });
+        }
+        const persona = getPersona(personaId);
+
+        // Screen the user's messages locally before anything is sent upstream
+        // (all of them, the history is whatever the client posted)
+        const lastUserMessage = messages[messages.length - 1].content;
+        const screened = screenConversation(messages);
+        if (screened) {
+            await recordScreeningHit({
+                category: screened.rule.category,
+                message: screened.message,
+                ownerKey: req.ownerKey,
+                conversationId
+            });
+            return sendScreenedResponse(res, screened.rule, stream);
+        }
+
+        // Validate the provider configuration
+        if (!provider.isConfigured()) {
             return res.status(500).json({
                 success: false,
                 error: "Server configuration error",
-                details: "OpenAI API key is not configured"
+                details: `The ${provider.name} provider is not configured`
             });
         }
 
-        // Create personalized system prompt
-        const systemMessage = {
-            role: 'system',
-            content: `You are an enthusiastic and knowledgeable AI fitness coach. Your name is "Gym Buddy".
-
-USER PROFILE:
-${userProfile ? `
-- Goals: ${Array.isArray(userProfile.goals) ? userProfile.goals.join(', ') : userProfile.goals || 'General fitness'}
-- Fitness Level: ${userProfile.level || 'Not specified'}
-- Available Equipment: ${Array.isArray(userProfile.equipment) ? userProfile.equipment.join(', ') : userProfile.equipment || 'Not specified'}
-- Workout Time: ${userProfile.time || 'Not specified'}
-` : 'Profile not yet completed'}
-
-INSTRUCTIONS:
-- Provide personalized, actionable fitness advice based on their profile
-- Be encouraging, motivational, and supportive
-- Focus on practical workout suggestions they can actually do
-- Give specific exercises when appropriate
-- Keep responses conversational and engaging
-- If they ask for workout plans, provide structured, detailed routines
-- Always consider their fitness level and available equipment
-- Promote safe exercise practices
-- Keep responses under 300 words unless they specifically ask for detailed plans
-
-Remember: You're their personal trainer and motivational coach!`
-        };
+        // Recent logged sessions so coaching reflects real training
+        const trainingHistory = await getRecentWorkoutSummary(req.ownerKey);
+
+        // "What should I lift today?" gets concrete targets from the progression engine
+        const todaysTargets = isTodaysTargetsQuestion(lastUserMessage)
+            ? formatTargetsForPrompt(await getTargetsForRecentExercises(userProfile?.level, req.ownerKey))
+            : null;
+
+        // Declared injuries/conditions become hard rules, described symptoms get a notice
+        const safetyRules = formatSafetyRulesForPrompt(userProfile);
+        const safetyNotice = getSafetyNotice(lastUserMessage);
+
+        // Computed calorie and macro targets keep diet advice consistent with the nutrition card
+        const nutrition = formatNutritionForPrompt(getNutritionTargets(userProfile));
+
+        // Create personalized system prompt from the active template version
+        const prompt = await renderPrompt('chat', {
+            name: userProfile?.name?.trim() || 'the user',
+            level: userProfile?.level || 'unknown',
+            personaName: persona.name,
+            personaStyle: persona.style.map(line => `- ${line}`).join('\n'),
+            profile: formatProfileForPrompt(userProfile),
+            exercises: formatAvailableExercises(userProfile),
+            trainingHistory,
+            todaysTargets,
+            safetyRules,
+            nutrition
+        });
+        const systemMessage = { role: 'system', content: prompt.content };
+        const promptInfo = { persona: persona.id, promptVersion: prompt.version };
 
         if (NODE_ENV === 'development') {
-            console.log("📤 Sending request to OpenAI");
+            console.log(`📤 Sending request to ${provider.name} (${provider.model}) with ${prompt.version}, ${persona.id} persona`);
         }
 
-        const completion = await openai.chat.completions.create({
-            model: 'gpt-4o-mini',
-            messages: [systemMessage, ...messages],
-            max_tokens: 1000,
-            temperature: 0.7
+        // Fit the history into the token budget (older turns become a summary)
+        const { messages: contextMessages, context, usage: summaryUsage } = await buildContext({
+            provider,
+            messages,
+            conversationId,
+            ownerKey: req.ownerKey,
+            signal: upstream.signal
         });
 
-        // FIXED: Extract content from the message object
-        const aiResponse = completion.choices[0].message.content;
+        // Summarizing is a model call too, it counts towards the daily quota
+        await recordTokenUsage(req.quotaKey, summaryUsage);
+
+        const requestOptions = {
+            messages: [systemMessage, ...contextMessages],
+            maxTokens: 1000,
+            temperature: 0.7,
+            signal: upstream.signal
+        };
+
+        // Tools act for whoever sent the request, with the same profile the prompt was built from
+        const toolContext = { ownerKey: req.ownerKey, userProfile };
+
+        // Stream the reply as Server-Sent Events when the client asks for it
+        if (stream) {
+            return await streamCompletion(req, res, requestOptions, { context, safetyNotice, promptInfo, toolContext });
+        }
+
+        const completion = await completeWithTools(provider, requestOptions, toolContext);
+        const aiResponse = safetyNotice ? `${completion.message}\n\n${safetyNotice}` : completion.message;
+        await recordTokenUsage(req.quotaKey, completion.usage);
         
         if (NODE_ENV === 'development') {
-            console.log("📥 Received response from OpenAI");
+            console.log(`📥 Received response from ${provider.name}`);
             console.log("🔍 AI Response Content:", aiResponse);
         }
 
         res.json({
             success: true,
             message: aiResponse, // Now returning the actual content string
-            usage: completion.usage
+            usage: completion.usage,
+            context,
+            tools: completion.toolTrace,
+            ...promptInfo
         });
 
     } catch (error) {
-        console.error('❌ OpenAI API error:', error);
+        const abortReason = upstream.getReason();
+
+        // Nobody is listening any more, the upstream call has already been cancelled
+        if (abortReason?.code === 'client_disconnected') {
+            console.log(`🛑 Client disconnected, cancelled ${provider.name} request`);
+            return;
+        }
+
+        if (abortReason) {
+            console.error(`⏱️ ${provider.name} request timed out:`, abortReason.message);
+
+            if (res.headersSent) {
+                writeEvent(res, 'error', { error: 'Upstream timeout', details: abortReason.message });
+                return res.end();
+            }
+            return res.status(504).json({
+                success: false,
+                error: 'Upstream timeout',
+                details: abortReason.message
+            });
+        }
+
+        console.error(`❌ ${provider.name} API error:`, error);
+
+        // Headers already went out as an event stream, report the error in-band
+        if (res.headersSent) {
+            writeEvent(res, 'error', { error: 'Failed to generate response', details: error.message });
+            return res.end();
+        }
         
         // Handle different types of errors
         if (error.status === 429) {
-            return res.status(429).json({ 
-                success: false,
-                error: 'Rate limit exceeded', 
-                details: 'Too many requests. Please try again later.' 
-            });
+            // Pass on the upstream hint when there is one
+            const retryAfter = Number(error.headers?.['retry-after']) || 30;
+            return sendRateLimited(res, retryAfter, 'upstream_rate_limited', 'Too many requests. Please try again later.');
         }
         
         if (error.status === 401) {
@@ -148,6 +410,8 @@ Remember: You're their personal trainer and motivational coach!`
         };
 
         res.status(500).json(errorResponse);
+    } finally {
+        upstream.done();
     }
 });
 
@@ -174,10 +438,16 @@ app.use((req, res) => {
 app.listen(PORT, () => {
     console.log(`🚀 AI Gym Buddy server running on port ${PORT}`);
     console.log(`📊 Environment: ${NODE_ENV}`);
-    console.log(`🔑 OpenAI API Key: ${process.env.OPENAI_API_KEY ? '✅ Configured' : '❌ Missing'}`);
+    console.log(`🤖 LLM Provider: ${provider.name} (${provider.model}) ${provider.isConfigured() ? '✅ Configured' : '❌ Missing API key'}`);
     
     if (NODE_ENV === 'development') {
         console.log(`🔗 Health check: http://localhost:${PORT}/api/health`);
         console.log(`🤖 Chat endpoint: http://localhost:${PORT}/api/chat`);
+        console.log(`🗂️  Conversations: http://localhost:${PORT}/api/conversations`);
+        console.log(`📋 Plans endpoint: http://localhost:${PORT}/api/plans`);
+        console.log(`🏋️  Workouts: http://localhost:${PORT}/api/workouts`);
+        console.log(`📈 Progression: http://localhost:${PORT}/api/progression`);
+        console.log(`📚 Exercises: http://localhost:${PORT}/api/exercises`);
+        console.log(`🔐 Auth: http://localhost:${PORT}/api/auth`);
     }
 });
\ No newline at end of file
@@ -0,0 +1,201 @@
+// Nutrition calculator
+// BMR (Mifflin-St Jeor), TDEE, goal-adjusted calorie targets and macro splits from the onboarding profile
+
+// Mifflin-St Jeor sex constant (kcal); 'Prefer not to say' uses the midpoint
+const SEX_CONSTANT = {
+    'Male': 5,
+    'Female': -161,
+    'Prefer not to say': -78
+};
+
+// Activity multipliers by training days per week (schedule question)
+const ACTIVITY_LEVELS = [
+    { maxDays: 0, multiplier: 1.2, label: 'Sedentary' },
+    { maxDays: 2, multiplier: 1.375, label: 'Lightly active' },
+    { maxDays: 4, multiplier: 1.55, label: 'Moderately active' },
+    { maxDays: 6, multiplier: 1.725, label: 'Very active' },
+    { maxDays: 7, multiplier: 1.9, label: 'Extremely active' }
+];
+
+// Used when the schedule question wasn't answered
+const DEFAULT_DAYS_PER_WEEK = 3;
+
+// Calorie adjustment and protein (g per kg of body weight) per onboarding goal
+const GOAL_SETTINGS = {
+    'Weight Loss': { adjustment: -0.2, proteinPerKg: 2.0, description: '20% deficit' },
+    'Muscle Building': { adjustment: 0.1, proteinPerKg: 1.8, description: '10% surplus' },
+    'Strength Training': { adjustment: 0, proteinPerKg: 1.8, description: 'maintenance' },
+    'Endurance': { adjustment: 0, proteinPerKg: 1.4, description: 'maintenance' },
+    'General Fitness': { adjustment: 0, proteinPerKg: 1.6, description: 'maintenance' }
+};
+
+// Share of calories from fat, with a floor so low-calorie targets keep enough
+const FAT_SHARE = 0.25;
+const MIN_FAT_PER_KG = 0.6;
+
+// Deficits never go below this or the BMR, whichever is higher (kcal)
+const MIN_CALORIES = { 'Male': 1500, 'Female': 1200, 'Prefer not to say': 1350 };
+
+const KCAL_PER_GRAM = { protein: 4, carbs: 4, fat: 9 };
+
+const CM_PER_INCH = 2.54;
+const KG_PER_POUND = 0.45359237;
+
+// Goals the calculator knows about
+export const NUTRITION_GOALS = Object.keys(GOAL_SETTINGS);
+
+/**
+ * Convert a height answer to centimetres
+ * @param {Object} height - { value, unit } with unit 'cm' or 'in'
+ * @returns {number|null} Height in cm
+ */
+function toCentimetres(height) {
+    if (!Number.isFinite(height?.value)) return null;
+    return height.unit === 'in' ? height.value * CM_PER_INCH : height.value;
+}
+
+/**
+ * Convert a weight answer to kilograms
+ * @param {Object} weight - { value, unit } with unit 'kg' or 'lb'
+ * @returns {number|null} Weight in kg
+ */
+function toKilograms(weight) {
+    if (!Number.isFinite(weight?.value)) return null;
+    return weight.unit === 'lb' ? weight.value * KG_PER_POUND : weight.value;
+}
+
+/**
+ * Pull the calculator inputs out of an onboarding profile
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {Object} { input, missing } where missing lists the metrics that weren't answered
+ */
+export function getNutritionInput(userProfile) {
+    const metrics = userProfile?.bodyMetrics || {};
+    const daysPerWeek = userProfile?.schedule?.daysPerWeek;
+
+    const input = {
+        age: Number.isFinite(metrics.age) ? metrics.age : null,
+        sex: Object.hasOwn(SEX_CONSTANT, metrics.sex) ? metrics.sex : null,
+        heightCm: toCentimetres(metrics.height),
+        weightKg: toKilograms(metrics.weight),
+        daysPerWeek: Number.isInteger(daysPerWeek) ? daysPerWeek : DEFAULT_DAYS_PER_WEEK,
+        goal: Object.hasOwn(GOAL_SETTINGS, userProfile?.goals) ? userProfile.goals : 'General Fitness'
+    };
+
+    const missing = [
+        ['age', 'age'],
+        ['sex', 'sex'],
+        ['heightCm', 'height'],
+        ['weightKg', 'weight']
+    ].filter(([key]) => input[key] === null || input[key] <= 0).map(([, label]) => label);
+
+    return { input, missing };
+}
+
+/**
+ * Pick the activity level for a number of training days
+ * @param {number} daysPerWeek - Training days per week (0-7)
+ * @returns {Object} { maxDays, multiplier, label }
+ */
+function getActivityLevel(daysPerWeek) {
+    return ACTIVITY_LEVELS.find(level => daysPerWeek <= level.maxDays) || ACTIVITY_LEVELS[ACTIVITY_LEVELS.length - 1];
+}
+
+/**
+ * Describe one macro in grams, calories and share of the target
+ * @param {number} grams - Grams per day
+ * @param {string} macro - 'protein', 'carbs' or 'fat'
+ * @param {number} calories - Daily calorie target
+ * @returns {Object} { grams, calories, percent }
+ */
+function describeMacro(grams, macro, calories) {
+    const rounded = Math.max(0, Math.round(grams));
+    const macroCalories = rounded * KCAL_PER_GRAM[macro];
+
+    return {
+        grams: rounded,
+        calories: macroCalories,
+        percent: Math.round((macroCalories / calories) * 100)
+    };
+}
+
+/**
+ * Calculate daily calorie and macro targets
+ * @param {Object} input - From getNutritionInput ({ age, sex, heightCm, weightKg, daysPerWeek, goal })
+ * @returns {Object} { bmr, tdee, calories, goal, adjustment, activity, macros: { protein, carbs, fat }, warning }
+ */
+export function calculateNutritionTargets({ age, sex, heightCm, weightKg, daysPerWeek, goal }) {
+    const settings = GOAL_SETTINGS[goal] || GOAL_SETTINGS['General Fitness'];
+    const activity = getActivityLevel(daysPerWeek);
+
+    const bmr = 10 * weightKg + 6.25 * heightCm - 5 * age + SEX_CONSTANT[sex];
+    const tdee = bmr * activity.multiplier;
+
+    // Deficits stop at a safe floor; round to the nearest 10 kcal so targets don't look falsely precise
+    const floor = Math.max(bmr, MIN_CALORIES[sex]);
+    const adjusted = tdee * (1 + settings.adjustment);
+    const calories = Math.round((settings.adjustment < 0 ? Math.max(adjusted, floor) : adjusted) / 10) * 10;
+
+    // Protein by body weight, fat by share (with a floor), carbs make up the rest
+    const proteinGrams = settings.proteinPerKg * weightKg;
+    const fatGrams = Math.max((calories * FAT_SHARE) / KCAL_PER_GRAM.fat, MIN_FAT_PER_KG * weightKg);
+    const carbGrams = (calories - proteinGrams * KCAL_PER_GRAM.protein - fatGrams * KCAL_PER_GRAM.fat) / KCAL_PER_GRAM.carbs;
+
+    // Carbs only run short on targets under ~11 kcal/kg, where fat's share is already below its floor
+    // and there is no fat left to give. Say so rather than hide it in a 0 g carb line
+    const macroCalories = Math.round(proteinGrams * KCAL_PER_GRAM.protein + fatGrams * KCAL_PER_GRAM.fat);
+    const warning = carbGrams < 0
+        ? `Protein and minimum fat come to about ${macroCalories} kcal, above the ${calories} kcal target. Check your body metrics or talk to a dietitian before following these numbers.`
+        : null;
+
+    return {
+        formula: 'Mifflin-St Jeor',
+        bmr: Math.round(bmr),
+        tdee: Math.round(tdee),
+        calories,
+        goal,
+        adjustment: settings.description,
+        activity: {
+            daysPerWeek,
+            multiplier: activity.multiplier,
+            label: activity.label
+        },
+        macros: {
+            protein: describeMacro(proteinGrams, 'protein', calories),
+            carbs: describeMacro(carbGrams, 'carbs', calories),
+            fat: describeMacro(fatGrams, 'fat', calories)
+        },
+        warning
+    };
+}
+
+/**
+ * Calculate targets straight from a profile
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {Object|null} Targets, or null when body metrics are missing
+ */
+export function getNutritionTargets(userProfile) {
+    const { input, missing } = getNutritionInput(userProfile);
+    return missing.length > 0 ? null : calculateNutritionTargets(input);
+}
+
+/**
+ * Format targets for the system prompt
+ * @param {Object|null} targets - From calculateNutritionTargets
+ * @returns {string} Targets section, or '' when there are no targets
+ */
+export function formatNutritionForPrompt(targets) {
+    if (!targets) {
+        return '';
+    }
+
+    const { protein, carbs, fat } = targets.macros;
+
+    return [
+        `- Goal: ${targets.goal} (${targets.adjustment})`,
+        `- BMR: ${targets.bmr} kcal, TDEE: ${targets.tdee} kcal (${targets.activity.label}, ${targets.activity.daysPerWeek} training days/week)`,
+        `- Daily target: ${targets.calories} kcal`,
+        `- Protein: ${protein.grams} g, Carbs: ${carbs.grams} g, Fat: ${fat.grams} g`,
+        ...(targets.warning ? [`- Warning: ${targets.warning}`] : [])
+    ].join('\n');
+}
@@ -0,0 +1,60 @@
+// Nutrition checks
+// Mifflin-St Jeor for both sexes, the goal adjustments and flagged targets that protein and fat overrun
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { calculateNutritionTargets, getNutritionTargets, formatNutritionForPrompt } from './nutrition.js';
+
+const BASE = { age: 30, heightCm: 180, weightKg: 80, daysPerWeek: 3 };
+
+/**
+ * Total calories of the rounded macros
+ * @param {Object} targets - From calculateNutritionTargets
+ * @returns {number} kcal
+ */
+function macroCalories(targets) {
+    return Object.values(targets.macros).reduce((total, macro) => total + macro.calories, 0);
+}
+
+test('BMR follows Mifflin-St Jeor for both sexes', () => {
+    // 10 * 80 + 6.25 * 180 - 5 * 30 = 1775
+    assert.equal(calculateNutritionTargets({ ...BASE, sex: 'Male', goal: 'Strength' }).bmr, 1780);
+    assert.equal(calculateNutritionTargets({ ...BASE, sex: 'Female', goal: 'Strength' }).bmr, 1614);
+});
+
+test('goals adjust calories from TDEE', () => {
+    const maintain = calculateNutritionTargets({ ...BASE, sex: 'Male', goal: 'Strength' });
+    const gain = calculateNutritionTargets({ ...BASE, sex: 'Male', goal: 'Muscle Building' });
+    const lose = calculateNutritionTargets({ ...BASE, sex: 'Male', goal: 'Weight Loss' });
+
+    // 3 days/week is moderately active: 1780 * 1.55 = 2759
+    assert.equal(maintain.tdee, 2759);
+    assert.equal(maintain.calories, 2760);
+    assert.equal(gain.calories, 3030);
+    assert.equal(lose.calories, 2210);
+    assert.equal(maintain.activity.multiplier, 1.55);
+});
+
+test('a deficit never goes below BMR', () => {
+    const sedentary = calculateNutritionTargets({ ...BASE, sex: 'Male', daysPerWeek: 0, goal: 'Weight Loss' });
+    assert.equal(sedentary.calories, 1780);
+});
+
+test('macros add up to the calorie target', () => {
+    const targets = calculateNutritionTargets({ ...BASE, sex: 'Female', goal: 'General Fitness' });
+    assert.ok(Math.abs(macroCalories(targets) - targets.calories) <= 10);
+    assert.equal(targets.warning, null);
+});
+
+test('targets are flagged when protein and the fat floor exceed them', () => {
+    const targets = calculateNutritionTargets({ age: 70, sex: 'Female', heightCm: 150, weightKg: 140, daysPerWeek: 0, goal: 'Weight Loss' });
+
+    assert.equal(targets.macros.carbs.grams, 0);
+    assert.ok(macroCalories(targets) > targets.calories);
+    assert.match(targets.warning, /above the \d+ kcal target/);
+    assert.match(formatNutritionForPrompt(targets), /- Warning: /);
+});
+
+test('missing body metrics give no targets', () => {
+    assert.equal(getNutritionTargets({ bodyMetrics: { age: 30, sex: 'Male' } }), null);
+});
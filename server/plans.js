@@ -0,0 +1,162 @@
+// Structured workout plan generation
+// Asks the model for a plan as JSON and validates it against PLAN_SCHEMA
+
+import { validate } from './schema.js';
+import { formatProfileForPrompt } from './profile.js';
+import { formatAvailableExercises } from './exercises.js';
+import { formatSafetyRulesForPrompt, applySafetyToPlan } from './safety.js';
+import { addUsage } from './tokens.js';
+
+// Shape of a generated plan (strict: every property required, nothing extra)
+// The length and range limits are checked by validate(); the provider leaves them out of strict requests
+export const PLAN_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['title', 'summary', 'days', 'notes'],
+    properties: {
+        title: { type: 'string', minLength: 1 },
+        summary: { type: 'string' },
+        days: {
+            type: 'array',
+            minItems: 1,
+            maxItems: 7,
+            items: {
+                type: 'object',
+                additionalProperties: false,
+                required: ['day', 'name', 'focus', 'exercises'],
+                properties: {
+                    day: { type: 'integer', minimum: 1, maximum: 7 },
+                    name: { type: 'string', minLength: 1 },
+                    focus: { type: 'string' },
+                    exercises: {
+                        type: 'array',
+                        minItems: 1,
+                        items: {
+                            type: 'object',
+                            additionalProperties: false,
+                            required: ['name', 'sets', 'reps', 'rest', 'notes'],
+                            properties: {
+                                name: { type: 'string', minLength: 1 },
+                                sets: { type: 'integer', minimum: 1, maximum: 10 },
+                                reps: { type: 'string', minLength: 1 },
+                                rest: { type: 'string' },
+                                notes: { type: 'string' }
+                            }
+                        }
+                    }
+                }
+            }
+        },
+        notes: { type: 'string' }
+    }
+};
+
+// How many times to ask again when the model returns an invalid plan
+const MAX_ATTEMPTS = 2;
+
+/**
+ * Build the prompt messages for plan generation
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @param {string} [request] - Extra instructions from the user (e.g. "upper/lower split")
+ * @returns {Array} Chat messages
+ */
+function buildPlanMessages(userProfile, request) {
+    const safetyRules = formatSafetyRulesForPrompt(userProfile);
+
+    return [
+        {
+            role: 'system',
+            content: `You are "Gym Buddy", an expert AI fitness coach. Create a weekly workout plan as JSON matching the provided schema.
+
+USER PROFILE:
+${formatProfileForPrompt(userProfile)}
+
+EXERCISE LIBRARY (matching their equipment and level):
+${formatAvailableExercises(userProfile)}
+${safetyRules ? `
+HEALTH CONDITIONS (never program exercises these rules exclude):
+${safetyRules}
+` : ''}
+RULES:
+- Only use exercises the user can do with their available equipment, preferring the library above
+- Match volume and exercise difficulty to their fitness level
+- Each session must fit in their workout time
+- "reps" may be a range ("8-12") or a duration ("30s"), "rest" is like "60s"
+- Use "notes" for form cues, leave it empty when there is nothing to add`
+        },
+        {
+            role: 'user',
+            content: request?.trim() || 'Create a workout plan for me.'
+        }
+    ];
+}
+
+/**
+ * Generate a validated workout plan
+ * @param {Object} options
+ * @param {Object} options.provider - LLM provider
+ * @param {Object} options.userProfile - Profile answers from onboarding
+ * @param {string} [options.request] - Extra instructions from the user
+ * @param {AbortSignal} [options.signal] - Cancels the model call (client disconnect or timeout)
+ * @returns {Promise<Object>} { plan, usage, safety: { removed, flagged } } where usage covers every attempt
+ * @throws {Error} With `usage` set to what the attempts so far cost, and `code` 'invalid_plan'
+ * when every attempt returned an unusable plan
+ */
+export async function generatePlan({ provider, userProfile, request, signal }) {
+    const messages = buildPlanMessages(userProfile, request);
+    let lastErrors = [];
+    let usage = null;
+
+    for (let attempt = 1; attempt <= MAX_ATTEMPTS; attempt++) {
+        let completion;
+        try {
+            completion = await provider.complete({
+                messages,
+                maxTokens: 2000,
+                temperature: 0.4,
+                jsonSchema: { name: 'workout_plan', schema: PLAN_SCHEMA },
+                signal
+            });
+        } catch (error) {
+            // Earlier attempts were still spent
+            error.usage = usage;
+            throw error;
+        }
+        usage = addUsage(usage, completion.usage);
+
+        let plan;
+        try {
+            plan = JSON.parse(completion.message);
+            lastErrors = validate(plan, PLAN_SCHEMA);
+        } catch (error) {
+            lastErrors = [`Response is not valid JSON: ${error.message}`];
+        }
+
+        if (lastErrors.length === 0) {
+            // Backstop for the prompt rules: drop contraindicated exercises, flag risky ones
+            const { plan: safePlan, removed, flagged } = applySafetyToPlan(plan, userProfile);
+
+            if (safePlan.days.length > 0) {
+                if (removed.length > 0) {
+                    console.warn('⚠️ Removed contraindicated exercises from plan:', removed);
+                }
+                return { plan: safePlan, usage, safety: { removed, flagged } };
+            }
+
+            lastErrors = ['Every exercise in the plan is unsafe for the user\'s health conditions'];
+        }
+
+        console.warn(`⚠️ Invalid plan on attempt ${attempt}:`, lastErrors.slice(0, 5));
+
+        // Show the model what was wrong and try again
+        messages.push(
+            { role: 'assistant', content: completion.message },
+            { role: 'user', content: `That plan was invalid: ${lastErrors.slice(0, 5).join('; ')}. Return corrected JSON only.` }
+        );
+    }
+
+    const error = new Error(`Model returned an invalid plan: ${lastErrors.slice(0, 3).join('; ')}`);
+    error.code = 'invalid_plan';
+    error.usage = usage;
+    throw error;
+}
@@ -0,0 +1,92 @@
+// User profile helpers for prompts
+// Turns the onboarding answers into the text the model sees
+
+/**
+ * Join array answers (checkbox questions) into a readable list
+ * @param {string|Array} value - Answer value
+ * @param {string} fallback - Text when the answer is missing
+ * @returns {string} Display text
+ */
+export function formatAnswer(value, fallback = 'Not specified') {
+    if (Array.isArray(value)) {
+        return value.length > 0 ? value.join(', ') : fallback;
+    }
+    // Number answers with units, e.g. { value: 20, unit: 'km' }
+    if (value && typeof value === 'object' && 'value' in value) {
+        return value.value === null ? fallback : `${value.value} ${value.unit}`;
+    }
+    return value || value === 0 ? String(value) : fallback;
+}
+
+/**
+ * Format age, sex, height and weight from the onboarding body metrics
+ * @param {Object} bodyMetrics - { age, sex, height: { value, unit }, weight: { value, unit } }
+ * @returns {string} Extra profile lines (each starting with a newline) or ''
+ */
+function formatBodyMetrics(bodyMetrics) {
+    if (!bodyMetrics || typeof bodyMetrics !== 'object') {
+        return '';
+    }
+
+    const lines = [];
+
+    if (Number.isFinite(bodyMetrics.age)) {
+        lines.push(`- Age: ${bodyMetrics.age}`);
+    }
+    if (bodyMetrics.sex && bodyMetrics.sex !== 'Prefer not to say') {
+        lines.push(`- Sex: ${formatAnswer(bodyMetrics.sex)}`);
+    }
+    if (bodyMetrics.height?.value != null) {
+        lines.push(`- Height: ${formatAnswer(bodyMetrics.height)}`);
+    }
+    if (bodyMetrics.weight?.value != null) {
+        lines.push(`- Weight: ${formatAnswer(bodyMetrics.weight)}`);
+    }
+
+    return lines.map(line => `\n${line}`).join('');
+}
+
+/**
+ * Format the optional follow-up answers from onboarding (only the ones the user gave)
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {string} Extra profile lines (each starting with a newline) or ''
+ */
+function formatFollowUps(userProfile) {
+    const lines = [];
+
+    if (userProfile.runningExperience) {
+        lines.push(`- Running Experience: ${formatAnswer(userProfile.runningExperience)}`);
+    }
+    if (userProfile.weeklyDistance?.value != null) {
+        lines.push(`- Weekly Running Distance: ${formatAnswer(userProfile.weeklyDistance)}`);
+    }
+    if (userProfile.schedule) {
+        const { daysPerWeek, timeOfDay } = userProfile.schedule;
+        lines.push(`- Training Schedule: ${formatAnswer(daysPerWeek)} days per week, ${formatAnswer(timeOfDay)}`);
+    }
+    if (typeof userProfile.notes === 'string' && userProfile.notes.trim()) {
+        lines.push(`- Notes From The User: ${userProfile.notes.trim().slice(0, 300)}`);
+    }
+
+    return lines.map(line => `\n${line}`).join('');
+}
+
+/**
+ * Format the user profile for the system prompt
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {string} Profile section of the prompt
+ */
+export function formatProfileForPrompt(userProfile) {
+    if (!userProfile) {
+        return 'Profile not yet completed';
+    }
+
+    const name = typeof userProfile.name === 'string' && userProfile.name.trim()
+        ? `- Name: ${userProfile.name.trim().slice(0, 50)}\n`
+        : '';
+
+    return `${name}- Goals: ${formatAnswer(userProfile.goals, 'General fitness')}
+- Fitness Level: ${formatAnswer(userProfile.level)}${formatBodyMetrics(userProfile.bodyMetrics)}
+- Available Equipment: ${formatAnswer(userProfile.equipment)}
+- Workout Time: ${formatAnswer(userProfile.time)}${formatFollowUps(userProfile)}`;
+}
@@ -0,0 +1,257 @@
+// Progressive overload engine
+// Turns an exercise's logged history and the user's level into next-session targets
+// using double progression (add reps, then load) with a deload after stalls
+
+import { listWorkouts } from './workouts.js';
+
+// Progression settings per fitness level (from the onboarding 'level' question)
+const LEVEL_SETTINGS = {
+    Beginner: { repRange: [8, 12], sets: 3, loadIncrease: 0.05, stallSessions: 3 },
+    Intermediate: { repRange: [6, 10], sets: 4, loadIncrease: 0.025, stallSessions: 3 },
+    Advanced: { repRange: [4, 8], sets: 4, loadIncrease: 0.0125, stallSessions: 4 }
+};
+
+// How much to drop the load after a stall
+const DELOAD_FACTOR = 0.9;
+
+// Sessions at or above this RPE are treated as too hard to progress from
+const MAX_PROGRESS_RPE = 9;
+
+// Smallest practical plate jump per unit
+const LOAD_STEP = { kg: 2.5, lb: 5 };
+
+// Sessions logged in different units are compared in kg
+const KG_PER_LB = 0.45359237;
+
+// Levels the engine knows about
+export const LEVELS = Object.keys(LEVEL_SETTINGS);
+
+/**
+ * Get the progression settings for a fitness level
+ * @param {string} level - 'Beginner', 'Intermediate' or 'Advanced'
+ * @returns {Object} Settings (defaults to Beginner)
+ */
+function getSettings(level) {
+    return LEVEL_SETTINGS[level] || LEVEL_SETTINGS.Beginner;
+}
+
+/**
+ * Round a load to the nearest plate step
+ * @param {number} load - Load
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {number} Rounded load
+ */
+function roundLoad(load, unit) {
+    const step = LOAD_STEP[unit] || LOAD_STEP.kg;
+    return Math.round(load / step) * step;
+}
+
+/**
+ * Estimated one-rep max (Epley) in kg, used to compare sessions
+ * Bodyweight sessions are compared by reps alone
+ * @param {Object} session - { load, reps, unit }
+ * @returns {number} Performance score
+ */
+function performance(session) {
+    if (session.load === null) {
+        return session.reps;
+    }
+    const loadKg = session.unit === 'lb' ? session.load * KG_PER_LB : session.load;
+    return loadKg * (1 + session.reps / 30);
+}
+
+/**
+ * Check whether the most recent sessions failed to beat the one before them
+ * @param {Array} history - Sessions, newest first
+ * @param {number} stallSessions - How many flat sessions count as a stall
+ * @returns {boolean} True if progress has stalled
+ */
+function hasStalled(history, stallSessions) {
+    if (history.length <= stallSessions) {
+        return false;
+    }
+
+    const baseline = performance(history[stallSessions]);
+    return history.slice(0, stallSessions).every(session => performance(session) <= baseline);
+}
+
+/**
+ * Get an exercise's logged history, newest first
+ * @param {string} exercise - Exercise name (case-insensitive)
+ * @param {string} ownerKey - Owner of the workout log
+ * @returns {Promise<Array>} Sessions ({ date, unit, sets, reps, load, rpe })
+ */
+export async function getExerciseHistory(exercise, ownerKey) {
+    const name = exercise.trim().toLowerCase();
+    const workouts = await listWorkouts({ ownerKey, exercise });
+
+    return workouts.flatMap(workout =>
+        workout.entries
+            .filter(entry => entry.exercise.toLowerCase() === name)
+            .map(entry => ({
+                date: workout.date,
+                unit: workout.unit,
+                sets: entry.sets,
+                reps: entry.reps,
+                load: entry.load,
+                rpe: entry.rpe
+            }))
+    );
+}
+
+/**
+ * Compute the next session's targets for an exercise
+ * @param {string} exercise - Exercise name
+ * @param {Array} history - Logged sessions for the exercise, newest first
+ * @param {string} level - Fitness level from the user profile
+ * @returns {Object} Targets ({ exercise, action, sets, repRange, targetReps, load, unit, reason, lastSession })
+ */
+export function computeNextTargets(exercise, history, level) {
+    const settings = getSettings(level);
+    const [minReps, maxReps] = settings.repRange;
+
+    if (history.length === 0) {
+        return {
+            exercise,
+            action: 'start',
+            sets: settings.sets,
+            repRange: settings.repRange,
+            targetReps: minReps,
+            load: null,
+            unit: null,
+            reason: `No sessions logged yet. Pick a load you can lift for ${maxReps} clean reps and stop at ${minReps}.`,
+            lastSession: null
+        };
+    }
+
+    const last = history[0];
+    const unit = last.unit || 'kg';
+    const targets = {
+        exercise,
+        sets: last.sets || settings.sets,
+        repRange: settings.repRange,
+        unit,
+        lastSession: last
+    };
+
+    if (hasStalled(history, settings.stallSessions)) {
+        const isBodyweight = last.load === null;
+        return {
+            ...targets,
+            action: 'deload',
+            load: isBodyweight ? null : roundLoad(last.load * DELOAD_FACTOR, unit),
+            targetReps: minReps,
+            reason: isBodyweight
+                ? `No progress in the last ${settings.stallSessions} sessions. Use an easier variation or one fewer set this week, then rebuild.`
+                : `No progress in the last ${settings.stallSessions} sessions. Drop the load ~10% and rebuild.`
+        };
+    }
+
+    const tooHard = last.rpe !== null && last.rpe >= MAX_PROGRESS_RPE;
+
+    if (last.load === null) {
+        // Bodyweight: progress reps, then make the movement harder
+        if (last.reps >= maxReps && !tooHard) {
+            return {
+                ...targets,
+                action: 'increase',
+                load: null,
+                targetReps: minReps,
+                reason: `You hit ${last.reps} reps. Move to a harder variation or add load, then build back up.`
+            };
+        }
+        return {
+            ...targets,
+            action: tooHard ? 'hold' : 'progress-reps',
+            load: null,
+            targetReps: tooHard ? last.reps : Math.min(last.reps + 1, maxReps),
+            reason: tooHard
+                ? `Last session was RPE ${last.rpe}. Repeat it and aim for cleaner reps.`
+                : 'Add a rep per set this session.'
+        };
+    }
+
+    if (last.reps >= maxReps && !tooHard) {
+        const step = LOAD_STEP[unit] || LOAD_STEP.kg;
+        const load = Math.max(roundLoad(last.load * (1 + settings.loadIncrease), unit), last.load + step);
+        return {
+            ...targets,
+            action: 'increase',
+            load,
+            targetReps: minReps,
+            reason: `You hit the top of the ${minReps}-${maxReps} rep range. Increase the load and start again at ${minReps} reps.`
+        };
+    }
+
+    if (tooHard) {
+        return {
+            ...targets,
+            action: 'hold',
+            load: last.load,
+            targetReps: Math.max(last.reps, minReps),
+            reason: `Last session was RPE ${last.rpe}. Keep the same load until it feels easier.`
+        };
+    }
+
+    return {
+        ...targets,
+        action: 'progress-reps',
+        load: last.load,
+        targetReps: Math.min(Math.max(last.reps + 1, minReps), maxReps),
+        reason: 'Keep the load and add a rep per set.'
+    };
+}
+
+/**
+ * Compute targets for one exercise from the stored log
+ * @param {string} exercise - Exercise name
+ * @param {string} level - Fitness level
+ * @param {string} ownerKey - Owner of the workout log
+ * @returns {Promise<Object>} Targets
+ */
+export async function getTargetsForExercise(exercise, level, ownerKey) {
+    const history = await getExerciseHistory(exercise, ownerKey);
+    return computeNextTargets(exercise.trim(), history, level);
+}
+
+/**
+ * Compute targets for every exercise trained in the recent sessions
+ * @param {string} level - Fitness level
+ * @param {string} ownerKey - Owner of the workout log
+ * @param {number} [sessions] - Number of recent sessions to look at
+ * @returns {Promise<Array>} Targets per exercise
+ */
+export async function getTargetsForRecentExercises(level, ownerKey, sessions = 5) {
+    const workouts = await listWorkouts({ ownerKey, limit: sessions });
+    const exercises = [...new Set(workouts.flatMap(workout => workout.entries.map(entry => entry.exercise)))];
+
+    return Promise.all(exercises.map(exercise => getTargetsForExercise(exercise, level, ownerKey)));
+}
+
+/**
+ * Describe targets for the system prompt, e.g. "Squat: 3x6 @ 105kg (increase - ...)"
+ * @param {Array} targetsList - Targets per exercise
+ * @returns {string} Prompt section
+ */
+export function formatTargetsForPrompt(targetsList) {
+    if (targetsList.length === 0) {
+        return 'No logged sessions to base targets on yet';
+    }
+
+    return targetsList
+        .map(targets => {
+            const load = targets.load !== null ? ` @ ${targets.load}${targets.unit}` : '';
+            return `- ${targets.exercise}: ${targets.sets}x${targets.targetReps}${load} (${targets.action}) - ${targets.reason}`;
+        })
+        .join('\n');
+}
+
+/**
+ * Detect "what should I lift today?" style questions
+ * @param {string} message - User message
+ * @returns {boolean} True if the user is asking for today's targets
+ */
+export function isTodaysTargetsQuestion(message) {
+    return /what (should|do|can) i (lift|train|do|hit)( today)?|today'?s (workout|session|lifts?)|next (session|workout)|how much should i lift/i
+        .test(message || '');
+}
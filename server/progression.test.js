@@ -0,0 +1,28 @@
+// Progression engine checks
+// Sessions logged in kg and lb are compared by the same measure
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { computeNextTargets } from './progression.js';
+
+/**
+ * Build a logged session
+ * @param {number} load - Load lifted
+ * @param {string} unit - 'kg' or 'lb'
+ * @returns {Object} Session, 3x8 at RPE 8
+ */
+function session(load, unit) {
+    return { unit, sets: 3, reps: 8, load, rpe: 8 };
+}
+
+test('a heavier session in lb is not a stall against kg sessions', () => {
+    // 225 lb is about 102 kg
+    const history = [session(225, 'lb'), session(100, 'kg'), session(100, 'kg'), session(100, 'kg')];
+    assert.notEqual(computeNextTargets('Squat', history, 'Beginner').action, 'deload');
+});
+
+test('lighter sessions in lb count as a stall after a kg session', () => {
+    // 200 lb is about 91 kg
+    const history = [session(200, 'lb'), session(200, 'lb'), session(200, 'lb'), session(100, 'kg')];
+    assert.equal(computeNextTargets('Squat', history, 'Beginner').action, 'deload');
+});
@@ -0,0 +1,81 @@
+// Versioned prompt templates
+// Templates live in server/prompts/<name>.<version>.txt and use {{variable}} placeholders
+// plus {{#if variable}}...{{/if}} blocks that are dropped when the variable is empty
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+const PROMPTS_DIR = path.join(__dirname, 'prompts');
+
+// Active version per template (override with e.g. CHAT_PROMPT_VERSION=v1)
+export const PROMPT_VERSIONS = {
+    chat: process.env.CHAT_PROMPT_VERSION || 'v2'
+};
+
+const VERSION_PATTERN = /^v\d+$/;
+
+// Loaded templates, keyed by "<name>.<version>"
+const cache = new Map();
+
+/**
+ * Load a template file (cached after the first read)
+ * @param {string} name - Template name (e.g. 'chat')
+ * @param {string} version - Template version (e.g. 'v1')
+ * @returns {Promise<string>} Template source
+ */
+export async function loadTemplate(name, version) {
+    if (!VERSION_PATTERN.test(version) || !/^[a-z-]+$/.test(name)) {
+        throw new Error(`Invalid prompt template: ${name}.${version}`);
+    }
+
+    const id = `${name}.${version}`;
+    if (!cache.has(id)) {
+        cache.set(id, await fs.readFile(path.join(PROMPTS_DIR, `${id}.txt`), 'utf8'));
+    }
+
+    return cache.get(id);
+}
+
+/**
+ * Fill a template with variables
+ * Missing variables throw, so a typo in a template fails loudly instead of reaching the model
+ * @param {string} template - Template source
+ * @param {Object} variables - Values for the placeholders
+ * @returns {string} Rendered prompt
+ */
+export function renderTemplate(template, variables) {
+    const hasValue = (key) => {
+        if (!Object.hasOwn(variables, key)) {
+            throw new Error(`Missing prompt variable: ${key}`);
+        }
+        const value = variables[key];
+        return value !== null && value !== undefined && value !== '' && value !== false;
+    };
+
+    return template
+        .replace(/\{\{#if (\w+)\}\}([\s\S]*?)\{\{\/if\}\}/g, (match, key, body) => hasValue(key) ? body : '')
+        .replace(/\{\{(\w+)\}\}/g, (match, key) => {
+            hasValue(key);
+            return String(variables[key] ?? '');
+        })
+        .trim();
+}
+
+/**
+ * Render the active version of a prompt
+ * @param {string} name - Template name (e.g. 'chat')
+ * @param {Object} variables - Values for the placeholders
+ * @returns {Promise<Object>} { content, version } where version is e.g. 'chat.v1'
+ */
+export async function renderPrompt(name, variables) {
+    const version = PROMPT_VERSIONS[name];
+    const template = await loadTemplate(name, version);
+
+    return {
+        content: renderTemplate(template, variables),
+        version: `${name}.${version}`
+    };
+}
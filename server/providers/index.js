@@ -0,0 +1,53 @@
+// LLM provider selection
+// LLM_PROVIDER picks the backend: 'openai' (default), 'openai-compatible' or 'mock'
+
+import OpenAIProvider from './openaiProvider.js';
+import MockProvider from './mockProvider.js';
+
+/**
+ * Create the LLM provider described by the environment
+ *
+ * - openai:            OPENAI_API_KEY, LLM_MODEL (default gpt-4o-mini)
+ * - openai-compatible: LLM_BASE_URL (required), LLM_API_KEY, LLM_MODEL
+ * - mock:              MOCK_STREAM_DELAY_MS (optional)
+ *
+ * LLM_TOOLS=false turns off chat tools for models that don't support function calling
+ *
+ * @param {Object} env - Environment variables (defaults to process.env)
+ * @returns {Object} Provider instance
+ */
+export function createProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || 'openai').toLowerCase();
+
+    switch (providerName) {
+        case 'openai':
+            return new OpenAIProvider({
+                name: 'openai',
+                apiKey: env.OPENAI_API_KEY,
+                model: env.LLM_MODEL || 'gpt-4o-mini',
+                supportsTools: env.LLM_TOOLS !== 'false'
+            });
+
+        case 'openai-compatible':
+            if (!env.LLM_BASE_URL) {
+                throw new Error('LLM_BASE_URL is required for the openai-compatible provider');
+            }
+            return new OpenAIProvider({
+                name: 'openai-compatible',
+                apiKey: env.LLM_API_KEY,
+                baseURL: env.LLM_BASE_URL,
+                model: env.LLM_MODEL || 'llama3.1',
+                requiresApiKey: false,
+                supportsTools: env.LLM_TOOLS !== 'false'
+            });
+
+        case 'mock':
+            return new MockProvider({
+                streamDelayMs: Number(env.MOCK_STREAM_DELAY_MS) || 0,
+                supportsTools: env.LLM_TOOLS !== 'false'
+            });
+
+        default:
+            throw new Error(`Unknown LLM_PROVIDER: ${providerName}`);
+    }
+}
@@ -0,0 +1,245 @@
+// Mock provider
+// Deterministic, offline replies so the whole app can run without an API key or network
+
+import { estimateTokens } from '../tokens.js';
+
+/**
+ * Canned replies picked by keywords in the latest user message
+ * The first matching entry wins, the last one is the fallback
+ */
+const MOCK_REPLIES = [
+    {
+        keywords: ['plan', 'routine', 'workout', 'program'],
+        reply: `Here's a simple full-body workout to get you started:
+
+**Day 1: Full Body**
+1. Squats - 3 sets of 10 reps
+2. Push-ups - 3 sets of 8 reps
+3. Bent-over rows - 3 sets of 10 reps
+4. Plank - 3 x 30 seconds
+
+Rest 60-90 seconds between sets and focus on good form. (mock response)`
+    },
+    {
+        keywords: ['eat', 'diet', 'nutrition', 'calorie', 'protein', 'macro'],
+        reply: `Nutrition matters as much as training! Aim for a source of protein with every meal, plenty of vegetables, and enough water throughout the day. (mock response)`
+    },
+    {
+        keywords: ['hi', 'hello', 'hey', 'testing'],
+        reply: `Hey there! I'm your Gym Buddy running in offline mock mode. Ask me about workouts or nutrition! (mock response)`
+    },
+    {
+        keywords: [],
+        reply: `Great question! Stay consistent, progress gradually, and listen to your body. Tell me more about what you'd like to work on. (mock response)`
+    }
+];
+
+/**
+ * Tool calls made when tools are offered, picked by keywords like MOCK_REPLIES
+ */
+const MOCK_TOOL_CALLS = [
+    { keywords: ['macros', 'calories'], name: 'calculate_nutrition', arguments: {} },
+    { keywords: ['recent', 'history', 'lately'], name: 'get_recent_workouts', arguments: { limit: 3 } },
+    { keywords: ['exercises', 'alternatives', 'alternative'], name: 'search_exercises', arguments: {} }
+];
+
+/**
+ * Canned structured outputs, keyed by the JSON schema name requested
+ */
+const MOCK_STRUCTURED_REPLIES = {
+    workout_plan: {
+        title: 'Mock Full-Body Starter Plan',
+        summary: 'Three full-body sessions per week with compound movements. (mock response)',
+        days: [
+            {
+                day: 1,
+                name: 'Full Body A',
+                focus: 'Legs, push and core',
+                exercises: [
+                    { name: 'Goblet Squat', sets: 3, reps: '10-12', rest: '90s', notes: 'Keep your chest up' },
+                    { name: 'Push-up', sets: 3, reps: '8-12', rest: '60s', notes: '' },
+                    { name: 'Plank', sets: 3, reps: '30s', rest: '45s', notes: '' }
+                ]
+            },
+            {
+                day: 2,
+                name: 'Full Body B',
+                focus: 'Hinge, pull and core',
+                exercises: [
+                    { name: 'Romanian Deadlift', sets: 3, reps: '8-10', rest: '90s', notes: 'Neutral spine' },
+                    { name: 'Bent-over Row', sets: 3, reps: '10-12', rest: '60s', notes: '' },
+                    { name: 'Dead Bug', sets: 3, reps: '10 per side', rest: '45s', notes: '' }
+                ]
+            }
+        ],
+        notes: 'Warm up for 5-10 minutes before each session.'
+    }
+};
+
+/**
+ * MockProvider - Returns canned replies with the same shape as a real provider
+ */
+class MockProvider {
+    /**
+     * @param {Object} options
+     * @param {number} [options.streamDelayMs] - Delay between streamed chunks
+     * @param {boolean} [options.supportsTools] - Whether to make canned tool calls
+     */
+    constructor({ streamDelayMs = 0, supportsTools = true } = {}) {
+        this.name = 'mock';
+        this.model = 'mock-gym-buddy';
+        this.streamDelayMs = streamDelayMs;
+        this.supportsTools = supportsTools;
+    }
+
+    /**
+     * The mock needs no configuration
+     * @returns {boolean} Always true
+     */
+    isConfigured() {
+        return true;
+    }
+
+    /**
+     * Pick the canned reply for a conversation
+     * @param {Array} messages - Chat messages
+     * @returns {string} Reply text
+     */
+    getReply(messages) {
+        const lastUserMessage = [...messages].reverse().find(msg => msg.role === 'user');
+        const words = (lastUserMessage?.content || '').toLowerCase().match(/[a-z]+/g) || [];
+
+        const match = MOCK_REPLIES.find(entry =>
+            entry.keywords.length === 0 || entry.keywords.some(keyword => words.includes(keyword))
+        );
+
+        return match.reply;
+    }
+
+    /**
+     * Pick a canned tool call for the latest user message
+     * Only the first round calls a tool, once results are in the mock answers
+     * @param {Array} messages - Chat messages
+     * @param {Array} [tools] - Tools offered for this request
+     * @returns {Array} [{ id, name, arguments }] (empty when no tool applies)
+     */
+    getToolCalls(messages, tools) {
+        const lastMessage = messages[messages.length - 1];
+        if (!tools || lastMessage?.role !== 'user') {
+            return [];
+        }
+
+        const words = (lastMessage.content || '').toLowerCase().match(/[a-z]+/g) || [];
+        const match = MOCK_TOOL_CALLS.find(entry =>
+            entry.keywords.some(keyword => words.includes(keyword)) &&
+            tools.some(tool => tool.function.name === entry.name)
+        );
+
+        return match
+            ? [{ id: `call_mock_${messages.length}`, name: match.name, arguments: JSON.stringify(match.arguments) }]
+            : [];
+    }
+
+    /**
+     * Summarize tool results after a tool round
+     * @param {Array} messages - Chat messages ending with tool results
+     * @returns {string|null} Reply text, or null if the last message isn't a tool result
+     */
+    getToolReply(messages) {
+        if (messages[messages.length - 1]?.role !== 'tool') {
+            return null;
+        }
+
+        const names = messages
+            .filter(msg => msg.role === 'assistant' && msg.tool_calls)
+            .flatMap(msg => msg.tool_calls.map(call => call.function.name));
+
+        return `I checked ${names.join(', ')} for you and used the results to answer. (mock response)`;
+    }
+
+    /**
+     * Build an OpenAI-shaped usage object
+     * @param {Array} messages - Prompt messages
+     * @param {string} reply - Generated reply
+     * @returns {Object} Usage counts
+     */
+    getUsage(messages, reply) {
+        const promptTokens = messages.reduce((sum, msg) => sum + estimateTokens(msg.content), 0);
+        const completionTokens = estimateTokens(reply);
+
+        return {
+            prompt_tokens: promptTokens,
+            completion_tokens: completionTokens,
+            total_tokens: promptTokens + completionTokens
+        };
+    }
+
+    /**
+     * Create a full (non-streaming) completion
+     * @param {Object} options
+     * @param {Array} options.messages - Chat messages including the system prompt
+     * @param {Object} [options.jsonSchema] - { name, schema } for structured output
+     * @param {Array} [options.tools] - Tools the mock may call
+     * @param {AbortSignal} [options.signal] - Cancels the request
+     * @returns {Promise<Object>} { message, toolCalls, usage }
+     */
+    async complete({ messages, jsonSchema, tools, signal }) {
+        signal?.throwIfAborted();
+
+        const toolCalls = this.getToolCalls(messages, tools);
+        if (toolCalls.length > 0) {
+            return { message: null, toolCalls, usage: this.getUsage(messages, '') };
+        }
+
+        const structured = jsonSchema && MOCK_STRUCTURED_REPLIES[jsonSchema.name];
+        const reply = structured ? JSON.stringify(structured) : this.getToolReply(messages) || this.getReply(messages);
+
+        return {
+            message: reply,
+            toolCalls: [],
+            usage: this.getUsage(messages, reply)
+        };
+    }
+
+    /**
+     * Stream the canned reply word by word
+     * @param {Object} options - Same options as complete()
+     */
+    async *stream({ messages, tools, signal }) {
+        signal?.throwIfAborted();
+
+        const toolCalls = this.getToolCalls(messages, tools);
+        if (toolCalls.length > 0) {
+            yield { toolCalls };
+            yield { usage: this.getUsage(messages, '') };
+            return;
+        }
+
+        const reply = this.getToolReply(messages) || this.getReply(messages);
+
+        for (const delta of reply.match(/\S+\s*/g) || []) {
+            if (this.streamDelayMs > 0) {
+                await new Promise(resolve => setTimeout(resolve, this.streamDelayMs));
+            }
+            signal?.throwIfAborted();
+            yield { delta };
+        }
+
+        yield { usage: this.getUsage(messages, reply) };
+    }
+
+    /**
+     * Get debug information
+     * @returns {Object} Debug info
+     */
+    getDebugInfo() {
+        return {
+            name: this.name,
+            model: this.model,
+            configured: true,
+            supportsTools: this.supportsTools
+        };
+    }
+}
+
+export default MockProvider;
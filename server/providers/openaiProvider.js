@@ -0,0 +1,164 @@
+// OpenAI provider
+// Talks to api.openai.com or any server that speaks the OpenAI chat completions API
+// (Ollama, LM Studio, vLLM, llama.cpp server, ...)
+
+import OpenAI from 'openai';
+
+// Schema keywords strict structured outputs reject; the caller enforces them when it validates the reply
+const UNSUPPORTED_STRICT_KEYWORDS = ['minLength', 'maxLength', 'minItems', 'maxItems', 'minimum', 'maximum'];
+
+/**
+ * Copy a JSON schema without the keywords strict mode doesn't support
+ * @param {any} schema - JSON schema (or part of one)
+ * @returns {any} Strict-compatible copy
+ */
+function toStrictSchema(schema) {
+    if (Array.isArray(schema)) {
+        return schema.map(toStrictSchema);
+    }
+    if (!schema || typeof schema !== 'object') {
+        return schema;
+    }
+
+    return Object.fromEntries(Object.entries(schema)
+        .filter(([key]) => !UNSUPPORTED_STRICT_KEYWORDS.includes(key))
+        .map(([key, value]) => [key, key === 'properties'
+            // Property names are data, not keywords
+            ? Object.fromEntries(Object.entries(value).map(([name, property]) => [name, toStrictSchema(property)]))
+            : toStrictSchema(value)]));
+}
+
+/**
+ * OpenAIProvider - Chat completions through the official OpenAI SDK
+ */
+class OpenAIProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.name - Provider name reported by the API
+     * @param {string} options.apiKey - API key (local servers usually accept any value)
+     * @param {string} [options.baseURL] - Override for OpenAI-compatible servers
+     * @param {string} options.model - Model identifier
+     * @param {boolean} [options.requiresApiKey] - Whether a missing key is a configuration error
+     * @param {boolean} [options.supportsTools] - Whether the model accepts function tools
+     */
+    constructor({ name, apiKey, baseURL, model, requiresApiKey = true, supportsTools = true }) {
+        this.name = name;
+        this.model = model;
+        this.baseURL = baseURL || null;
+        this.requiresApiKey = requiresApiKey;
+        this.supportsTools = supportsTools;
+        this.apiKey = apiKey;
+
+        this.client = new OpenAI({
+            apiKey: apiKey || 'not-needed',
+            ...(baseURL ? { baseURL } : {})
+        });
+    }
+
+    /**
+     * Check whether the provider has everything it needs to make requests
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return !this.requiresApiKey || Boolean(this.apiKey);
+    }
+
+    /**
+     * Create a full (non-streaming) completion
+     * @param {Object} options
+     * @param {Array} options.messages - Chat messages including the system prompt
+     * @param {number} options.maxTokens - Maximum tokens to generate
+     * @param {number} options.temperature - Sampling temperature
+     * @param {Object} [options.jsonSchema] - { name, schema } to force structured JSON output
+     * @param {Array} [options.tools] - Function tools the model may call
+     * @param {AbortSignal} [options.signal] - Cancels the request (client disconnect or timeout)
+     * @returns {Promise<Object>} { message, toolCalls, usage }
+     */
+    async complete({ messages, maxTokens, temperature, jsonSchema, tools, signal }) {
+        const completion = await this.client.chat.completions.create({
+            model: this.model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(tools ? { tools } : {}),
+            ...(jsonSchema ? {
+                response_format: {
+                    type: 'json_schema',
+                    json_schema: { name: jsonSchema.name, schema: toStrictSchema(jsonSchema.schema), strict: true }
+                }
+            } : {})
+        }, { signal });
+
+        const message = completion.choices[0].message;
+
+        return {
+            message: message.content,
+            toolCalls: (message.tool_calls || []).map(call => ({
+                id: call.id,
+                name: call.function.name,
+                arguments: call.function.arguments
+            })),
+            usage: completion.usage || null
+        };
+    }
+
+    /**
+     * Stream a completion chunk by chunk
+     * Yields { delta } objects while generating, { toolCalls } once the model has
+     * finished any tool calls, and a final { usage } object
+     * @param {Object} options - Same options as complete()
+     */
+    async *stream({ messages, maxTokens, temperature, tools, signal }) {
+        const stream = await this.client.chat.completions.create({
+            model: this.model,
+            messages,
+            max_tokens: maxTokens,
+            temperature,
+            ...(tools ? { tools } : {}),
+            stream: true,
+            stream_options: { include_usage: true }
+        }, { signal });
+
+        // Tool calls arrive in fragments, keyed by their index
+        const toolCalls = [];
+
+        for await (const chunk of stream) {
+            const delta = chunk.choices?.[0]?.delta?.content;
+            if (delta) {
+                yield { delta };
+            }
+
+            for (const fragment of chunk.choices?.[0]?.delta?.tool_calls || []) {
+                const call = toolCalls[fragment.index] ||= { id: '', name: '', arguments: '' };
+                call.id += fragment.id || '';
+                call.name += fragment.function?.name || '';
+                call.arguments += fragment.function?.arguments || '';
+            }
+
+            if (chunk.choices?.[0]?.finish_reason && toolCalls.length > 0) {
+                yield { toolCalls: toolCalls.filter(Boolean) };
+            }
+
+            // The usage chunk arrives last with an empty choices array
+            if (chunk.usage) {
+                yield { usage: chunk.usage };
+            }
+        }
+    }
+
+    /**
+     * Get debug information
+     * @returns {Object} Debug info
+     */
+    getDebugInfo() {
+        return {
+            name: this.name,
+            model: this.model,
+            baseURL: this.baseURL,
+            configured: this.isConfigured(),
+            supportsTools: this.supportsTools
+        };
+    }
+}
+
+export default OpenAIProvider;
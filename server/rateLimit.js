@@ -0,0 +1,222 @@
+// Rate limiting and usage quotas for the model-backed endpoints
+// Requests are limited per client (X-Client-Id header) and per IP in fixed windows,
+// and each account (or, for anonymous callers, each IP) has a daily token quota
+// counted from the provider's usage
+
+import JsonFileStore from './store.js';
+
+// Request windows (override with environment variables)
+const WINDOW_MS = Number(process.env.RATE_LIMIT_WINDOW_MS) || 60 * 1000;
+const MAX_REQUESTS_PER_CLIENT = Number(process.env.RATE_LIMIT_MAX_REQUESTS) || 20;
+const MAX_REQUESTS_PER_IP = Number(process.env.RATE_LIMIT_MAX_REQUESTS_PER_IP) || 60;
+
+// Tokens an account or anonymous IP may use per UTC day (0 disables the quota)
+const DAILY_TOKEN_QUOTA = process.env.DAILY_TOKEN_QUOTA !== undefined
+    ? Number(process.env.DAILY_TOKEN_QUOTA)
+    : 50000;
+
+const usageStore = new JsonFileStore('usage', { days: {} });
+
+/**
+ * FixedWindowLimiter - Counts hits per key in fixed time windows
+ */
+class FixedWindowLimiter {
+    /**
+     * @param {Object} options
+     * @param {number} options.windowMs - Window length
+     * @param {number} options.max - Hits allowed per window
+     */
+    constructor({ windowMs, max }) {
+        this.windowMs = windowMs;
+        this.max = max;
+        this.windows = new Map();
+    }
+
+    /**
+     * Record a hit for a key
+     * @param {string} key - Client or IP key
+     * @param {number} now - Current time in ms
+     * @returns {Object} { allowed, remaining, retryAfterMs }
+     */
+    hit(key, now = Date.now()) {
+        let window = this.windows.get(key);
+
+        if (!window || now >= window.resetAt) {
+            window = { count: 0, resetAt: now + this.windowMs };
+            this.windows.set(key, window);
+        }
+
+        if (window.count >= this.max) {
+            return { allowed: false, remaining: 0, retryAfterMs: window.resetAt - now };
+        }
+
+        window.count++;
+        return { allowed: true, remaining: this.max - window.count, retryAfterMs: 0 };
+    }
+
+    /**
+     * Forget windows that have expired
+     * @param {number} now - Current time in ms
+     */
+    prune(now = Date.now()) {
+        for (const [key, window] of this.windows) {
+            if (now >= window.resetAt) {
+                this.windows.delete(key);
+            }
+        }
+    }
+}
+
+const clientLimiter = new FixedWindowLimiter({ windowMs: WINDOW_MS, max: MAX_REQUESTS_PER_CLIENT });
+const ipLimiter = new FixedWindowLimiter({ windowMs: WINDOW_MS, max: MAX_REQUESTS_PER_IP });
+
+// Keep the maps from growing forever
+setInterval(() => {
+    clientLimiter.prune();
+    ipLimiter.prune();
+}, WINDOW_MS).unref();
+
+/**
+ * Current UTC day key, e.g. '2026-10-18'
+ * @param {Date} date - Date to format
+ * @returns {string} Day key
+ */
+function dayKey(date = new Date()) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Seconds until the daily quota resets (next UTC midnight)
+ * @param {Date} now - Current time
+ * @returns {number} Seconds
+ */
+function secondsUntilReset(now = new Date()) {
+    const midnight = Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate() + 1);
+    return Math.ceil((midnight - now.getTime()) / 1000);
+}
+
+/**
+ * Identify the client making a request
+ * The client ID is self-reported: the IP limiter caps how many requests new IDs
+ * can make, and the token quota is not keyed by it (see getQuotaKey)
+ * @param {Object} req - Express request
+ * @returns {string} Client key
+ */
+export function getClientKey(req) {
+    const clientId = req.get('X-Client-Id');
+    return clientId && /^[\w-]{8,64}$/.test(clientId) ? `client:${clientId}` : `ip:${req.ip}`;
+}
+
+/**
+ * Key the daily token quota is counted under
+ * Accounts have their own quota; anonymous callers share one per IP, since a fresh
+ * X-Client-Id would otherwise start a fresh budget
+ * @param {Object} req - Express request (after authenticate)
+ * @returns {string} Quota key
+ */
+export function getQuotaKey(req) {
+    return req.user ? req.ownerKey : `ip:${req.ip}`;
+}
+
+/**
+ * Get the tokens used today under a quota key
+ * @param {string} quotaKey - Quota key
+ * @returns {Promise<number>} Tokens used
+ */
+export async function getTokensUsedToday(quotaKey) {
+    const data = await usageStore.read();
+    return data.days[dayKey()]?.[quotaKey] || 0;
+}
+
+/**
+ * Add the tokens from a completion to today's usage
+ * @param {string} quotaKey - Quota key (req.quotaKey)
+ * @param {Object} usage - Provider usage ({ total_tokens })
+ * @returns {Promise<void>}
+ */
+export async function recordTokenUsage(quotaKey, usage) {
+    const tokens = usage?.total_tokens || 0;
+    if (!quotaKey || tokens === 0) return;
+
+    const today = dayKey();
+
+    await usageStore.update(data => {
+        // Only today's counters matter, drop older days
+        Object.keys(data.days).forEach(day => {
+            if (day !== today) delete data.days[day];
+        });
+
+        data.days[today] = data.days[today] || {};
+        data.days[today][quotaKey] = (data.days[today][quotaKey] || 0) + tokens;
+    });
+}
+
+/**
+ * Send a 429 with Retry-After
+ * @param {Object} res - Express response
+ * @param {number} retryAfter - Seconds until the client may retry
+ * @param {string} code - 'rate_limited' or 'quota_exceeded'
+ * @param {string} details - Human-readable explanation
+ */
+export function sendRateLimited(res, retryAfter, code, details) {
+    res.set('Retry-After', String(retryAfter));
+    res.status(429).json({
+        success: false,
+        error: 'Rate limit exceeded',
+        code,
+        details,
+        retryAfter
+    });
+}
+
+/**
+ * Express middleware limiting requests and enforcing the daily token quota
+ * Sets req.quotaKey for recordTokenUsage()
+ */
+export async function rateLimit(req, res, next) {
+    // Signed-in users are limited per account, everyone else per client
+    const clientKey = req.ownerKey || getClientKey(req);
+    req.quotaKey = getQuotaKey(req);
+
+    const ipResult = ipLimiter.hit(`ip:${req.ip}`);
+    const clientResult = clientLimiter.hit(clientKey);
+    const blocked = [ipResult, clientResult].find(result => !result.allowed);
+
+    if (blocked) {
+        const retryAfter = Math.max(1, Math.ceil(blocked.retryAfterMs / 1000));
+        return sendRateLimited(res, retryAfter, 'rate_limited', `Too many requests. Try again in ${retryAfter} seconds.`);
+    }
+
+    res.set('X-RateLimit-Remaining', String(clientResult.remaining));
+
+    if (DAILY_TOKEN_QUOTA > 0) {
+        const used = await getTokensUsedToday(req.quotaKey);
+        if (used >= DAILY_TOKEN_QUOTA) {
+            return sendRateLimited(res, secondsUntilReset(), 'quota_exceeded', 'Daily token quota reached. It resets at midnight UTC.');
+        }
+    }
+
+    next();
+}
+
+/**
+ * Create a middleware that limits requests per IP (for endpoints without token costs)
+ * @param {Object} options
+ * @param {number} options.windowMs - Window length
+ * @param {number} options.max - Requests allowed per window
+ * @returns {Function} Express middleware
+ */
+export function limitRequestsPerIp({ windowMs, max }) {
+    const limiter = new FixedWindowLimiter({ windowMs, max });
+    setInterval(() => limiter.prune(), windowMs).unref();
+
+    return (req, res, next) => {
+        const result = limiter.hit(req.ip);
+
+        if (!result.allowed) {
+            const retryAfter = Math.max(1, Math.ceil(result.retryAfterMs / 1000));
+            return sendRateLimited(res, retryAfter, 'rate_limited', `Too many attempts. Try again in ${retryAfter} seconds.`);
+        }
+        next();
+    };
+}
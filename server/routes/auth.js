@@ -0,0 +1,111 @@
+// Authentication API
+// Register, log in, log out and read the current account
+
+import express from 'express';
+import { createUser, authenticateUser, validateRegistration, toPublicUser } from '../users.js';
+import { startSession, endSession, revokeSession } from '../auth.js';
+import { limitRequestsPerIp } from '../rateLimit.js';
+import { transferConversations } from '../conversations.js';
+import { transferWorkouts } from '../workouts.js';
+import { transferSchedule } from '../schedule.js';
+
+const router = express.Router();
+
+// Slow down password guessing
+const credentialLimit = limitRequestsPerIp({ windowMs: 15 * 60 * 1000, max: 20 });
+
+/**
+ * Attach the anonymous client's chats, workout log and schedule to the account
+ * Only for signed-out requests: a signed-in caller's ownerKey is another account's key,
+ * whose data must stay where it is.
+ * @param {Object} req - Express request (ownerKey is still the anonymous key)
+ * @param {Object} user - Account signing in
+ * @returns {Promise<void>}
+ */
+async function claimAnonymousData(req, user) {
+    const userKey = `user:${user.id}`;
+    if (req.user || !req.ownerKey || req.ownerKey === userKey) return;
+
+    const [conversations, workouts, schedules] = await Promise.all([
+        transferConversations(req.ownerKey, userKey),
+        transferWorkouts(req.ownerKey, userKey),
+        transferSchedule(req.ownerKey, userKey)
+    ]);
+
+    if (conversations + workouts + schedules > 0) {
+        console.log(`🔗 Moved ${conversations} conversations, ${workouts} workouts and ${schedules} schedules to ${userKey}`);
+    }
+}
+
+/**
+ * Start a session for an account, replacing the request's current one
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Object} user - Account signing in
+ * @returns {Promise<void>}
+ */
+async function signIn(req, res, user) {
+    await claimAnonymousData(req, user);
+
+    // Switching accounts: the previous account's session must not stay valid
+    if (req.user) {
+        await revokeSession(req);
+    }
+    await startSession(res, user.id);
+}
+
+// Create an account and sign in
+router.post('/register', credentialLimit, async (req, res) => {
+    const { email, password, name } = req.body || {};
+    const validationError = validateRegistration({ email, password, name });
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: validationError
+        });
+    }
+
+    const user = await createUser({ email, password, name });
+    if (!user) {
+        return res.status(409).json({
+            success: false,
+            error: 'Account exists',
+            details: 'An account with this email already exists'
+        });
+    }
+
+    await signIn(req, res, user);
+    res.status(201).json({ success: true, user: toPublicUser(user) });
+});
+
+// Sign in
+router.post('/login', credentialLimit, async (req, res) => {
+    const { email, password } = req.body || {};
+    const user = await authenticateUser(email, password);
+
+    if (!user) {
+        return res.status(401).json({
+            success: false,
+            error: 'Invalid credentials',
+            details: 'Email or password is incorrect'
+        });
+    }
+
+    await signIn(req, res, user);
+    res.json({ success: true, user: toPublicUser(user) });
+});
+
+// Sign out
+router.post('/logout', async (req, res) => {
+    await endSession(req, res);
+    res.json({ success: true });
+});
+
+// Current account (user is null when signed out)
+router.get('/me', (req, res) => {
+    res.json({ success: true, user: req.user ? toPublicUser(req.user) : null });
+});
+
+export default router;
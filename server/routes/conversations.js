@@ -0,0 +1,150 @@
+// Conversations API
+// Create, list, get, rename, append to and delete stored coaching threads and their messages
+// Scoped to req.ownerKey (set by the authenticate middleware)
+
+import express from 'express';
+import {
+    createConversation,
+    listConversations,
+    getConversation,
+    appendMessages,
+    deleteMessages,
+    renameConversation,
+    deleteConversation,
+    validateMessages,
+    validateParents,
+    validateTitle,
+    toPublicConversation
+} from '../conversations.js';
+
+const router = express.Router();
+
+/**
+ * Send the standard 404 for an unknown conversation
+ * @param {Object} res - Express response
+ * @param {string} id - Requested conversation ID
+ */
+function sendNotFound(res, id) {
+    res.status(404).json({
+        success: false,
+        error: 'Not found',
+        details: `Conversation ${id} not found`
+    });
+}
+
+// Create a conversation
+router.post('/', async (req, res) => {
+    const title = req.body?.title;
+    if (title !== undefined && title !== '') {
+        const validationError = validateTitle(title);
+        if (validationError) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                details: validationError
+            });
+        }
+    }
+
+    const conversation = await createConversation({ title: req.body?.title, ownerKey: req.ownerKey });
+    res.status(201).json({ success: true, conversation: toPublicConversation(conversation) });
+});
+
+// List conversations
+router.get('/', async (req, res) => {
+    const conversations = await listConversations(req.ownerKey);
+    res.json({ success: true, conversations });
+});
+
+// Get one conversation with its messages
+router.get('/:id', async (req, res) => {
+    const conversation = await getConversation(req.params.id, req.ownerKey);
+    if (!conversation) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true, conversation: toPublicConversation(conversation) });
+});
+
+// Rename a conversation
+router.patch('/:id', async (req, res) => {
+    const title = req.body?.title;
+    const validationError = validateTitle(title);
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: validationError
+        });
+    }
+
+    const conversation = await renameConversation(req.params.id, title, req.ownerKey);
+    if (!conversation) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true, conversation });
+});
+
+// Append messages to a conversation
+router.post('/:id/messages', async (req, res) => {
+    const messages = req.body?.messages;
+    const validationError = validateMessages(messages);
+
+    if (validationError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: validationError
+        });
+    }
+
+    const conversation = await getConversation(req.params.id, req.ownerKey);
+    if (!conversation) {
+        return sendNotFound(res, req.params.id);
+    }
+
+    const parentError = validateParents(conversation, messages);
+    if (parentError) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: parentError
+        });
+    }
+
+    const result = await appendMessages(req.params.id, messages, req.ownerKey);
+    if (!result) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.status(201).json({ success: true, messages: result.messages, title: result.title });
+});
+
+// Delete messages (replies to them move up to the closest remaining message)
+router.delete('/:id/messages', async (req, res) => {
+    const ids = req.body?.ids;
+
+    if (!Array.isArray(ids) || ids.length === 0 || !ids.every(id => typeof id === 'string')) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'ids must be a non-empty array of message IDs'
+        });
+    }
+
+    const deleted = await deleteMessages(req.params.id, ids, req.ownerKey);
+    if (deleted === null) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true, deleted });
+});
+
+// Delete a conversation
+router.delete('/:id', async (req, res) => {
+    const deleted = await deleteConversation(req.params.id, req.ownerKey);
+    if (!deleted) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+export default router;
@@ -0,0 +1,81 @@
+// Exercise library API
+// GET /api/exercises?equipment=Home Weights&equipment=Resistance Bands&muscle=chest&level=Beginner&q=press
+
+import express from 'express';
+import { filterExercises, getExercise, getFilterOptions, resolveEquipment } from '../exercises.js';
+
+const router = express.Router();
+
+/**
+ * Read a query parameter that may be repeated or comma-separated
+ * @param {string|Array} value - Raw query value
+ * @returns {Array<string>} Values
+ */
+function readList(value) {
+    if (!value) return [];
+    const values = Array.isArray(value) ? value : String(value).split(',');
+    return values.map(item => item.trim()).filter(Boolean);
+}
+
+// Search the catalog
+router.get('/', (req, res) => {
+    const options = getFilterOptions();
+    const equipment = readList(req.query.equipment);
+    const { level, muscle, q } = req.query;
+
+    const { unknown } = resolveEquipment(equipment);
+    const errors = [];
+
+    // A repeated parameter arrives as an array
+    const repeated = ['level', 'muscle', 'q'].filter(key => req.query[key] !== undefined && typeof req.query[key] !== 'string');
+    if (repeated.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: `Only one value allowed for: ${repeated.join(', ')}`
+        });
+    }
+
+    if (unknown.length > 0) {
+        errors.push(`Unknown equipment: ${unknown.join(', ')}`);
+    }
+    if (level && !options.levels.includes(level)) {
+        errors.push(`Level must be one of: ${options.levels.join(', ')}`);
+    }
+    if (muscle && !options.muscles.includes(muscle.toLowerCase())) {
+        errors.push(`Muscle must be one of: ${options.muscles.join(', ')}`);
+    }
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: errors.join('; ')
+        });
+    }
+
+    const exercises = filterExercises({ equipment, muscle, level, search: q });
+    res.json({ success: true, count: exercises.length, exercises });
+});
+
+// Supported filter values
+router.get('/filters', (req, res) => {
+    res.json({ success: true, ...getFilterOptions() });
+});
+
+// One exercise
+router.get('/:id', (req, res) => {
+    const exercise = getExercise(req.params.id);
+
+    if (!exercise) {
+        return res.status(404).json({
+            success: false,
+            error: 'Not found',
+            details: `Exercise ${req.params.id} not found`
+        });
+    }
+
+    res.json({ success: true, exercise });
+});
+
+export default router;
@@ -0,0 +1,36 @@
+// Nutrition API
+// Daily calorie and macro targets computed from the profile's body metrics, goal and schedule
+
+import express from 'express';
+import { getNutritionInput, calculateNutritionTargets } from '../nutrition.js';
+
+const router = express.Router();
+
+// Calculate targets
+router.post('/targets', (req, res) => {
+    // Signed-in users get their stored profile, the body is only trusted for anonymous requests
+    const userProfile = req.user ? req.user.profile : req.body?.userProfile;
+
+    if (!userProfile || typeof userProfile !== 'object') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'A profile is required'
+        });
+    }
+
+    const { input, missing } = getNutritionInput(userProfile);
+
+    if (missing.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Missing body metrics',
+            details: `Add your ${missing.join(', ')} to your profile to calculate targets`,
+            missing
+        });
+    }
+
+    res.json({ success: true, targets: calculateNutritionTargets(input) });
+});
+
+export default router;
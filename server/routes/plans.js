@@ -0,0 +1,86 @@
+// Workout plans API
+// Generates a structured plan from the user's profile
+
+import express from 'express';
+import { generatePlan } from '../plans.js';
+import { recordTokenUsage, sendRateLimited } from '../rateLimit.js';
+import { watchUpstream } from '../upstreamAbort.js';
+
+/**
+ * Create the plans router
+ * @param {Object} provider - LLM provider
+ * @returns {Object} Express router
+ */
+export default function createPlansRouter(provider) {
+    const router = express.Router();
+
+    // Generate a plan
+    router.post('/', async (req, res) => {
+        const { request } = req.body || {};
+
+        // Signed-in users get their stored profile, the body is only trusted for anonymous requests
+        const userProfile = req.user ? req.user.profile : req.body?.userProfile;
+
+        if (request !== undefined && typeof request !== 'string') {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid request',
+                details: 'Request must be a string'
+            });
+        }
+
+        if (!provider.isConfigured()) {
+            return res.status(500).json({
+                success: false,
+                error: 'Server configuration error',
+                details: `The ${provider.name} provider is not configured`
+            });
+        }
+
+        // Stop generating when the client goes away or the model takes too long
+        const upstream = watchUpstream(res);
+
+        try {
+            const { plan, usage, safety } = await generatePlan({ provider, userProfile, request, signal: upstream.signal });
+            await recordTokenUsage(req.quotaKey, usage);
+            res.json({ success: true, plan, usage, safety });
+        } catch (error) {
+            // Failed and retried attempts still count towards the quota
+            await recordTokenUsage(req.quotaKey, error.usage);
+
+            const abortReason = upstream.getReason();
+            if (abortReason?.code === 'client_disconnected') {
+                console.log('🛑 Client disconnected, plan generation cancelled');
+                return;
+            }
+            if (abortReason) {
+                return res.status(504).json({
+                    success: false,
+                    error: 'Upstream timeout',
+                    details: abortReason.message
+                });
+            }
+
+            console.error('❌ Plan generation error:', error);
+
+            if (error.status === 429) {
+                // Pass on the upstream hint when there is one
+                const retryAfter = Number(error.headers?.['retry-after']) || 30;
+                return sendRateLimited(res, retryAfter, 'upstream_rate_limited', 'Too many requests. Please try again later.');
+            }
+
+            const isInvalidPlan = error.code === 'invalid_plan';
+            res.status(isInvalidPlan ? 502 : 500).json({
+                success: false,
+                error: 'Failed to generate plan',
+                details: isInvalidPlan || process.env.NODE_ENV !== 'production'
+                    ? error.message
+                    : 'Please try again later'
+            });
+        } finally {
+            upstream.done();
+        }
+    });
+
+    return router;
+}
@@ -0,0 +1,42 @@
+// Profile API
+// Read and save the signed-in user's fitness profile
+
+import express from 'express';
+import { requireAuth } from '../auth.js';
+import { updateUserProfile } from '../users.js';
+
+const router = express.Router();
+
+router.use(requireAuth);
+
+// Get the stored profile (null until onboarding is saved)
+router.get('/', (req, res) => {
+    res.json({ success: true, profile: req.user.profile });
+});
+
+// Replace the stored profile
+router.put('/', async (req, res) => {
+    const profile = req.body?.profile;
+
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'Profile object is required'
+        });
+    }
+
+    // The client versions the profile shape and migrates older versions when it loads them
+    if (!Number.isInteger(profile.schemaVersion) || profile.schemaVersion < 1) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'Profile schemaVersion must be a positive integer'
+        });
+    }
+
+    const user = await updateUserProfile(req.user.id, profile);
+    res.json({ success: true, profile: user.profile });
+});
+
+export default router;
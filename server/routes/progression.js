@@ -0,0 +1,49 @@
+// Progression API
+// Next-session targets computed from the workout log (?level=Beginner|Intermediate|Advanced)
+
+import express from 'express';
+import { LEVELS, getTargetsForExercise, getTargetsForRecentExercises } from '../progression.js';
+
+const router = express.Router();
+
+/**
+ * Read and validate the level query parameter
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @returns {string|null} Level, or null after sending a 400
+ */
+function readLevel(req, res) {
+    // Signed-in users default to the level in their stored profile
+    const level = req.query.level || req.user?.profile?.level || 'Beginner';
+
+    if (!LEVELS.includes(level)) {
+        res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: `Level must be one of: ${LEVELS.join(', ')}`
+        });
+        return null;
+    }
+
+    return level;
+}
+
+// Targets for every recently trained exercise
+router.get('/', async (req, res) => {
+    const level = readLevel(req, res);
+    if (!level) return;
+
+    const targets = await getTargetsForRecentExercises(level, req.ownerKey);
+    res.json({ success: true, level, targets });
+});
+
+// Targets for a single exercise
+router.get('/:exercise', async (req, res) => {
+    const level = readLevel(req, res);
+    if (!level) return;
+
+    const targets = await getTargetsForExercise(req.params.exercise, level, req.ownerKey);
+    res.json({ success: true, level, targets });
+});
+
+export default router;
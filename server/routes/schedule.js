@@ -0,0 +1,198 @@
+// Schedule API
+// Put a plan on the calendar, mark and move sessions, and export them as iCalendar
+// Scoped to req.ownerKey (set by the authenticate middleware). Dates are the client's local YYYY-MM-DD.
+
+import express from 'express';
+import { validate } from '../schema.js';
+import { PLAN_SCHEMA } from '../plans.js';
+import { createCalendar } from '../ics.js';
+import {
+    MAX_WEEKS,
+    SESSION_STATUSES,
+    isValidDate,
+    getServerToday,
+    createSchedule,
+    getSchedule,
+    deleteSchedule,
+    updateSessionStatus,
+    rescheduleSession,
+    rescheduleMissedSessions,
+    toPublicSchedule
+} from '../schedule.js';
+
+const router = express.Router();
+
+/**
+ * Send the standard 400 for a bad request
+ * @param {Object} res - Express response
+ * @param {string} details - What was wrong
+ */
+function sendInvalid(res, details) {
+    res.status(400).json({
+        success: false,
+        error: 'Invalid request',
+        details
+    });
+}
+
+/**
+ * Send the standard 404 for a missing schedule or session
+ * @param {Object} res - Express response
+ * @param {string} details - What wasn't found
+ */
+function sendNotFound(res, details) {
+    res.status(404).json({
+        success: false,
+        error: 'Not found',
+        details
+    });
+}
+
+/**
+ * Read the client's current date (query or body), falling back to the server's
+ * @param {Object} req - Express request
+ * @returns {string|null} YYYY-MM-DD, or null if one was sent but is invalid
+ */
+function readToday(req) {
+    const today = req.body?.today ?? req.query.today;
+    if (today === undefined) {
+        return getServerToday();
+    }
+    return isValidDate(today) ? today : null;
+}
+
+// Get the current schedule (?today=YYYY-MM-DD marks past planned sessions as missed)
+router.get('/', async (req, res) => {
+    const today = readToday(req);
+    if (!today) return sendInvalid(res, 'today must be a YYYY-MM-DD date');
+
+    const schedule = await getSchedule(req.ownerKey);
+    res.json({ success: true, schedule: schedule ? toPublicSchedule(schedule, today) : null });
+});
+
+// Schedule a plan, replacing any existing schedule
+router.post('/', async (req, res) => {
+    const { plan, startDate, weeks = 4, weekdays } = req.body || {};
+    const today = readToday(req);
+
+    // Signed-in users get their stored profile, the body is only trusted for anonymous requests
+    const userProfile = req.user ? req.user.profile : req.body?.userProfile;
+
+    const planErrors = validate(plan, PLAN_SCHEMA);
+    if (planErrors.length > 0) {
+        return sendInvalid(res, `Invalid plan: ${planErrors.slice(0, 5).join('; ')}`);
+    }
+    if (!today) {
+        return sendInvalid(res, 'today must be a YYYY-MM-DD date');
+    }
+    if (startDate !== undefined && !isValidDate(startDate)) {
+        return sendInvalid(res, 'startDate must be a YYYY-MM-DD date');
+    }
+    if (!Number.isInteger(weeks) || weeks < 1 || weeks > MAX_WEEKS) {
+        return sendInvalid(res, `weeks must be an integer between 1 and ${MAX_WEEKS}`);
+    }
+    if (weekdays !== undefined && (!Array.isArray(weekdays) ||
+        !weekdays.every(day => Number.isInteger(day) && day >= 0 && day <= 6))) {
+        return sendInvalid(res, 'weekdays must be an array of integers from 0 (Sunday) to 6 (Saturday)');
+    }
+
+    const schedule = await createSchedule({
+        plan,
+        ownerKey: req.ownerKey,
+        userProfile,
+        startDate: startDate || today,
+        weeks,
+        weekdays
+    });
+
+    res.status(201).json({ success: true, schedule: toPublicSchedule(schedule, today) });
+});
+
+// Delete the schedule
+router.delete('/', async (req, res) => {
+    const deleted = await deleteSchedule(req.ownerKey);
+    if (!deleted) {
+        return sendNotFound(res, 'No schedule');
+    }
+    res.json({ success: true });
+});
+
+// Move every missed session to the next training days, shifting the rest forward
+router.post('/reschedule-missed', async (req, res) => {
+    const today = readToday(req);
+    if (!today) return sendInvalid(res, 'today must be a YYYY-MM-DD date');
+
+    const result = await rescheduleMissedSessions(req.ownerKey, today);
+    if (!result) {
+        return sendNotFound(res, 'No schedule');
+    }
+    res.json({ success: true, moved: result.moved, schedule: toPublicSchedule(result.schedule, today) });
+});
+
+// Mark a session as done, skipped or planned again
+router.patch('/sessions/:id', async (req, res) => {
+    const { status } = req.body || {};
+    const today = readToday(req);
+
+    if (!SESSION_STATUSES.includes(status)) {
+        return sendInvalid(res, `status must be one of: ${SESSION_STATUSES.join(', ')}`);
+    }
+    if (!today) {
+        return sendInvalid(res, 'today must be a YYYY-MM-DD date');
+    }
+
+    const schedule = await updateSessionStatus(req.ownerKey, req.params.id, status);
+    if (!schedule) {
+        return sendNotFound(res, `Session ${req.params.id} not found`);
+    }
+    res.json({ success: true, schedule: toPublicSchedule(schedule, today) });
+});
+
+// Move a session to a date, or the first training day from today when no date is given
+router.post('/sessions/:id/reschedule', async (req, res) => {
+    const { date } = req.body || {};
+    const today = readToday(req);
+
+    if (!today) {
+        return sendInvalid(res, 'today must be a YYYY-MM-DD date');
+    }
+    if (date !== undefined && (!isValidDate(date) || date < today)) {
+        return sendInvalid(res, 'date must be a YYYY-MM-DD date from today onwards');
+    }
+
+    const schedule = await rescheduleSession(req.ownerKey, req.params.id, { date, today });
+    if (!schedule) {
+        return sendNotFound(res, `Session ${req.params.id} not found`);
+    }
+    res.json({ success: true, schedule: toPublicSchedule(schedule, today) });
+});
+
+// Export the sessions as an iCalendar file
+router.get('/calendar.ics', async (req, res) => {
+    const schedule = await getSchedule(req.ownerKey);
+    if (!schedule) {
+        return sendNotFound(res, 'No schedule');
+    }
+
+    const calendar = createCalendar({
+        name: `Gym Buddy: ${schedule.title}`,
+        events: schedule.sessions.map(session => ({
+            uid: `${session.id}@ai-gym-buddy`,
+            date: session.date,
+            startTime: session.startTime,
+            durationMinutes: session.durationMinutes,
+            summary: `🏋️ ${session.name}`,
+            description: [
+                session.focus,
+                ...session.exercises.map(exercise => `${exercise.name}: ${exercise.sets} x ${exercise.reps}, rest ${exercise.rest}`)
+            ].filter(Boolean).join('\n'),
+            cancelled: session.status === 'skipped'
+        }))
+    });
+
+    res.setHeader('Content-Type', 'text/calendar; charset=utf-8');
+    res.setHeader('Content-Disposition', 'attachment; filename="gym-buddy-schedule.ics"');
+    res.send(calendar);
+});
+
+export default router;
@@ -0,0 +1,87 @@
+// Screening review API
+// Lists messages stopped by content screening; needs SCREENING_REVIEW_TOKEN as a Bearer token
+
+import crypto from 'crypto';
+import express from 'express';
+import { SCREENING_RULES, listScreeningHits, markScreeningHitReviewed } from '../screening.js';
+
+const router = express.Router();
+
+const CATEGORIES = SCREENING_RULES.map(rule => rule.category);
+
+/**
+ * Only let reviewers with the configured token through
+ * The endpoints are disabled when SCREENING_REVIEW_TOKEN isn't set
+ * @param {Object} req - Express request
+ * @param {Object} res - Express response
+ * @param {Function} next - Next middleware
+ */
+function requireReviewer(req, res, next) {
+    const token = process.env.SCREENING_REVIEW_TOKEN;
+
+    if (!token) {
+        return res.status(404).json({
+            success: false,
+            error: 'Not found',
+            details: 'Screening review is disabled'
+        });
+    }
+
+    // Compare hashes so the check takes the same time whatever was sent
+    const sent = (req.get('Authorization') || '').replace(/^Bearer\s+/i, '');
+    const hash = (value) => crypto.createHash('sha256').update(value).digest();
+
+    if (!crypto.timingSafeEqual(hash(sent), hash(token))) {
+        return res.status(401).json({
+            success: false,
+            error: 'Authentication required',
+            details: 'A valid review token is required'
+        });
+    }
+
+    next();
+}
+
+router.use(requireReviewer);
+
+// List hits (?category=self_harm&unreviewed=true&limit=50)
+router.get('/', async (req, res) => {
+    const { category } = req.query;
+    const limit = req.query.limit ? Number(req.query.limit) : 100;
+
+    if (category && !CATEGORIES.includes(category)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: `Category must be one of: ${CATEGORIES.join(', ')}`
+        });
+    }
+
+    if (!Number.isInteger(limit) || limit < 1 || limit > 1000) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'Limit must be an integer between 1 and 1000'
+        });
+    }
+
+    const hits = await listScreeningHits({ category, unreviewed: req.query.unreviewed === 'true', limit });
+    res.json({ success: true, hits });
+});
+
+// Mark a hit as reviewed
+router.post('/:id/review', async (req, res) => {
+    const hit = await markScreeningHitReviewed(req.params.id);
+
+    if (!hit) {
+        return res.status(404).json({
+            success: false,
+            error: 'Not found',
+            details: 'Screening hit not found'
+        });
+    }
+
+    res.json({ success: true, hit });
+});
+
+export default router;
@@ -0,0 +1,93 @@
+// Workouts API
+// Record, list, get and delete logged training sessions
+// Scoped to req.ownerKey (set by the authenticate middleware)
+
+import express from 'express';
+import {
+    createWorkout,
+    listWorkouts,
+    getWorkout,
+    deleteWorkout,
+    validateWorkout,
+    toPublicWorkout
+} from '../workouts.js';
+
+const router = express.Router();
+
+// Most sessions one list request may ask for
+const MAX_LIST_LIMIT = 200;
+
+/**
+ * Send the standard 404 for an unknown workout
+ * @param {Object} res - Express response
+ * @param {string} id - Requested workout ID
+ */
+function sendNotFound(res, id) {
+    res.status(404).json({
+        success: false,
+        error: 'Not found',
+        details: `Workout ${id} not found`
+    });
+}
+
+// Log a session
+router.post('/', async (req, res) => {
+    const errors = validateWorkout(req.body);
+
+    if (errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: errors.join('; ')
+        });
+    }
+
+    const workout = await createWorkout(req.body, req.ownerKey);
+    res.status(201).json({ success: true, workout: toPublicWorkout(workout) });
+});
+
+// List sessions (?limit=10&exercise=Squat)
+router.get('/', async (req, res) => {
+    const { exercise } = req.query;
+
+    // A repeated parameter arrives as an array
+    if (exercise !== undefined && typeof exercise !== 'string') {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: 'Only one exercise may be given'
+        });
+    }
+
+    const limit = req.query.limit !== undefined ? Number(req.query.limit) : undefined;
+    if (limit !== undefined && (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIST_LIMIT)) {
+        return res.status(400).json({
+            success: false,
+            error: 'Invalid request',
+            details: `Limit must be an integer between 1 and ${MAX_LIST_LIMIT}`
+        });
+    }
+
+    const workouts = await listWorkouts({ ownerKey: req.ownerKey, limit, exercise });
+    res.json({ success: true, workouts: workouts.map(toPublicWorkout) });
+});
+
+// Get one session
+router.get('/:id', async (req, res) => {
+    const workout = await getWorkout(req.params.id, req.ownerKey);
+    if (!workout) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true, workout: toPublicWorkout(workout) });
+});
+
+// Delete a session
+router.delete('/:id', async (req, res) => {
+    const deleted = await deleteWorkout(req.params.id, req.ownerKey);
+    if (!deleted) {
+        return sendNotFound(res, req.params.id);
+    }
+    res.json({ success: true });
+});
+
+export default router;
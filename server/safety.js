@@ -0,0 +1,233 @@
+// Injury and health-condition safety layer
+// Turns declared conditions into prompt rules, screens plan exercises and adds see-a-professional notices
+
+// Conditions offered in onboarding, keyed by the answer text
+// rules: added to the prompt; avoid: exercises removed from plans; caution: exercises kept but flagged
+export const CONDITIONS = {
+    'Knee pain or injury': {
+        label: 'knee',
+        rules: [
+            'No jumping, plyometrics or sprinting',
+            'Keep squats and lunges to a pain-free range, box squats and glute bridges are good swaps',
+            'Avoid deep knee flexion under load and single-leg squats'
+        ],
+        avoid: /jump|plyo|burpee|pistol|sprint|box jump/i,
+        caution: /squat|lunge|split|step-?up|leg press|leg extension/i
+    },
+    'Lower back pain': {
+        label: 'lower back',
+        rules: [
+            'No heavy spinal loading or loaded spinal flexion (deadlifts, good mornings, sit-ups)',
+            'Favour supported and core-bracing exercises (dead bugs, bird dogs, machine work)',
+            'Keep a neutral spine and moderate loads on squats and rows'
+        ],
+        avoid: /deadlift|good morning|power clean|snatch|sit-?up|crunch|back extension|superman/i,
+        caution: /squat|row|hip thrust|overhead press/i
+    },
+    'Shoulder injury': {
+        label: 'shoulder',
+        rules: [
+            'No overhead pressing, dips, upright rows or behind-the-neck movements',
+            'Use neutral grips and partial ranges for pressing and pulling',
+            'Include rotator cuff and upper-back work (face pulls, band pull-aparts)'
+        ],
+        avoid: /overhead press|shoulder press|military press|behind[- ]the[- ]neck|upright row|\bdips?\b|snatch|power clean|pike push-?up|handstand/i,
+        caution: /bench press|push-?up|pull-?up|chest press|pulldown/i
+    },
+    'Wrist or elbow pain': {
+        label: 'wrist/elbow',
+        rules: [
+            'Limit exercises that load the wrist in extension (push-ups, planks on hands)',
+            'Offer forearm planks, push-up handles or dumbbells held in a neutral grip'
+        ],
+        avoid: null,
+        caution: /push-?up|plank|mountain climber|burpee|curl|triceps|front squat/i
+    },
+    'Pregnancy': {
+        label: 'pregnancy',
+        rules: [
+            'They should have clearance from their midwife or doctor, mention it once',
+            'Avoid lying flat on the back after the first trimester, crunches and sit-ups',
+            'No contact, fall-risk or high-impact exercises, no breath-holding or maximal lifts',
+            'Keep effort moderate (able to hold a conversation) and avoid overheating'
+        ],
+        avoid: /crunch|sit-?up|v-?up|leg raise|dead bug|burpee|jump|plyo|power clean|snatch|sprint/i,
+        caution: /bench press|chest press|plank|hip thrust|glute bridge|deadlift|squat/i
+    },
+    'High blood pressure': {
+        label: 'high blood pressure',
+        rules: [
+            'No maximal lifts, heavy singles or breath-holding (Valsalva), breathe out on the effort',
+            'Keep effort moderate (RPE 7 or lower) with longer rests',
+            'Avoid long isometric holds and head-below-heart positions'
+        ],
+        avoid: /\b1rm\b|max(imal)? (lift|effort|single)|wall sit|headstand|handstand/i,
+        caution: /plank|deadlift|leg press|squat|overhead press/i
+    },
+    'Heart condition': {
+        label: 'heart condition',
+        rules: [
+            'They need medical clearance before starting, mention it once',
+            'Keep intensity moderate (RPE 6 or lower), no HIIT, sprints or maximal lifts',
+            'Stop immediately with chest pain, dizziness or unusual breathlessness'
+        ],
+        avoid: /sprint|hiit|burpee|\b1rm\b|power clean|snatch|mountain climber/i,
+        caution: /deadlift|squat|leg press|rowing machine/i
+    },
+    'Diabetes': {
+        label: 'diabetes',
+        rules: [
+            'Remind them to check blood glucose around training and keep fast-acting carbs nearby',
+            'Prefer consistent training times and avoid training on an empty stomach when on insulin'
+        ],
+        avoid: null,
+        caution: null
+    },
+    'Asthma': {
+        label: 'asthma',
+        rules: [
+            'Include a gradual warm-up and keep their reliever inhaler nearby',
+            'Build up high-intensity intervals gradually'
+        ],
+        avoid: null,
+        caution: /sprint|burpee|mountain climber/i
+    }
+};
+
+// Describes an emergency: stop and get help now
+const URGENT_SYMPTOM_PATTERN = /chest (pain|tightness|pressure)|pain in my chest|faint(ed|ing)?\b|passed out|blacked out|short(ness)? of breath|can'?t (catch my )?breath|palpitations|heart (is )?(racing|pounding|skipping)|numb(ness)? (in|down) (my )?(arm|face)|slurred/i;
+
+// Joints and body parts where aching or a strain points to an injury rather than normal soreness
+const JOINTS = String.raw`(joints?|knees?|back|shoulders?|wrists?|elbows?|hips?|neck|ankles?|tendons?|hamstrings?|groin|calf|calves|achilles|rotator cuff)`;
+
+// Describes pain, injury or symptoms worth getting checked
+// Negated pain ("pain-free", "no more pain", "doesn't hurt") is recovery, not a symptom, and
+// aching or straining only counts with a joint ("my legs are aching after squats" is soreness)
+const SYMPTOM_PATTERN = new RegExp(String.raw`\b((?<!\b(no|no more|without|zero|not in) )pain(ful)?(?![- ]?free)|(?<!\b(doesn['’]?t|does not|didn['’]?t|did not|no longer) )hurts?|hurting|${JOINTS}\b[^.?!]{0,20}\baching|aching\s+${JOINTS}|strain(ed)?\s+(a |my |the )?${JOINTS}|(${JOINTS}|muscle)\s+strain|pulled (a |my )?(muscle|${JOINTS})|injur(y|ies|ed)|sprain(ed)?|swollen|swelling|numb(ness)?|tingling|dizz(y|iness)|torn|tear(ed)?|popped|bleeding)\b`, 'i');
+
+const URGENT_NOTICE = '⚠️ **Please stop exercising.** Chest pain, fainting, breathlessness or a racing heart can be signs of a medical emergency. If it is severe or doesn\'t settle quickly, call your local emergency number.';
+const SYMPTOM_NOTICE = '🩺 *I\'m not a medical professional. Pain or symptoms like these are worth getting checked by a doctor or physiotherapist, especially if they persist or get worse.*';
+
+/**
+ * Get the known conditions declared in the profile
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {Array<Object>} Condition definitions (with their onboarding name)
+ */
+export function getUserConditions(userProfile) {
+    const declared = Array.isArray(userProfile?.conditions) ? userProfile.conditions : [];
+
+    return declared
+        .filter(name => Object.hasOwn(CONDITIONS, name))
+        .map(name => ({ name, ...CONDITIONS[name] }));
+}
+
+/**
+ * Format the contraindication rules for the system prompt
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {string} Rules section, or '' when no conditions are declared
+ */
+export function formatSafetyRulesForPrompt(userProfile) {
+    return getUserConditions(userProfile)
+        .map(condition => `${condition.name}:\n${condition.rules.map(rule => `- ${rule}`).join('\n')}`)
+        .join('\n');
+}
+
+/**
+ * Check an exercise name against the user's conditions
+ * @param {string} exerciseName - Exercise name
+ * @param {Array<Object>} conditions - From getUserConditions
+ * @returns {Object} { avoid: Array<string>, caution: Array<string> } condition labels
+ */
+export function checkExercise(exerciseName, conditions) {
+    const avoid = conditions.filter(condition => condition.avoid?.test(exerciseName)).map(condition => condition.label);
+    const caution = conditions.filter(condition => condition.caution?.test(exerciseName)).map(condition => condition.label);
+
+    return { avoid, caution: caution.filter(label => !avoid.includes(label)) };
+}
+
+/**
+ * Check whether an exercise should never be suggested to this user
+ * @param {string} exerciseName - Exercise name
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {boolean} True if contraindicated
+ */
+export function isContraindicated(exerciseName, userProfile) {
+    return checkExercise(exerciseName, getUserConditions(userProfile)).avoid.length > 0;
+}
+
+/**
+ * Remove contraindicated exercises from a plan and flag the ones that need care
+ * Days left with no exercises are dropped
+ * @param {Object} plan - Plan matching PLAN_SCHEMA
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @returns {Object} { plan, removed: [{ day, exercise, conditions }], flagged: [{ day, exercise, conditions }] }
+ */
+export function applySafetyToPlan(plan, userProfile) {
+    const conditions = getUserConditions(userProfile);
+    const removed = [];
+    const flagged = [];
+
+    if (conditions.length === 0) {
+        return { plan, removed, flagged };
+    }
+
+    const days = plan.days
+        .map(day => {
+            const exercises = [];
+
+            day.exercises.forEach(exercise => {
+                const { avoid, caution } = checkExercise(exercise.name, conditions);
+
+                if (avoid.length > 0) {
+                    removed.push({ day: day.day, exercise: exercise.name, conditions: avoid });
+                    return;
+                }
+
+                if (caution.length > 0) {
+                    flagged.push({ day: day.day, exercise: exercise.name, conditions: caution });
+                    const warning = `⚠️ Take care (${caution.join(', ')}): stay pain-free and stop if it hurts.`;
+                    exercise = { ...exercise, notes: exercise.notes ? `${warning} ${exercise.notes}` : warning };
+                }
+
+                exercises.push(exercise);
+            });
+
+            return { ...day, exercises };
+        })
+        .filter(day => day.exercises.length > 0);
+
+    const removedNote = removed.length > 0
+        ? `Removed for safety: ${removed.map(item => `${item.exercise} (${item.conditions.join(', ')})`).join(', ')}.`
+        : '';
+
+    return {
+        plan: {
+            ...plan,
+            days,
+            notes: [plan.notes, removedNote].filter(Boolean).join(' ')
+        },
+        removed,
+        flagged
+    };
+}
+
+/**
+ * Pick the notice to append when a message describes pain or medical symptoms
+ * @param {string} text - User message
+ * @returns {string|null} Markdown notice or null
+ */
+export function getSafetyNotice(text) {
+    if (typeof text !== 'string') {
+        return null;
+    }
+
+    if (URGENT_SYMPTOM_PATTERN.test(text)) {
+        return URGENT_NOTICE;
+    }
+
+    if (SYMPTOM_PATTERN.test(text)) {
+        return SYMPTOM_NOTICE;
+    }
+
+    return null;
+}
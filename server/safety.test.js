@@ -0,0 +1,70 @@
+// Safety layer checks
+// Declared conditions shape plans, and pain or symptoms in a message get the right notice
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { formatSafetyRulesForPrompt, isContraindicated, applySafetyToPlan, getSafetyNotice } from './safety.js';
+
+const KNEE = { conditions: ['Knee pain or injury'] };
+
+test('declared conditions become prompt rules', () => {
+    assert.match(formatSafetyRulesForPrompt(KNEE), /^Knee pain or injury:\n- No jumping/);
+    assert.equal(formatSafetyRulesForPrompt({ conditions: ['Not a condition'] }), '');
+    assert.equal(formatSafetyRulesForPrompt(null), '');
+});
+
+test('contraindicated exercises are removed and risky ones flagged', () => {
+    assert.ok(isContraindicated('Box Jump', KNEE));
+    assert.ok(!isContraindicated('Box Jump', {}));
+
+    const plan = {
+        title: 'Legs',
+        notes: '',
+        days: [
+            { day: 1, name: 'Legs', exercises: [{ name: 'Box Jump', notes: '' }, { name: 'Goblet Squat', notes: 'Slow down' }] },
+            { day: 2, name: 'Plyo', exercises: [{ name: 'Jump Lunge', notes: '' }] }
+        ]
+    };
+    const { plan: safePlan, removed, flagged } = applySafetyToPlan(plan, KNEE);
+
+    assert.deepEqual(removed.map(item => item.exercise), ['Box Jump', 'Jump Lunge']);
+    assert.deepEqual(flagged.map(item => item.exercise), ['Goblet Squat']);
+    assert.equal(safePlan.days.length, 1);
+    assert.match(safePlan.days[0].exercises[0].notes, /^⚠️ Take care \(knee\).* Slow down$/);
+    assert.match(safePlan.notes, /Removed for safety: Box Jump \(knee\), Jump Lunge \(knee\)/);
+});
+
+test('urgent symptoms get the stop-exercising notice', () => {
+    assert.match(getSafetyNotice('I got chest pain during my run'), /Please stop exercising/);
+    assert.match(getSafetyNotice('I nearly fainted after squats'), /Please stop exercising/);
+});
+
+test('pain and injuries get the see-a-professional notice', () => {
+    [
+        'My knee hurts when I squat',
+        'Sharp pain in my shoulder on bench',
+        'I think I sprained my ankle',
+        'It is still painful after a week',
+        'My knee has been aching since Monday',
+        'I strained my hamstring on deadlifts',
+        'Pretty sure it\'s a muscle strain in my calf'
+    ].forEach(message => {
+        assert.match(getSafetyNotice(message), /not a medical professional/, message);
+    });
+});
+
+test('recovered or pain-free messages get no notice', () => {
+    [
+        'My knee is pain-free now, can I squat again?',
+        'Squats are pain free since I started warming up',
+        'No more pain in my shoulder!',
+        'I can bench without pain now',
+        'It doesn\'t hurt anymore',
+        'My legs are aching after squats',
+        'I strained to finish the last rep',
+        'What should I train today?',
+        null
+    ].forEach(message => {
+        assert.equal(getSafetyNotice(message), null, message);
+    });
+});
@@ -0,0 +1,365 @@
+// Training schedule
+// Puts plan days on calendar dates from the user's training days, time of day and session length,
+// tracks what was done and moves missed sessions. One active schedule per owner key.
+
+import crypto from 'crypto';
+import JsonFileStore from './store.js';
+
+const store = new JsonFileStore('schedules', { schedules: {} });
+
+// Default training weekdays (0 = Sunday) for each answer to "days per week", spread out for recovery
+const WEEKDAYS_BY_COUNT = {
+    1: [1],
+    2: [1, 4],
+    3: [1, 3, 5],
+    4: [1, 2, 4, 5],
+    5: [1, 2, 3, 5, 6],
+    6: [1, 2, 3, 4, 5, 6],
+    7: [0, 1, 2, 3, 4, 5, 6]
+};
+
+// Session start for each time-of-day answer (local time, HH:MM)
+const START_TIMES = {
+    'Morning': '07:00',
+    'Midday': '12:00',
+    'Evening': '18:00',
+    'It varies': '18:00'
+};
+
+// Session length for each answer to the 'time' question
+const SESSION_MINUTES = {
+    '15-30 minutes': 30,
+    '30-45 minutes': 45,
+    '45-60 minutes': 60,
+    '60+ minutes': 75
+};
+
+const DEFAULT_DAYS_PER_WEEK = 3;
+const DEFAULT_START_TIME = '18:00';
+const DEFAULT_SESSION_MINUTES = 45;
+
+export const MAX_WEEKS = 12;
+
+// Statuses a client can set; 'missed' is derived from the date
+export const SESSION_STATUSES = ['planned', 'done', 'skipped'];
+
+export const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Check a YYYY-MM-DD date string
+ * @param {any} value - Value to check
+ * @returns {boolean} True if it is a real calendar date
+ */
+export function isValidDate(value) {
+    return typeof value === 'string' && DATE_PATTERN.test(value) &&
+        new Date(`${value}T00:00:00Z`).toISOString().startsWith(value);
+}
+
+/**
+ * Add days to a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @param {number} days - Days to add (may be negative)
+ * @returns {string} New date
+ */
+export function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
+
+/**
+ * Get the weekday of a YYYY-MM-DD date
+ * @param {string} date - Date
+ * @returns {number} 0 (Sunday) to 6 (Saturday)
+ */
+function getWeekday(date) {
+    return new Date(`${date}T00:00:00Z`).getUTCDay();
+}
+
+/**
+ * Today's date on the server, used when the client doesn't send its own
+ * @returns {string} YYYY-MM-DD
+ */
+export function getServerToday() {
+    return new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * Work out when sessions happen from the onboarding answers
+ * @param {Object} userProfile - Profile answers from onboarding
+ * @param {Array<number>} [weekdays] - Explicit training weekdays (0 = Sunday)
+ * @returns {Object} { weekdays, startTime, durationMinutes }
+ */
+export function getSchedulePreferences(userProfile, weekdays) {
+    const daysPerWeek = userProfile?.schedule?.daysPerWeek;
+    const defaultWeekdays = WEEKDAYS_BY_COUNT[daysPerWeek] || WEEKDAYS_BY_COUNT[DEFAULT_DAYS_PER_WEEK];
+
+    return {
+        weekdays: weekdays?.length ? [...new Set(weekdays)].sort((a, b) => a - b) : defaultWeekdays,
+        startTime: START_TIMES[userProfile?.schedule?.timeOfDay] || DEFAULT_START_TIME,
+        durationMinutes: SESSION_MINUTES[userProfile?.time] || DEFAULT_SESSION_MINUTES
+    };
+}
+
+/**
+ * Assign plan days to dates, cycling through the plan in order
+ * @param {Object} plan - Plan matching PLAN_SCHEMA
+ * @param {Object} options
+ * @param {string} options.startDate - First date that may hold a session
+ * @param {number} options.weeks - Number of weeks to fill
+ * @param {Object} options.preferences - From getSchedulePreferences
+ * @returns {Array} Sessions
+ */
+function buildSessions(plan, { startDate, weeks, preferences }) {
+    const sessions = [];
+
+    for (let offset = 0; offset < weeks * 7; offset++) {
+        const date = addDays(startDate, offset);
+        if (!preferences.weekdays.includes(getWeekday(date))) continue;
+
+        const day = plan.days[sessions.length % plan.days.length];
+        sessions.push({
+            id: crypto.randomUUID(),
+            date,
+            startTime: preferences.startTime,
+            durationMinutes: preferences.durationMinutes,
+            planDay: day.day,
+            name: day.name,
+            focus: day.focus,
+            exercises: day.exercises,
+            status: 'planned',
+            rescheduledFrom: null
+        });
+    }
+
+    return sessions;
+}
+
+/**
+ * Add the derived 'missed' status and sort sessions by date
+ * @param {Object} schedule - Stored schedule
+ * @param {string} today - The client's current date
+ * @returns {Object} Public schedule
+ */
+export function toPublicSchedule(schedule, today) {
+    const { ownerKey, ...rest } = schedule;
+
+    return {
+        ...rest,
+        sessions: [...schedule.sessions]
+            .sort((a, b) => a.date.localeCompare(b.date))
+            .map(session => ({
+                ...session,
+                status: session.status === 'planned' && session.date < today ? 'missed' : session.status
+            }))
+    };
+}
+
+/**
+ * Create (or replace) the owner's schedule from a plan
+ * @param {Object} options
+ * @param {Object} options.plan - Validated plan
+ * @param {string} options.ownerKey - Owner key
+ * @param {Object} options.userProfile - Profile answers from onboarding
+ * @param {string} options.startDate - First date that may hold a session
+ * @param {number} options.weeks - Number of weeks to fill
+ * @param {Array<number>} [options.weekdays] - Explicit training weekdays
+ * @returns {Promise<Object>} Stored schedule
+ */
+export async function createSchedule({ plan, ownerKey, userProfile, startDate, weeks, weekdays }) {
+    const now = new Date().toISOString();
+    const preferences = getSchedulePreferences(userProfile, weekdays);
+
+    const schedule = {
+        id: crypto.randomUUID(),
+        ownerKey,
+        title: plan.title,
+        startDate,
+        weeks,
+        ...preferences,
+        sessions: buildSessions(plan, { startDate, weeks, preferences }),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    await store.update(data => {
+        data.schedules[ownerKey] = schedule;
+    });
+
+    return schedule;
+}
+
+/**
+ * Get the owner's schedule
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object|null>} Stored schedule or null
+ */
+export async function getSchedule(ownerKey) {
+    const data = await store.read();
+    return data.schedules[ownerKey] || null;
+}
+
+/**
+ * Delete the owner's schedule
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteSchedule(ownerKey) {
+    return store.update(data => {
+        const existed = Boolean(data.schedules[ownerKey]);
+        delete data.schedules[ownerKey];
+        return existed;
+    });
+}
+
+/**
+ * Find the first training day from a given date that isn't taken
+ * @param {Set<string>} taken - Dates that already hold a session
+ * @param {string} from - First date to consider
+ * @param {Array<number>} [weekdays] - Training weekdays (0 = Sunday); any day if not given
+ * @returns {string} Free date
+ */
+function findFreeDate(taken, from, weekdays) {
+    const isTrainingDay = date => !weekdays?.length || weekdays.includes(getWeekday(date));
+    let date = from;
+    while (taken.has(date) || !isTrainingDay(date)) {
+        date = addDays(date, 1);
+    }
+    return date;
+}
+
+/**
+ * Move a session to a new date
+ * @param {Object} session - Session to move
+ * @param {string} date - New date
+ */
+function moveSession(session, date) {
+    session.rescheduledFrom = session.rescheduledFrom || session.date;
+    session.date = date;
+    session.status = 'planned';
+}
+
+/**
+ * Put sessions on the first training days from today, ahead of the remaining planned sessions
+ * The planned sessions from today onwards shift forward to make room, keeping the plan order,
+ * so the schedule runs past its last week by as many sessions as were placed
+ * @param {Object} schedule - Stored schedule
+ * @param {Array} sessions - Sessions to place, in order
+ * @param {string} today - The client's current date
+ */
+function shiftSessions(schedule, sessions, today) {
+    const upcoming = schedule.sessions
+        .filter(session => !sessions.includes(session) && session.status === 'planned' && session.date >= today)
+        .sort((a, b) => a.date.localeCompare(b.date));
+    const queue = [...sessions, ...upcoming];
+
+    // Done and skipped sessions keep their dates
+    const taken = new Set(schedule.sessions.filter(session => !queue.includes(session)).map(session => session.date));
+
+    let date = today;
+    queue.forEach(session => {
+        date = findFreeDate(taken, date, schedule.weekdays);
+        if (session.date !== date) {
+            moveSession(session, date);
+        }
+        date = addDays(date, 1);
+    });
+}
+
+/**
+ * Change a session's status
+ * @param {string} ownerKey - Owner key
+ * @param {string} sessionId - Session ID
+ * @param {string} status - One of SESSION_STATUSES
+ * @returns {Promise<Object|null>} Updated schedule or null if the session wasn't found
+ */
+export async function updateSessionStatus(ownerKey, sessionId, status) {
+    return store.update(data => {
+        const schedule = data.schedules[ownerKey];
+        const session = schedule?.sessions.find(item => item.id === sessionId);
+        if (!session) {
+            return null;
+        }
+
+        session.status = status;
+        schedule.updatedAt = new Date().toISOString();
+        return schedule;
+    });
+}
+
+/**
+ * Move one session, to a chosen date or the first training day from today
+ * Without a date, the planned sessions after it shift forward one training day
+ * @param {string} ownerKey - Owner key
+ * @param {string} sessionId - Session ID
+ * @param {Object} options
+ * @param {string} [options.date] - New date
+ * @param {string} options.today - The client's current date
+ * @returns {Promise<Object|null>} Updated schedule or null if the session wasn't found
+ */
+export async function rescheduleSession(ownerKey, sessionId, { date, today }) {
+    return store.update(data => {
+        const schedule = data.schedules[ownerKey];
+        const session = schedule?.sessions.find(item => item.id === sessionId);
+        if (!session) {
+            return null;
+        }
+
+        if (date) {
+            moveSession(session, date);
+        } else {
+            session.status = 'planned';
+            shiftSessions(schedule, [session], today);
+        }
+        schedule.updatedAt = new Date().toISOString();
+        return schedule;
+    });
+}
+
+/**
+ * Move every missed session to the first training days from today, oldest first
+ * The remaining planned sessions shift forward behind them
+ * @param {string} ownerKey - Owner key
+ * @param {string} today - The client's current date
+ * @returns {Promise<Object|null>} { schedule, moved } or null if there is no schedule
+ */
+export async function rescheduleMissedSessions(ownerKey, today) {
+    return store.update(data => {
+        const schedule = data.schedules[ownerKey];
+        if (!schedule) {
+            return null;
+        }
+
+        const missed = schedule.sessions
+            .filter(session => session.status === 'planned' && session.date < today)
+            .sort((a, b) => a.date.localeCompare(b.date));
+
+        if (missed.length > 0) {
+            shiftSessions(schedule, missed, today);
+            schedule.updatedAt = new Date().toISOString();
+        }
+
+        return { schedule, moved: missed.length };
+    });
+}
+
+/**
+ * Move an anonymous client's schedule to the account it signs in to
+ * The account keeps its own schedule if it already has one
+ * @param {string} fromOwnerKey - Current owner
+ * @param {string} toOwnerKey - New owner
+ * @returns {Promise<number>} 1 if a schedule was moved, otherwise 0
+ */
+export async function transferSchedule(fromOwnerKey, toOwnerKey) {
+    return store.update(data => {
+        const schedule = data.schedules[fromOwnerKey];
+        if (!schedule || data.schedules[toOwnerKey]) {
+            return 0;
+        }
+
+        schedule.ownerKey = toOwnerKey;
+        data.schedules[toOwnerKey] = schedule;
+        delete data.schedules[fromOwnerKey];
+        return 1;
+    });
+}
@@ -0,0 +1,132 @@
+// Schedule checks
+// Sessions land on the training weekdays, missed sessions move to the next training days
+// and the export is valid iCalendar
+
+import { test, after } from 'node:test';
+import assert from 'node:assert/strict';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+
+// The store reads DATA_DIR on import, so point it at a temp directory first
+process.env.DATA_DIR = await fs.mkdtemp(path.join(os.tmpdir(), 'gym-buddy-schedule-'));
+const { createSchedule, updateSessionStatus, rescheduleSession, rescheduleMissedSessions, toPublicSchedule } = await import('./schedule.js');
+const { createCalendar } = await import('./ics.js');
+
+after(() => fs.rm(process.env.DATA_DIR, { recursive: true, force: true }));
+
+const PLAN = {
+    title: 'Full body',
+    days: ['A', 'B', 'C'].map((name, index) => ({
+        day: index + 1,
+        name: `Day ${name}`,
+        focus: 'Full body',
+        exercises: [{ name: 'Squat', sets: 3, reps: '8', rest: '90s' }]
+    }))
+};
+
+/**
+ * Schedule the test plan: 4 weeks, Monday/Wednesday/Friday from Monday 2026-10-05
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object>} Stored schedule
+ */
+function scheduleBlock(ownerKey) {
+    return createSchedule({
+        plan: PLAN,
+        ownerKey,
+        userProfile: { schedule: { daysPerWeek: 3, timeOfDay: 'Morning' }, time: '45-60 minutes' },
+        startDate: '2026-10-05',
+        weeks: 4
+    });
+}
+
+test('sessions fill the training weekdays in plan order', async () => {
+    const schedule = await scheduleBlock('build');
+
+    assert.equal(schedule.sessions.length, 12);
+    assert.deepEqual(schedule.sessions.slice(0, 4).map(session => session.date), ['2026-10-05', '2026-10-07', '2026-10-09', '2026-10-12']);
+    assert.deepEqual(schedule.sessions.slice(0, 4).map(session => session.name), ['Day A', 'Day B', 'Day C', 'Day A']);
+    assert.equal(schedule.sessions.at(-1).date, '2026-10-30');
+    assert.equal(schedule.sessions[0].startTime, '07:00');
+    assert.equal(schedule.sessions[0].durationMinutes, 60);
+});
+
+test('past planned sessions show as missed', async () => {
+    const schedule = await scheduleBlock('missed-status');
+    const statuses = toPublicSchedule(schedule, '2026-10-08').sessions.map(session => session.status);
+    assert.deepEqual(statuses.slice(0, 3), ['missed', 'missed', 'planned']);
+});
+
+test('missed sessions take the next training days and the rest shift forward', async () => {
+    await scheduleBlock('reschedule-missed');
+    const { schedule, moved } = await rescheduleMissedSessions('reschedule-missed', '2026-10-08');
+    const sessions = toPublicSchedule(schedule, '2026-10-08').sessions;
+
+    assert.equal(moved, 2);
+    assert.deepEqual(sessions.slice(0, 3).map(session => [session.date, session.name]), [
+        ['2026-10-09', 'Day A'],
+        ['2026-10-12', 'Day B'],
+        ['2026-10-14', 'Day C']
+    ]);
+    assert.equal(sessions[0].rescheduledFrom, '2026-10-05');
+    assert.ok(sessions.every(session => [1, 3, 5].includes(new Date(`${session.date}T00:00:00Z`).getUTCDay())));
+    assert.equal(new Set(sessions.map(session => session.date)).size, sessions.length);
+    assert.equal(sessions.at(-1).date, '2026-11-04');
+});
+
+test('done sessions keep their dates when others shift', async () => {
+    const created = await scheduleBlock('reschedule-done');
+    await updateSessionStatus('reschedule-done', created.sessions[2].id, 'done');
+
+    const { schedule } = await rescheduleMissedSessions('reschedule-done', '2026-10-08');
+    const sessions = toPublicSchedule(schedule, '2026-10-08').sessions;
+
+    assert.deepEqual(sessions.slice(0, 3).map(session => [session.date, session.name, session.status]), [
+        ['2026-10-09', 'Day C', 'done'],
+        ['2026-10-12', 'Day A', 'planned'],
+        ['2026-10-14', 'Day B', 'planned']
+    ]);
+});
+
+test('a single session moves to the next training day or a chosen date', async () => {
+    const created = await scheduleBlock('reschedule-one');
+    const [first, second] = created.sessions;
+
+    let schedule = await rescheduleSession('reschedule-one', first.id, { today: '2026-10-06' });
+    assert.equal(schedule.sessions.find(session => session.id === first.id).date, '2026-10-07');
+    assert.equal(schedule.sessions.find(session => session.id === second.id).date, '2026-10-09');
+
+    schedule = await rescheduleSession('reschedule-one', second.id, { date: '2026-10-10', today: '2026-10-06' });
+    const moved = schedule.sessions.find(session => session.id === second.id);
+    assert.equal(moved.date, '2026-10-10');
+    assert.equal(moved.rescheduledFrom, '2026-10-07');
+
+    assert.equal(await rescheduleSession('reschedule-one', 'missing', { today: '2026-10-06' }), null);
+});
+
+test('the calendar export is valid iCalendar', () => {
+    const calendar = createCalendar({
+        name: 'Gym Buddy: Full body',
+        events: [{
+            uid: 'one@ai-gym-buddy',
+            date: '2026-10-05',
+            startTime: '07:00',
+            durationMinutes: 60,
+            summary: 'Day A; legs, core',
+            description: `Squat: 3 x 8\n${'Romanian deadlift 🏋️ '.repeat(6)}`,
+            cancelled: true
+        }]
+    });
+    const lines = calendar.split('\r\n');
+
+    assert.ok(calendar.endsWith('END:VCALENDAR\r\n'));
+    assert.ok(lines.includes('DTSTART:20261005T070000'));
+    assert.ok(lines.includes('DURATION:PT60M'));
+    assert.ok(lines.includes('SUMMARY:Day A\\; legs\\, core'));
+    assert.ok(lines.includes('STATUS:CANCELLED'));
+    assert.ok(lines.every(line => Buffer.byteLength(line) <= 75));
+
+    // Unfolding gives back the escaped description
+    const unfolded = calendar.replace(/\r\n /g, '');
+    assert.ok(unfolded.includes(`DESCRIPTION:Squat: 3 x 8\\n${'Romanian deadlift 🏋️ '.repeat(6)}\r\n`));
+});
@@ -0,0 +1,94 @@
+// Minimal JSON Schema validation
+// Supports the subset we use for model output: type, properties, required,
+// additionalProperties, items, enum, minimum/maximum, minItems/maxItems, minLength
+
+/**
+ * Check a value against a JSON type name
+ * @param {any} value - Value to check
+ * @param {string} type - JSON Schema type
+ * @returns {boolean} True if the value has that type
+ */
+function matchesType(value, type) {
+    switch (type) {
+        case 'object':
+            return value !== null && typeof value === 'object' && !Array.isArray(value);
+        case 'array':
+            return Array.isArray(value);
+        case 'integer':
+            return Number.isInteger(value);
+        case 'number':
+            return typeof value === 'number' && Number.isFinite(value);
+        case 'null':
+            return value === null;
+        default:
+            return typeof value === type;
+    }
+}
+
+/**
+ * Validate a value against a schema
+ * @param {any} value - Value to validate
+ * @param {Object} schema - JSON Schema (supported subset)
+ * @param {string} [path] - Location used in error messages
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validate(value, schema, path = '$') {
+    const errors = [];
+
+    if (schema.type) {
+        const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+        if (!types.some(type => matchesType(value, type))) {
+            return [`${path} must be of type ${types.join(' or ')}`];
+        }
+    }
+
+    if (schema.enum && !schema.enum.includes(value)) {
+        errors.push(`${path} must be one of: ${schema.enum.join(', ')}`);
+    }
+
+    if (typeof value === 'number') {
+        if (schema.minimum !== undefined && value < schema.minimum) {
+            errors.push(`${path} must be >= ${schema.minimum}`);
+        }
+        if (schema.maximum !== undefined && value > schema.maximum) {
+            errors.push(`${path} must be <= ${schema.maximum}`);
+        }
+    }
+
+    if (typeof value === 'string' && schema.minLength !== undefined && value.length < schema.minLength) {
+        errors.push(`${path} must be at least ${schema.minLength} characters`);
+    }
+
+    if (Array.isArray(value)) {
+        if (schema.minItems !== undefined && value.length < schema.minItems) {
+            errors.push(`${path} must have at least ${schema.minItems} items`);
+        }
+        if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+            errors.push(`${path} must have at most ${schema.maxItems} items`);
+        }
+        if (schema.items) {
+            value.forEach((item, index) => {
+                errors.push(...validate(item, schema.items, `${path}[${index}]`));
+            });
+        }
+    }
+
+    if (matchesType(value, 'object')) {
+        (schema.required || []).forEach(key => {
+            if (!(key in value)) {
+                errors.push(`${path}.${key} is required`);
+            }
+        });
+
+        Object.entries(value).forEach(([key, propertyValue]) => {
+            const propertySchema = schema.properties?.[key];
+            if (propertySchema) {
+                errors.push(...validate(propertyValue, propertySchema, `${path}.${key}`));
+            } else if (schema.additionalProperties === false) {
+                errors.push(`${path}.${key} is not allowed`);
+            }
+        });
+    }
+
+    return errors;
+}
@@ -0,0 +1,265 @@
+// Pre-flight content screening
+// Local, rule-based checks that run before a chat message reaches the model.
+// Matches get a safe templated reply with resources and are recorded for review.
+
+import crypto from 'crypto';
+import JsonFileStore from './store.js';
+
+const store = new JsonFileStore('screening', { hits: [] });
+
+// Oldest hits are dropped past this many
+const MAX_STORED_HITS = 1000;
+
+// How much of the message is kept with a hit
+const EXCERPT_LENGTH = 200;
+
+// Daily intake below this (kcal) counts as extreme restriction
+const MIN_SAFE_CALORIES = 800;
+
+const CRISIS_RESOURCES = `- If you're in immediate danger, call your local emergency number
+- US: call or text **988** (Suicide & Crisis Lifeline)
+- UK & Ireland: call **116 123** (Samaritans)
+- Anywhere else: find a free, confidential helpline at [findahelpline.com](https://findahelpline.com)`;
+
+const EATING_DISORDER_RESOURCES = `- US: National Alliance for Eating Disorders helpline **1-866-662-1235**
+- UK: Beat helpline **0808 801 0677**
+- Anywhere else: [findahelpline.com](https://findahelpline.com) lists eating-disorder and crisis lines
+- Your doctor can also refer you to specialist support`;
+
+/**
+ * Check for a very low daily calorie target (e.g. "eat 500 calories a day")
+ * @param {string} text - User message
+ * @returns {boolean} True if the message describes extreme restriction
+ */
+function mentionsExtremeCalorieTarget(text) {
+    // The daily total has to follow the number directly ("500 calories of sugar a day" is not a target)
+    const pattern = /\b(eat(ing)?|diet(ing)?( on| of)?|only|intake( of)?|under|below|less than)\s+(about |around |just )?(?<calories>\d{2,4})\s*(k?cals?|calories)\s*((a|per|each|every) day|daily|\/\s*day)\b/gi;
+
+    for (const match of text.matchAll(pattern)) {
+        if (Number(match.groups.calories) < MIN_SAFE_CALORIES) {
+            return true;
+        }
+    }
+
+    return false;
+}
+
+// Steroids and hormones taken for a medical reason (asthma, eczema, inflammation, TRT...) are not misuse
+// Only conditions and treatments: a doctor or prescription is also mentioned when getting around them
+const MEDICAL_STEROID_CONTEXT = /\b(trt|testosterone replacement|hormone replacement|hrt|hypogonadism|low (t|testosterone)|endocrinologist|asthma|inhaler|eczema|dermatitis|arthritis|inflammation|inflamed|allerg(y|ies|ic)|rash|flare[- ]?ups?|crohn'?s|colitis|lupus|copd|prednison(e|olone)|cortisone|hydrocortisone|dexamethasone)\b/i;
+
+/**
+ * Check for steroid use aimed at performance (cycling, dosing, buying, gains)
+ * @param {string} text - User message
+ * @returns {boolean} True if the message asks about misusing steroids
+ */
+function mentionsSteroidMisuse(text) {
+    const intent = [
+        /\b(steroids?|roids?)\b[^.?!]{0,40}\b(cycle|stack|dose|dosage|buy|source|run|bulk|bulking|gains|mass)\b/i,
+        /\b(cycle|stack|dose|buy|source|get|getting|run|start|use|using|take|taking)\b[^.?!]{0,20}\b(steroids?|roids?)\b/i
+    ];
+
+    return intent.some(pattern => pattern.test(text)) && !MEDICAL_STEROID_CONTEXT.test(text);
+}
+
+/**
+ * Make a drug pattern skip messages about medical use
+ * @param {RegExp} pattern - Drug pattern
+ * @returns {Object} Rule pattern ({ test })
+ */
+function outsideMedicalUse(pattern) {
+    return { test: text => pattern.test(text) && !MEDICAL_STEROID_CONTEXT.test(text) };
+}
+
+// Loss of body weight or fat; shedding water weight before a weigh-in is not purging
+const WEIGHT_LOSS = String.raw`((lose|losing|drop|dropping|shed|shedding)\s+(some |more |the |\d+\s*)?(body ?)?(weight|fat|pounds|lbs|kilos|kg)|(weight|fat)[- ]loss)`;
+
+// Checked in order; the first matching rule wins (self-harm first)
+export const SCREENING_RULES = [
+    {
+        category: 'self_harm',
+        patterns: [
+            /\bkill(ing)? myself\b/i,
+            /\b(want|going|trying|urge) to (hurt|harm) myself\b/i,
+            /\bsuicid(e|al)\b/i,
+            /\bself[- ]?harm/i,
+            // Only a wish to die, not "I'm going to die" after a hard session
+            /\bi\s+(really\s+|just\s+)?(want to|wanna) die\b/i,
+            /\bwish i (was|were) dead\b/i,
+            /\bdon'?t want to (live|be alive|be here)\b/i,
+            /\bend (it all|my life)\b/i,
+            /\bcut(ting)? myself\b/i
+        ],
+        response: `I'm really sorry you're going through this. I'm only a fitness assistant, so I'm not the right support for what you're feeling, but you don't have to deal with it alone. Please reach out to someone who can help right now:
+
+${CRISIS_RESOURCES}
+
+Talking to someone you trust, or your doctor, can also help. I'll be here for your training whenever you want to come back to it. 💙`
+    },
+    {
+        category: 'purging',
+        patterns: [
+            /\bpurg(e|ing)\b/i,
+            /\bbulimi/i,
+            /\bmake (myself|me) (throw up|vomit|sick)\b/i,
+            /\b(throw(ing)? up|vomit(ing)?) after (eating|meals?|food|i eat)\b/i,
+            /\bself[- ]induced vomiting\b/i,
+            new RegExp(String.raw`\b(laxatives?|diuretics?|water pills)\b[^.?!]{0,40}\b${WEIGHT_LOSS}\b`, 'i'),
+            new RegExp(String.raw`\b${WEIGHT_LOSS}\b[^.?!]{0,40}\b(laxatives?|diuretics?|water pills)\b`, 'i')
+        ],
+        response: `I can't help with purging, vomiting or using laxatives or diuretics to control weight. They're dangerous (they can upset your heart rhythm through electrolyte loss) and they don't remove the calories you might expect. If food or your body is feeling hard to manage, specialist support really helps:
+
+${EATING_DISORDER_RESOURCES}
+
+If you'd like, I can help you build a sustainable eating and training routine instead.`
+    },
+    {
+        category: 'extreme_fasting',
+        patterns: [
+            // One continuous fast of 3+ days ("fast for 5 days", "a 7-day water fast");
+            // fasting on some days of the week ("fasting 5 days a week") is intermittent fasting
+            /\b(fast(ing)?|starv(e|ing))\s+(for\s+)?(about |around |over |more than |at least )?([3-9]|\d{2,})\+?\s*(full |whole |straight |consecutive )?(days?|weeks?)\b(?![^.?!]{0,12}\b(a|per|each|every|in a)\s+week\b)/i,
+            /\b([3-9]|\d{2,})[- ](day|week)\s+(water |dry |juice )?fast(s|ing)?\b(?![\s-]*food)/i,
+            /\bdry fast(ing)?\b/i,
+            /\bstarv(e|ing) myself\b/i,
+            /\b(stop|quit) eating (completely|entirely|altogether|for (a|several|\d+) (days?|weeks?))\b/i,
+            /\b(not|no) eat(ing)?( anything)? for (several|a few|([3-9]|\d{2,})) (days?|weeks?)\b/i,
+            { test: mentionsExtremeCalorieTarget }
+        ],
+        response: `I can't recommend multi-day fasts or eating under about ${MIN_SAFE_CALORIES} calories a day without medical supervision. Extreme restriction costs muscle, slows recovery and can cause gallstones, dizziness and dangerous electrolyte problems.
+
+A moderate deficit of around 300-500 calories a day, enough protein and regular strength training will get you leaner while keeping your strength. Ask me and I'll work out a starting target with you.
+
+If food or weight is causing you real distress, these services can help:
+
+${EATING_DISORDER_RESOURCES}`
+    },
+    {
+        category: 'anabolic_steroids',
+        patterns: [
+            { test: mentionsSteroidMisuse },
+            outsideMedicalUse(/\b(trenbolone|tren|dianabol|dbol|winstrol|winny|anavar|oxandrolone|nandrolone|masteron|primobolan)\b/i),
+            // "Deca" and "test" are ordinary words on their own, so they need a cycle, ester or dose with them
+            outsideMedicalUse(/\bdeca([- ]durabolin|\s+(cycle|run|dose|dosage|injections?|shots?|\d+\s*mg))\b/i),
+            outsideMedicalUse(/\b(run(ning)?|cycl(e|ing)|inject(ing)?|buy(ing)?|source|on)\s+deca\b/i),
+            outsideMedicalUse(/\btestosterone\s*(enanthate|cypionate|propionate|undecanoate|cycle|injections?|shots?)\b/i),
+            outsideMedicalUse(/\btest(\s*(enanthate|cypionate|propionate)|\s+(e|c|p))\b/i),
+            outsideMedicalUse(/\b(first|next|my|run(ning)?|start(ing)?|\d+\s*mg( of)?)\s+test\s+(cycles?|runs?|only|base|dose|dosage|injections?|shots?)\b/i),
+            /\b(sarms?|ostarine|mk-?2866|rad-?140|testolone|ligandrol|lgd-?4033|cardarine|gw-?501516)\b/i,
+            /\b(clenbuterol|clen|insulin for (bulking|mass|gains))\b/i,
+            // Growth hormone only as a drug to take, not as something sleep or training raises
+            outsideMedicalUse(/\b(inject(ing)?|buy(ing)?|source|take|taking|run(ning)?|cycle|cycling|dose|dosing|use|using|on)\s+(some\s+)?(hgh|growth hormone)\b/i),
+            outsideMedicalUse(/\b(hgh|growth hormone)\b[^.?!]{0,30}\b(inject(ing|ions?)?|shots?|cycle|dose|dosage|pens?|peptides?)\b/i),
+            /\bpost[- ]cycle therapy\b/i
+        ],
+        response: `I can't help with sourcing, dosing or cycling anabolic steroids, SARMs or other performance-enhancing drugs. They carry serious risks to your heart, liver, hormones and mental health, and many are illegal without a prescription.
+
+If you're already using them, please talk to a doctor. Needle-exchange and harm-reduction services can also offer confidential, non-judgemental health checks.
+
+I'm glad to help you make the most of natural training: programming, progressive overload, nutrition and recovery.`
+    }
+];
+
+/**
+ * Screen a user message against the rules
+ * @param {string} text - User message
+ * @returns {Object|null} Matching rule ({ category, response }) or null
+ */
+export function screenMessage(text) {
+    if (typeof text !== 'string' || text.trim() === '') {
+        return null;
+    }
+
+    return SCREENING_RULES.find(rule => rule.patterns.some(pattern => pattern.test(text))) || null;
+}
+
+/**
+ * Screen every user message of a chat request, newest first
+ * A message already answered with a screening reply is skipped, so one refusal
+ * doesn't block the rest of the thread
+ * @param {Array} messages - Chat history ({ role, content }), oldest first
+ * @returns {Object|null} { rule, message } for the newest message that matches, or null
+ */
+export function screenConversation(messages) {
+    const responses = new Set(SCREENING_RULES.map(rule => rule.response));
+
+    for (let index = messages.length - 1; index >= 0; index--) {
+        const { role, content } = messages[index];
+        if (role !== 'user' || responses.has(messages[index + 1]?.content)) {
+            continue;
+        }
+
+        const rule = screenMessage(content);
+        if (rule) {
+            return { rule, message: content };
+        }
+    }
+
+    return null;
+}
+
+/**
+ * Record a screening hit for review
+ * @param {Object} hit
+ * @param {string} hit.category - Rule category
+ * @param {string} hit.message - The screened message (only an excerpt is stored)
+ * @param {string} hit.ownerKey - Who sent it
+ * @param {string|null} [hit.conversationId] - Conversation it was sent in
+ * @returns {Promise<Object>} Stored hit
+ */
+export async function recordScreeningHit({ category, message, ownerKey, conversationId = null }) {
+    const hit = {
+        id: crypto.randomUUID(),
+        category,
+        excerpt: message.slice(0, EXCERPT_LENGTH),
+        ownerKey,
+        conversationId,
+        reviewed: false,
+        createdAt: new Date().toISOString()
+    };
+
+    await store.update(data => {
+        data.hits.push(hit);
+        if (data.hits.length > MAX_STORED_HITS) {
+            data.hits.splice(0, data.hits.length - MAX_STORED_HITS);
+        }
+    });
+
+    console.warn(`🚩 Screened message (${category}) from ${ownerKey}`);
+    return hit;
+}
+
+/**
+ * List recorded hits, newest first
+ * @param {Object} options
+ * @param {string} [options.category] - Only this category
+ * @param {boolean} [options.unreviewed] - Only hits not yet reviewed
+ * @param {number} [options.limit] - Maximum number of hits
+ * @returns {Promise<Array>} Hits
+ */
+export async function listScreeningHits({ category, unreviewed = false, limit = 100 } = {}) {
+    const data = await store.read();
+
+    return data.hits
+        .filter(hit => (!category || hit.category === category) && (!unreviewed || !hit.reviewed))
+        .reverse()
+        .slice(0, limit);
+}
+
+/**
+ * Mark a hit as reviewed
+ * @param {string} id - Hit ID
+ * @returns {Promise<Object|null>} Updated hit or null if not found
+ */
+export async function markScreeningHitReviewed(id) {
+    return store.update(data => {
+        const hit = data.hits.find(item => item.id === id);
+        if (!hit) {
+            return null;
+        }
+
+        hit.reviewed = true;
+        hit.reviewedAt = new Date().toISOString();
+        return hit;
+    });
+}
@@ -0,0 +1,90 @@
+// Local JSON file storage
+// Each store is one JSON file under DATA_DIR, loaded once and written atomically
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Where the JSON files live (override with DATA_DIR)
+export const DATA_DIR = process.env.DATA_DIR || path.join(__dirname, 'data');
+
+/**
+ * JsonFileStore - Tiny embedded document store backed by a single JSON file
+ * Reads are served from memory, writes are serialized and flushed to disk
+ */
+class JsonFileStore {
+    /**
+     * @param {string} name - File name without extension (e.g. 'conversations')
+     * @param {Object} defaults - Initial data when the file doesn't exist yet
+     */
+    constructor(name, defaults = {}) {
+        this.filePath = path.join(DATA_DIR, `${name}.json`);
+        this.defaults = defaults;
+        this.data = null;
+        this.writeQueue = Promise.resolve();
+    }
+
+    /**
+     * Load the data from disk (only the first time)
+     * @returns {Promise<Object>} Store data
+     */
+    async load() {
+        if (this.data) {
+            return this.data;
+        }
+
+        try {
+            const raw = await fs.readFile(this.filePath, 'utf8');
+            this.data = JSON.parse(raw);
+        } catch (error) {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+            this.data = structuredClone(this.defaults);
+        }
+
+        return this.data;
+    }
+
+    /**
+     * Read the current data
+     * @returns {Promise<Object>} Store data (do not mutate, use update())
+     */
+    async read() {
+        return this.load();
+    }
+
+    /**
+     * Mutate the data and persist it
+     * Updates run one at a time so concurrent requests can't clobber each other
+     * @param {Function} mutator - Receives the data, may mutate it and return a result
+     * @returns {Promise<any>} Whatever the mutator returned
+     */
+    async update(mutator) {
+        const run = async () => {
+            const data = await this.load();
+            const result = await mutator(data);
+            await this.flush();
+            return result;
+        };
+
+        const next = this.writeQueue.then(run, run);
+        this.writeQueue = next.catch(() => {});
+        return next;
+    }
+
+    /**
+     * Write the data to disk via a temp file + rename
+     */
+    async flush() {
+        await fs.mkdir(path.dirname(this.filePath), { recursive: true });
+
+        const tempPath = `${this.filePath}.tmp`;
+        await fs.writeFile(tempPath, JSON.stringify(this.data, null, 2));
+        await fs.rename(tempPath, this.filePath);
+    }
+}
+
+export default JsonFileStore;
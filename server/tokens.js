@@ -0,0 +1,66 @@
+// Token estimation
+// A dependency-free approximation of the model tokenizer (~4 characters per token)
+
+// Tokens the chat format adds around every message (role, separators)
+const MESSAGE_OVERHEAD_TOKENS = 4;
+
+/**
+ * Estimate the token count of a piece of text
+ * @param {string} text - Text to measure
+ * @returns {number} Estimated tokens
+ */
+export function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimate the tokens a single chat message costs in the prompt
+ * @param {Object} message - Chat message ({ role, content })
+ * @returns {number} Estimated tokens
+ */
+export function countMessageTokens(message) {
+    return estimateTokens(message.content) + MESSAGE_OVERHEAD_TOKENS;
+}
+
+/**
+ * Estimate the tokens a list of chat messages costs in the prompt
+ * @param {Array} messages - Chat messages
+ * @returns {number} Estimated tokens
+ */
+export function countMessagesTokens(messages) {
+    return messages.reduce((sum, message) => sum + countMessageTokens(message), 0);
+}
+
+/**
+ * Add two usage objects together
+ * @param {Object|null} total - Running total
+ * @param {Object|null} usage - Usage from one completion
+ * @returns {Object|null} Combined usage
+ */
+export function addUsage(total, usage) {
+    if (!usage) return total;
+    if (!total) return { ...usage };
+
+    return {
+        prompt_tokens: (total.prompt_tokens || 0) + (usage.prompt_tokens || 0),
+        completion_tokens: (total.completion_tokens || 0) + (usage.completion_tokens || 0),
+        total_tokens: (total.total_tokens || 0) + (usage.total_tokens || 0)
+    };
+}
+
+/**
+ * Estimate the usage of a completion the provider never reported (e.g. a stream cut short)
+ * @param {Array} messages - Prompt messages
+ * @param {string} completion - Text generated so far
+ * @returns {Object} OpenAI-shaped usage
+ */
+export function estimateUsage(messages, completion) {
+    const promptTokens = countMessagesTokens(messages);
+    const completionTokens = estimateTokens(completion);
+
+    return {
+        prompt_tokens: promptTokens,
+        completion_tokens: completionTokens,
+        total_tokens: promptTokens + completionTokens
+    };
+}
@@ -0,0 +1,127 @@
+// Tool-calling loop
+// Lets the model call the chat tools over several rounds before it answers,
+// and records every call as a trace the client can show
+
+import { TOOL_DEFINITIONS, runTool } from './tools.js';
+import { addUsage } from './tokens.js';
+
+// Rounds of tool calls before the model has to answer without tools
+const MAX_TOOL_ROUNDS = 4;
+
+// How much of each tool's output is kept in the trace
+const TRACE_OUTPUT_LENGTH = 600;
+
+/**
+ * Get the tool definitions to offer in a round (none once the limit is reached)
+ * @param {Object} provider - LLM provider
+ * @param {number} round - Zero-based round number
+ * @returns {Object} Extra request options ({ tools } or {})
+ */
+function getToolOptions(provider, round) {
+    return provider.supportsTools && round < MAX_TOOL_ROUNDS ? { tools: TOOL_DEFINITIONS } : {};
+}
+
+/**
+ * Run the tool calls from one model turn
+ * @param {string|null} content - Text the model sent alongside the calls
+ * @param {Array} toolCalls - [{ id, name, arguments }] from the provider
+ * @param {Object} toolContext - { ownerKey, userProfile }
+ * @returns {Promise<Object>} { messages, trace } where messages continue the conversation
+ */
+async function runToolCalls(content, toolCalls, toolContext) {
+    const messages = [{
+        role: 'assistant',
+        content: content || null,
+        tool_calls: toolCalls.map(call => ({
+            id: call.id,
+            type: 'function',
+            function: { name: call.name, arguments: call.arguments }
+        }))
+    }];
+    const trace = [];
+
+    // Run in order, a later call may depend on an earlier one (e.g. log then list)
+    for (const call of toolCalls) {
+        const startedAt = Date.now();
+        const { args, result } = await runTool(call.name, call.arguments, toolContext);
+        const output = JSON.stringify(result);
+
+        messages.push({ role: 'tool', tool_call_id: call.id, content: output });
+        trace.push({
+            name: call.name,
+            arguments: args,
+            output: output.length > TRACE_OUTPUT_LENGTH ? `${output.slice(0, TRACE_OUTPUT_LENGTH)}…` : output,
+            ...(result.error ? { error: result.error } : {}),
+            durationMs: Date.now() - startedAt
+        });
+    }
+
+    return { messages, trace };
+}
+
+/**
+ * Complete a chat, running tool calls until the model answers
+ * @param {Object} provider - LLM provider
+ * @param {Object} requestOptions - Options for provider.complete
+ * @param {Object} toolContext - { ownerKey, userProfile } the tools run with
+ * @returns {Promise<Object>} { message, usage, toolTrace }
+ */
+export async function completeWithTools(provider, requestOptions, toolContext) {
+    const messages = [...requestOptions.messages];
+    const toolTrace = [];
+    let usage = null;
+
+    for (let round = 0; ; round++) {
+        const completion = await provider.complete({ ...requestOptions, messages, ...getToolOptions(provider, round) });
+        usage = addUsage(usage, completion.usage);
+
+        if (!completion.toolCalls?.length) {
+            return { message: completion.message, usage, toolTrace };
+        }
+
+        const result = await runToolCalls(completion.message, completion.toolCalls, toolContext);
+        messages.push(...result.messages);
+        toolTrace.push(...result.trace);
+    }
+}
+
+/**
+ * Stream a chat, running tool calls until the model answers
+ * Yields { delta } while the model writes, { tool } after each tool call and { usage } as soon as
+ * each round reports it, so a caller that stops early still knows what was spent
+ * @param {Object} provider - LLM provider
+ * @param {Object} requestOptions - Options for provider.stream
+ * @param {Object} toolContext - { ownerKey, userProfile } the tools run with
+ */
+export async function* streamWithTools(provider, requestOptions, toolContext) {
+    const messages = [...requestOptions.messages];
+
+    for (let round = 0; ; round++) {
+        let content = '';
+        let toolCalls = [];
+
+        for await (const chunk of provider.stream({ ...requestOptions, messages, ...getToolOptions(provider, round) })) {
+            if (chunk.delta) {
+                content += chunk.delta;
+                yield { delta: chunk.delta };
+            }
+            if (chunk.toolCalls) {
+                toolCalls = chunk.toolCalls;
+            }
+            if (chunk.usage) {
+                yield { usage: chunk.usage };
+            }
+        }
+
+        if (toolCalls.length === 0) {
+            return;
+        }
+
+        const result = await runToolCalls(content, toolCalls, toolContext);
+        messages.push(...result.messages);
+
+        for (const tool of result.trace) {
+            yield { tool };
+        }
+    }
+}
@@ -0,0 +1,166 @@
+// Chat tools
+// Server-side functions the model can call: exercise lookup, nutrition targets and the workout log
+// Every tool runs with the caller's owner key and profile, never with arguments that pick another user
+
+import { filterExercises } from './exercises.js';
+import { isContraindicated } from './safety.js';
+import { getNutritionInput, calculateNutritionTargets, NUTRITION_GOALS } from './nutrition.js';
+import { listWorkouts, createWorkout, validateWorkout, toPublicWorkout, WORKOUT_SCHEMA } from './workouts.js';
+import { validate } from './schema.js';
+
+// Most exercises returned by one search
+const MAX_EXERCISE_RESULTS = 15;
+
+const TOOLS = [
+    {
+        name: 'search_exercises',
+        description: 'Search the exercise library for exercises the user can do with their equipment. Exercises unsafe for their declared conditions are left out.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                muscle: { type: 'string', description: 'Muscle group, e.g. chest, back, quads, glutes, core' },
+                search: { type: 'string', description: 'Text to look for in the exercise name' },
+                level: { type: 'string', enum: ['Beginner', 'Intermediate', 'Advanced'], description: 'Highest difficulty (defaults to the user\'s level)' }
+            }
+        },
+        /**
+         * @param {Object} args - { muscle, search, level }
+         * @param {Object} context - { userProfile }
+         * @returns {Object} { exercises }
+         */
+        run({ muscle, search, level }, { userProfile }) {
+            const equipment = Array.isArray(userProfile?.equipment) ? userProfile.equipment : [];
+
+            const exercises = filterExercises({ equipment, muscle, search, level: level || userProfile?.level })
+                .filter(exercise => !isContraindicated(exercise.name, userProfile))
+                .slice(0, MAX_EXERCISE_RESULTS)
+                .map(exercise => ({
+                    name: exercise.name,
+                    muscles: exercise.muscles,
+                    equipment: exercise.equipment,
+                    difficulty: exercise.difficulty,
+                    instructions: exercise.instructions
+                }));
+
+            return { exercises };
+        }
+    },
+    {
+        name: 'calculate_nutrition',
+        description: 'Calculate daily calorie and macro targets (Mifflin-St Jeor) from the user\'s body metrics. Pass a goal or days per week only to answer a "what if" question.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                goal: { type: 'string', enum: NUTRITION_GOALS, description: 'Goal to calculate for (defaults to the profile goal)' },
+                daysPerWeek: { type: 'integer', minimum: 0, maximum: 7, description: 'Training days per week (defaults to the profile schedule)' }
+            }
+        },
+        /**
+         * @param {Object} args - { goal, daysPerWeek }
+         * @param {Object} context - { userProfile }
+         * @returns {Object} { targets } or { error, missing } when body metrics are missing
+         */
+        run({ goal, daysPerWeek }, { userProfile }) {
+            const { input, missing } = getNutritionInput(userProfile);
+
+            if (missing.length > 0) {
+                return { error: 'Body metrics missing from the profile', missing };
+            }
+
+            return {
+                targets: calculateNutritionTargets({
+                    ...input,
+                    ...(goal ? { goal } : {}),
+                    ...(daysPerWeek !== undefined ? { daysPerWeek } : {})
+                })
+            };
+        }
+    },
+    {
+        name: 'get_recent_workouts',
+        description: 'Get the user\'s most recently logged workout sessions, newest first.',
+        parameters: {
+            type: 'object',
+            additionalProperties: false,
+            properties: {
+                limit: { type: 'integer', minimum: 1, maximum: 20, description: 'Number of sessions (default 5)' },
+                exercise: { type: 'string', description: 'Only sessions that include this exercise' }
+            }
+        },
+        /**
+         * @param {Object} args - { limit, exercise }
+         * @param {Object} context - { ownerKey }
+         * @returns {Promise<Object>} { workouts }
+         */
+        async run({ limit = 5, exercise }, { ownerKey }) {
+            const workouts = await listWorkouts({ ownerKey, limit, exercise });
+            return { workouts: workouts.map(toPublicWorkout) };
+        }
+    },
+    {
+        name: 'log_workout',
+        description: 'Save a workout session to the user\'s log. Only call this when the user explicitly asks you to log a session they have done.',
+        parameters: WORKOUT_SCHEMA,
+        /**
+         * @param {Object} args - Workout matching WORKOUT_SCHEMA
+         * @param {Object} context - { ownerKey }
+         * @returns {Promise<Object>} { workout } or { error }
+         */
+        async run(workout, { ownerKey }) {
+            const errors = validateWorkout(workout);
+
+            if (errors.length > 0) {
+                return { error: errors.join('; ') };
+            }
+
+            const stored = await createWorkout(workout, ownerKey);
+            console.log(`🏋️ Logged workout ${stored.id} from a tool call`);
+            return { workout: toPublicWorkout(stored) };
+        }
+    }
+];
+
+// Tool definitions in the chat completions `tools` format
+export const TOOL_DEFINITIONS = TOOLS.map(({ name, description, parameters }) => ({
+    type: 'function',
+    function: { name, description, parameters }
+}));
+
+export const TOOL_NAMES = TOOLS.map(tool => tool.name);
+
+/**
+ * Run one tool call from the model
+ * Bad names and arguments come back as { error } so the model can correct itself
+ * @param {string} name - Tool name
+ * @param {string} rawArguments - JSON arguments as generated by the model
+ * @param {Object} context - { ownerKey, userProfile }
+ * @returns {Promise<Object>} { args, result } where result is the tool's JSON output
+ */
+export async function runTool(name, rawArguments, context) {
+    const tool = TOOLS.find(item => item.name === name);
+
+    if (!tool) {
+        return { args: null, result: { error: `Unknown tool: ${name}` } };
+    }
+
+    let args;
+    try {
+        args = rawArguments ? JSON.parse(rawArguments) : {};
+    } catch {
+        return { args: null, result: { error: 'Arguments must be valid JSON' } };
+    }
+
+    const errors = validate(args, tool.parameters);
+    if (errors.length > 0) {
+        return { args, result: { error: `Invalid arguments: ${errors.join('; ')}` } };
+    }
+
+    try {
+        return { args, result: await tool.run(args, context) };
+    } catch (error) {
+        console.error(`❌ Tool ${name} failed:`, error);
+        return { args, result: { error: 'The tool failed, try again or answer without it' } };
+    }
+}
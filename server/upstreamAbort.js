@@ -0,0 +1,62 @@
+// Upstream request cancellation
+// Ties an LLM call to the HTTP request that asked for it: the call is aborted when
+// the client disconnects (e.g. presses Stop) or when LLM_TIMEOUT_MS passes
+
+// How long a single chat or plan request may wait on the model
+export const UPSTREAM_TIMEOUT_MS = Number(process.env.LLM_TIMEOUT_MS) || 60000;
+
+/**
+ * Create an error describing why the upstream call was aborted
+ * @param {string} code - 'upstream_timeout' or 'client_disconnected'
+ * @param {string} message - Error message
+ * @returns {Error} Error with a code property
+ */
+function createAbortError(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+}
+
+/**
+ * Start watching a request for disconnects and timeouts
+ * Pass `signal` to the provider and call `done()` once the response has been sent.
+ * @param {Object} res - Express response
+ * @param {number} [timeoutMs] - Timeout for the upstream call
+ * @returns {Object} { signal, done, getReason }
+ */
+export function watchUpstream(res, timeoutMs = UPSTREAM_TIMEOUT_MS) {
+    const controller = new AbortController();
+
+    const timer = setTimeout(() => {
+        controller.abort(createAbortError('upstream_timeout', `The model did not answer within ${timeoutMs / 1000} seconds`));
+    }, timeoutMs);
+
+    // 'close' before the response ended means the client went away
+    const onClose = () => {
+        if (!res.writableEnded) {
+            controller.abort(createAbortError('client_disconnected', 'The client disconnected'));
+        }
+    };
+    res.on('close', onClose);
+
+    return {
+        signal: controller.signal,
+
+        /**
+         * Stop watching (clears the timer)
+         */
+        done() {
+            clearTimeout(timer);
+            res.off('close', onClose);
+        },
+
+        /**
+         * Get why the call was aborted
+         * The SDK throws its own abort error, so callers check this before handling a failure
+         * @returns {Error|null} Abort reason with a code, or null if not aborted
+         */
+        getReason() {
+            return controller.signal.aborted ? controller.signal.reason : null;
+        }
+    };
+}
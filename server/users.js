@@ -0,0 +1,169 @@
+// User accounts
+// Stores accounts with scrypt-hashed passwords and the user's fitness profile
+
+import crypto from 'crypto';
+import { promisify } from 'util';
+import JsonFileStore from './store.js';
+
+const scrypt = promisify(crypto.scrypt);
+
+const store = new JsonFileStore('users', { users: {} });
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const MIN_PASSWORD_LENGTH = 8;
+const KEY_LENGTH = 64;
+
+// Checked when the email is unknown so a miss costs the same scrypt run as a wrong password
+const DUMMY_HASH = `scrypt$${'0'.repeat(32)}$${'0'.repeat(KEY_LENGTH * 2)}`;
+
+/**
+ * Hash a password with a random salt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} 'scrypt$<salt>$<hash>'
+ */
+export async function hashPassword(password) {
+    const salt = crypto.randomBytes(16).toString('hex');
+    const hash = await scrypt(password, salt, KEY_LENGTH);
+    return `scrypt$${salt}$${hash.toString('hex')}`;
+}
+
+/**
+ * Check a password against a stored hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Value from hashPassword()
+ * @returns {Promise<boolean>} True if the password matches
+ */
+export async function verifyPassword(password, storedHash) {
+    const [scheme, salt, hashHex] = storedHash.split('$');
+    if (scheme !== 'scrypt' || !salt || !hashHex) {
+        return false;
+    }
+
+    const expected = Buffer.from(hashHex, 'hex');
+    const actual = await scrypt(password, salt, expected.length);
+    return crypto.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Strip private fields before sending a user to the client
+ * @param {Object} user - Stored user
+ * @returns {Object} Public user
+ */
+export function toPublicUser(user) {
+    const { passwordHash, ...publicUser } = user;
+    return publicUser;
+}
+
+/**
+ * Normalize an email address for lookups
+ * @param {string} email - Email address
+ * @returns {string} Lowercased, trimmed email
+ */
+function normalizeEmail(email) {
+    return String(email || '').trim().toLowerCase();
+}
+
+/**
+ * Validate registration input
+ * @param {Object} input - { email, password, name }
+ * @returns {string|null} Error description or null when valid
+ */
+export function validateRegistration({ email, password, name }) {
+    if (!EMAIL_PATTERN.test(normalizeEmail(email))) {
+        return 'A valid email address is required';
+    }
+    if (typeof password !== 'string' || password.length < MIN_PASSWORD_LENGTH) {
+        return `Password must be at least ${MIN_PASSWORD_LENGTH} characters`;
+    }
+    if (name !== undefined && (typeof name !== 'string' || name.length > 80)) {
+        return 'Name must be a string of at most 80 characters';
+    }
+    return null;
+}
+
+/**
+ * Find a user by email
+ * @param {string} email - Email address
+ * @returns {Promise<Object|null>} User or null
+ */
+async function findByEmail(email) {
+    const data = await store.read();
+    const normalized = normalizeEmail(email);
+    return Object.values(data.users).find(user => user.email === normalized) || null;
+}
+
+/**
+ * Create an account
+ * @param {Object} input - Validated { email, password, name }
+ * @returns {Promise<Object|null>} Created user or null if the email is taken
+ */
+export async function createUser({ email, password, name }) {
+    const passwordHash = await hashPassword(password);
+    const normalized = normalizeEmail(email);
+
+    return store.update(data => {
+        if (Object.values(data.users).some(user => user.email === normalized)) {
+            return null;
+        }
+
+        const now = new Date().toISOString();
+        const user = {
+            id: crypto.randomUUID(),
+            email: normalized,
+            name: name?.trim() || '',
+            passwordHash,
+            profile: null,
+            createdAt: now,
+            updatedAt: now
+        };
+
+        data.users[user.id] = user;
+        return user;
+    });
+}
+
+/**
+ * Check an email/password pair
+ * @param {string} email - Email address
+ * @param {string} password - Plain-text password
+ * @returns {Promise<Object|null>} User or null if the credentials are wrong
+ */
+export async function authenticateUser(email, password) {
+    if (typeof password !== 'string') {
+        return null;
+    }
+
+    const user = await findByEmail(email);
+    const valid = await verifyPassword(password, user?.passwordHash ?? DUMMY_HASH);
+
+    return user && valid ? user : null;
+}
+
+/**
+ * Get a user by ID
+ * @param {string} id - User ID
+ * @returns {Promise<Object|null>} User or null
+ */
+export async function getUser(id) {
+    const data = await store.read();
+    return data.users[id] || null;
+}
+
+/**
+ * Replace the user's stored fitness profile
+ * @param {string} id - User ID
+ * @param {Object} profile - Profile data
+ * @returns {Promise<Object|null>} Updated user or null if not found
+ */
+export async function updateUserProfile(id, profile) {
+    return store.update(data => {
+        const user = data.users[id];
+        if (!user) {
+            return null;
+        }
+
+        user.profile = profile;
+        user.updatedAt = new Date().toISOString();
+        return user;
+    });
+}
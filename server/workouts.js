@@ -0,0 +1,200 @@
+// Workout log
+// Records what was actually trained: exercises with sets, reps, load, RPE and notes
+// Every session belongs to an owner key ('user:<id>' or an anonymous client key)
+
+import crypto from 'crypto';
+import JsonFileStore from './store.js';
+import { validate } from './schema.js';
+import { isValidDate } from './schedule.js';
+
+const store = new JsonFileStore('workouts', { workouts: {} });
+
+// One logged exercise within a session
+const ENTRY_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['exercise', 'sets', 'reps'],
+    properties: {
+        exercise: { type: 'string', minLength: 1 },
+        sets: { type: 'integer', minimum: 1, maximum: 50 },
+        reps: { type: 'integer', minimum: 1, maximum: 500 },
+        load: { type: ['number', 'null'], minimum: 0 },
+        rpe: { type: ['number', 'null'], minimum: 1, maximum: 10 },
+        notes: { type: 'string' }
+    }
+};
+
+// A logged session as accepted by the API
+export const WORKOUT_SCHEMA = {
+    type: 'object',
+    additionalProperties: false,
+    required: ['entries'],
+    properties: {
+        date: { type: 'string', minLength: 10 },
+        unit: { type: 'string', enum: ['kg', 'lb'] },
+        notes: { type: 'string' },
+        entries: { type: 'array', minItems: 1, items: ENTRY_SCHEMA }
+    }
+};
+
+/**
+ * Validate a workout before it is stored
+ * @param {Object} workout - Workout from the request body
+ * @returns {Array<string>} Validation errors (empty when valid)
+ */
+export function validateWorkout(workout) {
+    const errors = validate(workout, WORKOUT_SCHEMA);
+
+    // Dates are sorted as strings, so only YYYY-MM-DD is accepted
+    if (errors.length === 0 && workout.date !== undefined && !isValidDate(workout.date)) {
+        errors.push('$.date must be a YYYY-MM-DD date');
+    }
+
+    return errors;
+}
+
+/**
+ * Strip internal fields before sending a workout to the client
+ * @param {Object} workout - Stored workout
+ * @returns {Object} Public workout
+ */
+export function toPublicWorkout(workout) {
+    const { ownerKey, ...rest } = workout;
+    return rest;
+}
+
+/**
+ * Record a workout session
+ * @param {Object} workout - Validated workout
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object>} Stored workout
+ */
+export async function createWorkout(workout, ownerKey) {
+    const now = new Date().toISOString();
+    const stored = {
+        id: crypto.randomUUID(),
+        ownerKey,
+        date: workout.date || now.slice(0, 10),
+        unit: workout.unit || 'kg',
+        notes: workout.notes || '',
+        entries: workout.entries.map(entry => ({
+            exercise: entry.exercise.trim(),
+            sets: entry.sets,
+            reps: entry.reps,
+            load: entry.load ?? null,
+            rpe: entry.rpe ?? null,
+            notes: entry.notes || ''
+        })),
+        createdAt: now
+    };
+
+    await store.update(data => {
+        data.workouts[stored.id] = stored;
+    });
+
+    return stored;
+}
+
+/**
+ * List the owner's workouts, newest first
+ * @param {Object} options
+ * @param {string} options.ownerKey - Owner key
+ * @param {number} [options.limit] - Maximum number of sessions
+ * @param {string} [options.exercise] - Only sessions containing this exercise (case-insensitive)
+ * @returns {Promise<Array>} Workouts
+ */
+export async function listWorkouts({ ownerKey, limit, exercise } = {}) {
+    const data = await store.read();
+    let workouts = Object.values(data.workouts)
+        .filter(workout => workout.ownerKey === ownerKey)
+        .sort((a, b) => b.date.localeCompare(a.date) || b.createdAt.localeCompare(a.createdAt));
+
+    if (exercise) {
+        const name = exercise.trim().toLowerCase();
+        workouts = workouts.filter(workout =>
+            workout.entries.some(entry => entry.exercise.toLowerCase() === name)
+        );
+    }
+
+    return limit ? workouts.slice(0, limit) : workouts;
+}
+
+/**
+ * Get a single workout
+ * @param {string} id - Workout ID
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<Object|null>} Workout or null if not found
+ */
+export async function getWorkout(id, ownerKey) {
+    const data = await store.read();
+    const workout = data.workouts[id];
+    return workout && workout.ownerKey === ownerKey ? workout : null;
+}
+
+/**
+ * Delete a workout
+ * @param {string} id - Workout ID
+ * @param {string} ownerKey - Owner key
+ * @returns {Promise<boolean>} True if it existed
+ */
+export async function deleteWorkout(id, ownerKey) {
+    return store.update(data => {
+        if (data.workouts[id]?.ownerKey !== ownerKey) {
+            return false;
+        }
+        delete data.workouts[id];
+        return true;
+    });
+}
+
+/**
+ * Move every workout from one owner to another
+ * Used to attach an anonymous client's log to the account it signs in to
+ * @param {string} fromOwnerKey - Current owner
+ * @param {string} toOwnerKey - New owner
+ * @returns {Promise<number>} Number of workouts moved
+ */
+export async function transferWorkouts(fromOwnerKey, toOwnerKey) {
+    return store.update(data => {
+        const owned = Object.values(data.workouts)
+            .filter(workout => workout.ownerKey === fromOwnerKey);
+        owned.forEach(workout => {
+            workout.ownerKey = toOwnerKey;
+        });
+        return owned.length;
+    });
+}
+
+/**
+ * Format one logged exercise, e.g. "Squat 3x5 @ 100kg RPE 8"
+ * @param {Object} entry - Workout entry
+ * @param {string} unit - Load unit
+ * @returns {string} Short description
+ */
+export function formatEntry(entry, unit) {
+    const load = entry.load !== null ? ` @ ${entry.load}${unit}` : '';
+    const rpe = entry.rpe !== null ? ` RPE ${entry.rpe}` : '';
+    return `${entry.exercise} ${entry.sets}x${entry.reps}${load}${rpe}`;
+}
+
+/**
+ * Summarize recent training for the system prompt
+ * @param {string} ownerKey - Owner key
+ * @param {number} [limit] - Number of sessions to include
+ * @returns {Promise<string>} Training history section of the prompt
+ */
+export async function getRecentWorkoutSummary(ownerKey, limit = 5) {
+    const workouts = await listWorkouts({ ownerKey, limit });
+
+    if (workouts.length === 0) {
+        return 'No workouts logged yet';
+    }
+
+    return workouts
+        .map(workout => {
+            const entries = workout.entries.map(entry => formatEntry(entry, workout.unit)).join('; ');
+            const notes = workout.notes ? ` (${workout.notes})` : '';
+            return `- ${workout.date}: ${entries}${notes}`;
+        })
+        .join('\n');
+}
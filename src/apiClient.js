@@ -0,0 +1,211 @@
+// Shared helpers for talking to the backend REST endpoints
+// Identifies this browser to the server, unwraps the standard { success, ... } response
+// and retries AI requests that fail for transient reasons
+
+import config from '../config.js';
+
+/**
+ * Get this browser's client ID (used by the server for rate limits and quotas)
+ * @returns {string} Client ID
+ */
+export function getClientId() {
+    let clientId = localStorage.getItem(config.storage.clientId);
+
+    if (!clientId) {
+        clientId = crypto.randomUUID();
+        localStorage.setItem(config.storage.clientId, clientId);
+    }
+
+    return clientId;
+}
+
+/**
+ * Default headers for backend requests
+ * @returns {Object} Headers
+ */
+export function apiHeaders() {
+    return {
+        'Content-Type': 'application/json',
+        'X-Client-Id': getClientId()
+    };
+}
+
+/**
+ * Build an Error for a failed response, keeping the status and retry hint
+ * @param {Response} response - Fetch response
+ * @param {Object} data - Parsed error body
+ * @returns {Error} Error with status and retryAfter (seconds) properties
+ */
+export function createResponseError(response, data = {}) {
+    const error = new Error(data.details || `HTTP ${response.status}: ${response.statusText}`);
+    error.status = response.status;
+    error.code = data.code || null;
+    error.retryAfter = Number(response.headers.get('Retry-After')) || data.retryAfter || null;
+    return error;
+}
+
+/**
+ * Build the Error thrown when a request takes too long
+ * @param {number} timeoutMs - Timeout that passed
+ * @returns {Error} Error with code 'timeout'
+ */
+function createTimeoutError(timeoutMs) {
+    const error = new Error(`The request timed out after ${timeoutMs / 1000} seconds. Please try again.`);
+    error.code = 'timeout';
+    return error;
+}
+
+/**
+ * Delay before a retry: exponential backoff with jitter
+ * Half the delay is fixed and half random, so clients that failed together don't retry together
+ * @param {number} attempt - Retries so far (0 for the first retry)
+ * @param {Object} retry - { baseDelayMs, maxDelayMs }
+ * @returns {number} Delay in milliseconds
+ */
+export function getRetryDelay(attempt, { baseDelayMs, maxDelayMs }) {
+    const cap = Math.min(maxDelayMs, baseDelayMs * 2 ** attempt);
+    return Math.round(cap / 2 + Math.random() * (cap / 2));
+}
+
+/**
+ * Wait, unless the signal aborts first
+ * @param {number} ms - Milliseconds
+ * @param {AbortSignal} [signal] - Cancels the wait
+ * @returns {Promise<void>} Rejects with the abort reason when cancelled
+ */
+function wait(ms, signal) {
+    return new Promise((resolve, reject) => {
+        const onAbort = () => {
+            clearTimeout(timer);
+            reject(signal.reason);
+        };
+        const timer = setTimeout(() => {
+            signal?.removeEventListener('abort', onAbort);
+            resolve();
+        }, ms);
+        signal?.addEventListener('abort', onAbort, { once: true });
+    });
+}
+
+/**
+ * Whether a response status is worth retrying
+ * A 5xx may come after the server already acted (saved a message, ran a tool),
+ * so only idempotent requests retry it; a 429 is rejected before anything runs.
+ * @param {number} status - HTTP status
+ * @param {boolean} idempotent - Whether repeating the request is harmless
+ * @returns {boolean} True for 429, and 5xx (except 501) when idempotent
+ */
+function isRetryableStatus(status, idempotent) {
+    return status === 429 || (idempotent && status >= 500 && status !== 501);
+}
+
+/**
+ * Fetch with a timeout, cancellation and automatic retries
+ *
+ * Network errors, 429 and (for idempotent requests) 5xx responses are retried with backoff. A 429 whose
+ * Retry-After is longer than the maximum delay is returned as is so the caller
+ * can show it. The timeout covers each attempt until its response headers arrive;
+ * aborting `signal` cancels the request (and reading its body) at any point.
+ *
+ * @param {string} url - Request URL
+ * @param {Object} options - Fetch options
+ * @param {Object} [control]
+ * @param {AbortSignal} [control.signal] - Cancels the request
+ * @param {number} [control.timeoutMs] - Per-attempt timeout
+ * @param {Object} [control.retry] - { maxRetries, baseDelayMs, maxDelayMs }
+ * @param {boolean} [control.idempotent] - False for requests with side effects (no 5xx retries)
+ * @param {Function} [control.onRetry] - Called with { attempt, maxRetries, delayMs, reason } before each retry
+ * @returns {Promise<Response>} The last response
+ * @throws {Error} AbortError when cancelled, code 'timeout' on timeout, or the last network error
+ */
+export async function fetchWithRetry(url, options = {}, {
+    signal,
+    timeoutMs = config.api.timeoutMs,
+    retry = config.api.retry,
+    idempotent = true,
+    onRetry = () => {}
+} = {}) {
+    for (let attempt = 0; ; attempt++) {
+        signal?.throwIfAborted();
+
+        // One controller per attempt, aborted by the caller's signal or the timeout
+        const controller = new AbortController();
+        const forwardAbort = () => controller.abort(signal.reason);
+        signal?.addEventListener('abort', forwardAbort, { once: true });
+
+        let timedOut = false;
+        const timer = setTimeout(() => {
+            timedOut = true;
+            controller.abort();
+        }, timeoutMs);
+
+        let response = null;
+        let networkError = null;
+
+        try {
+            response = await fetch(url, { ...options, signal: controller.signal });
+        } catch (error) {
+            if (signal?.aborted) throw error;
+            if (timedOut) throw createTimeoutError(timeoutMs);
+            networkError = error;
+        } finally {
+            clearTimeout(timer);
+        }
+
+        const retryAfterMs = response ? (Number(response.headers.get('Retry-After')) || 0) * 1000 : 0;
+        const shouldRetry = (networkError || isRetryableStatus(response.status, idempotent)) &&
+            attempt < retry.maxRetries &&
+            retryAfterMs <= retry.maxDelayMs;
+
+        if (!shouldRetry) {
+            if (networkError) {
+                // Tells offline mode apart from errors the server reported
+                networkError.code = 'network_error';
+                throw networkError;
+            }
+            return response;
+        }
+
+        signal?.removeEventListener('abort', forwardAbort);
+        response?.body?.cancel().catch(() => {});
+
+        const delayMs = Math.max(retryAfterMs, getRetryDelay(attempt, retry));
+        onRetry({
+            attempt: attempt + 1,
+            maxRetries: retry.maxRetries,
+            delayMs,
+            reason: networkError ? networkError.message : `HTTP ${response.status}`
+        });
+
+        if (config.app.debug) {
+            console.log(`🔁 Retrying request in ${delayMs}ms (${attempt + 1}/${retry.maxRetries})`);
+        }
+
+        await wait(delayMs, signal);
+    }
+}
+
+/**
+ * Make a JSON request to the backend
+ * @param {string} path - Path relative to the API base URL (e.g. '/workouts')
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} Response data
+ */
+export async function apiRequest(path, options = {}) {
+    const response = await fetch(`${config.api.baseURL}${path}`, {
+        credentials: 'include',
+        ...options,
+        headers: {
+            ...apiHeaders(),
+            ...options.headers
+        }
+    });
+
+    const data = await response.json().catch(() => ({}));
+
+    if (!response.ok || !data.success) {
+        throw createResponseError(response, data);
+    }
+
+    return data;
+}
@@ -0,0 +1,88 @@
+// Account client
+// Talks to the /api/auth and /api/profile endpoints; the session itself lives in an HttpOnly cookie
+
+import config from '../config.js';
+import { apiRequest } from './apiClient.js';
+
+/**
+ * AuthService - Frontend client for accounts and the stored profile
+ */
+class AuthService {
+    constructor() {
+        // Signed-in user ({ id, email, name, profile }) or null
+        this.user = null;
+    }
+
+    /**
+     * Create an account and sign in
+     * @param {Object} credentials - { email, password, name }
+     * @returns {Promise<Object>} Signed-in user
+     */
+    async register({ email, password, name }) {
+        const data = await apiRequest(`${config.api.endpoints.auth}/register`, {
+            method: 'POST',
+            body: JSON.stringify({ email, password, name })
+        });
+        this.user = data.user;
+        return this.user;
+    }
+
+    /**
+     * Sign in with email and password
+     * @param {Object} credentials - { email, password }
+     * @returns {Promise<Object>} Signed-in user
+     */
+    async login({ email, password }) {
+        const data = await apiRequest(`${config.api.endpoints.auth}/login`, {
+            method: 'POST',
+            body: JSON.stringify({ email, password })
+        });
+        this.user = data.user;
+        return this.user;
+    }
+
+    /**
+     * Sign out and clear the session cookie
+     * @returns {Promise<void>}
+     */
+    async logout() {
+        await apiRequest(`${config.api.endpoints.auth}/logout`, { method: 'POST' });
+        this.user = null;
+    }
+
+    /**
+     * Load the signed-in user from the current session
+     * @returns {Promise<Object|null>} User, or null when signed out
+     */
+    async me() {
+        const data = await apiRequest(`${config.api.endpoints.auth}/me`);
+        this.user = data.user;
+        return this.user;
+    }
+
+    /**
+     * Check whether a user is signed in
+     * @returns {boolean} True if signed in
+     */
+    isSignedIn() {
+        return this.user !== null;
+    }
+
+    /**
+     * Save the onboarding profile to the signed-in account
+     * @param {Object} profile - Profile from UserProfile.getProfile()
+     * @returns {Promise<Object>} Stored profile
+     */
+    async saveProfile(profile) {
+        const data = await apiRequest(config.api.endpoints.profile, {
+            method: 'PUT',
+            body: JSON.stringify({ profile })
+        });
+        if (this.user) {
+            this.user.profile = data.profile;
+        }
+        return data.profile;
+    }
+}
+
+export default AuthService;
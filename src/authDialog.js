@@ -0,0 +1,153 @@
+// Account UI
+// Modal for signing in or creating an account so profiles and history follow the user across devices
+
+import config from '../config.js';
+
+/**
+ * AuthDialog renders the "Sign In" / "Create Account" modal
+ */
+class AuthDialog {
+    /**
+     * @param {Object} options
+     * @param {AuthService} options.authService - Account client
+     * @param {Function} [options.onSignedIn] - Called with the user after signing in or registering
+     */
+    constructor({ authService, onSignedIn = () => {} }) {
+        this.authService = authService;
+        this.onSignedIn = onSignedIn;
+        this.overlay = null;
+        this.mode = 'login';
+    }
+
+    /**
+     * Open the modal
+     * @param {string} [mode] - 'login' or 'register'
+     */
+    open(mode = 'login') {
+        if (this.overlay) return;
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal auth-dialog" role="dialog" aria-modal="true" aria-labelledby="auth-dialog-title">
+                <div class="modal-header">
+                    <h3 id="auth-dialog-title"></h3>
+                    <button class="modal-close" type="button" aria-label="Close">×</button>
+                </div>
+                
+                <form id="auth-form">
+                    <label class="form-block" id="auth-name-field">Name
+                        <input type="text" name="name" maxlength="80" autocomplete="name">
+                    </label>
+                    <label class="form-block">Email
+                        <input type="email" name="email" maxlength="254" autocomplete="email" required>
+                    </label>
+                    <label class="form-block">Password
+                        <input type="password" name="password" minlength="8" maxlength="200" required>
+                    </label>
+                    
+                    <p class="form-error" id="auth-error"></p>
+                    
+                    <div class="navigation">
+                        <button class="btn" type="submit" id="auth-submit"></button>
+                    </div>
+                </form>
+                
+                <p class="auth-switch">
+                    <span id="auth-switch-text"></span>
+                    <button class="link-button" type="button" id="auth-switch"></button>
+                </p>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.setupListeners();
+        this.setMode(mode);
+        this.overlay.querySelector('[name="email"]').focus();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.overlay?.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Switch between signing in and creating an account
+     * @param {string} mode - 'login' or 'register'
+     */
+    setMode(mode) {
+        this.mode = mode;
+        const isRegister = mode === 'register';
+
+        this.overlay.querySelector('#auth-dialog-title').textContent = isRegister ? '✨ Create Account' : '🔐 Sign In';
+        this.overlay.querySelector('#auth-submit').textContent = isRegister ? 'Create Account' : 'Sign In';
+        this.overlay.querySelector('#auth-name-field').hidden = !isRegister;
+        this.overlay.querySelector('#auth-switch-text').textContent = isRegister ? 'Already have an account?' : 'New here?';
+        this.overlay.querySelector('#auth-switch').textContent = isRegister ? 'Sign in' : 'Create an account';
+        this.overlay.querySelector('[name="password"]').autocomplete = isRegister ? 'new-password' : 'current-password';
+        this.overlay.querySelector('#auth-error').textContent = '';
+    }
+
+    /**
+     * Wire up the modal controls
+     */
+    setupListeners() {
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes the modal
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.overlay.querySelector('#auth-switch').addEventListener('click', () => {
+            this.setMode(this.mode === 'login' ? 'register' : 'login');
+        });
+
+        this.overlay.querySelector('#auth-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    /**
+     * Sign in or register with the form values
+     */
+    async submit() {
+        const form = this.overlay.querySelector('#auth-form');
+        const errorText = this.overlay.querySelector('#auth-error');
+        const submitButton = this.overlay.querySelector('#auth-submit');
+
+        const credentials = {
+            name: form.name.value.trim(),
+            email: form.email.value.trim(),
+            password: form.password.value
+        };
+
+        submitButton.disabled = true;
+        errorText.textContent = '';
+
+        try {
+            const user = this.mode === 'register'
+                ? await this.authService.register(credentials)
+                : await this.authService.login(credentials);
+
+            if (config.app.debug) {
+                console.log('🔐 Signed in:', user.email);
+            }
+
+            this.close();
+            this.onSignedIn(user);
+        } catch (error) {
+            console.error('❌ Authentication failed:', error);
+            errorText.textContent = error.status === 429
+                ? 'Too many attempts. Please wait a few minutes and try again.'
+                : error.message;
+            submitButton.disabled = false;
+        }
+    }
+}
+
+export default AuthDialog;
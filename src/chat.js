@@ -2,6 +2,16 @@
 // Allow users to ask questions and get responses back from the chat history
 
 import OpenAIService from './openai.js';
+import ConversationService from './conversations.js';
+import NutritionService from './nutrition.js';
+import { createPlanCard, formatPlanAsText } from './planCard.js';
+import { createNutritionCard, formatNutritionAsText } from './nutritionCard.js';
+import { createToolTrace, getToolLabel } from './toolTrace.js';
+import { EXPORT_FORMATS, MAX_IMPORT_SIZE, createExport, toMarkdown, toHtml, parseExport } from './chatExport.js';
+import { downloadBlob } from './download.js';
+import MessageTree, { createMessageId } from './messageTree.js';
+import Outbox from './outbox.js';
+import { renderMarkdown } from './markdown.js';
 import config from '../config.js';
 
 /**
@@ -9,13 +19,48 @@ import config from '../config.js';
  * Handles message history, UI updates, and API communication
  */
 class ChatInterface {
-    constructor(userProfile) {
+    /**
+     * @param {Object} userProfile - UserProfile instance
+     * @param {Object} [options]
+     * @param {Function} [options.onSchedulePlan] - Called with a plan when its "Add to Calendar" button is pressed
+     * @param {Function} [options.onConversationChange] - Called with the conversation ID after messages are saved to it
+     * @param {Function} [options.onLoadingChange] - Called with true when a reply starts and false when it ends
+     * @param {Function} [options.isOnline] - Whether the backend is reachable (messages are queued when not)
+     * @param {Function} [options.onNetworkError] - Called when a request could not reach the backend
+     */
+    constructor(userProfile, {
+        onSchedulePlan = null,
+        onConversationChange = () => {},
+        onLoadingChange = () => {},
+        isOnline = () => true,
+        onNetworkError = () => {}
+    } = {}) {
         this.userProfile = userProfile;
+        this.onSchedulePlan = onSchedulePlan;
+        this.onConversationChange = onConversationChange;
+        this.onLoadingChange = onLoadingChange;
+        this.isOnline = isOnline;
+        this.onNetworkError = onNetworkError;
         this.openaiService = new OpenAIService();
+        this.conversationService = new ConversationService();
+        this.nutritionService = new NutritionService();
+        this.conversationId = localStorage.getItem(config.storage.conversationId);
+        // Saves target the thread that was open when the message was added, even after a switch
+        this.thread = { id: this.conversationId };
+        this.saveQueue = Promise.resolve();
+        // Messages written while offline, sent by flushQueue() once the backend is back
+        this.outbox = new Outbox();
+        this.isFlushing = false;
+        // Every message of the thread, including edited and regenerated alternatives
+        this.tree = new MessageTree();
+        // The branch being shown: role/content pairs for the AI and full records for exports
         this.conversationHistory = [];
+        this.messages = [];
         this.isLoading = false;
+        // Cancels the reply being requested (Stop button)
+        this.abortController = null;
         this.messageContainer = null;
-        this.messageIdCounter = 0;
+        this.countdownTimer = null;
         
         if (config.app.debug) {
             console.log('💬 Chat Interface initialized');
@@ -24,21 +69,158 @@ class ChatInterface {
 
     /**
      * Initialize chat interface and setup UI references
+     * Restores the saved conversation if there is one
      * @param {string} containerId - ID of the chat messages container
+     * @returns {Promise<boolean>} Whether the container was found
      */
-    initialize(containerId = 'chat-messages') {
+    async initialize(containerId = 'chat-messages') {
         this.messageContainer = document.getElementById(containerId);
         
         if (!this.messageContainer) {
             console.error(`❌ Chat container '${containerId}' not found`);
             return false;
         }
+
+        // Copy, edit, delete, regenerate and branch buttons under the messages
+        this.messageContainer.addEventListener('click', (e) => this.handleMessageAction(e));
         
-        // Send welcome message
-        this.addWelcomeMessage();
+        // Pick up the previous coaching thread, or send a welcome message
+        const restored = await this.loadConversation();
+        if (!restored) {
+            this.addWelcomeMessage();
+        }
+        this.renderQueuedMessages();
         return true;
     }
 
+    /**
+     * Load the saved conversation from the server and render it
+     * @returns {Promise<boolean>} True if a conversation with messages was restored
+     */
+    async loadConversation() {
+        if (!this.conversationId) {
+            return false;
+        }
+
+        try {
+            const conversation = await this.conversationService.get(this.conversationId);
+
+            if (conversation.messages.length === 0) {
+                return false;
+            }
+
+            // Shows the most recent branch; older alternatives stay reachable from the branch arrows
+            this.tree = MessageTree.fromList(conversation.messages);
+            this.syncHistory();
+            this.renderPath();
+
+            if (config.app.debug) {
+                console.log(`🗂️ Restored conversation ${this.conversationId} (${conversation.messages.length} messages)`);
+            }
+
+            return true;
+        } catch (error) {
+            console.warn('⚠️ Could not restore conversation:', error.message);
+
+            // The stored conversation is gone, start fresh; if the server is unreachable
+            // keep the ID so the thread is still used once it's back
+            if (error.status) {
+                this.setConversationId(null);
+            }
+            return false;
+        }
+    }
+
+    /**
+     * Remember which conversation this chat is saving to
+     * @param {string|null} id - Conversation ID
+     */
+    setConversationId(id) {
+        this.conversationId = id;
+        this.thread = { id };
+
+        if (id) {
+            localStorage.setItem(config.storage.conversationId, id);
+        } else {
+            localStorage.removeItem(config.storage.conversationId);
+        }
+    }
+
+    /**
+     * Save a message to the server-side conversation
+     * Saves are queued so messages are stored in the order they were sent
+     * @param {Object} message - Message ({ role, content, timestamp })
+     * @returns {Promise<boolean>} Whether the message was saved
+     */
+    persistMessage(message) {
+        const thread = this.thread;
+
+        // The welcome message is only saved along with the first message after it,
+        // so opening or clearing a chat doesn't leave a conversation holding just the greeting
+        const messages = thread.welcome ? [thread.welcome, message] : [message];
+        thread.welcome = null;
+
+        this.saveQueue = this.saveQueue.then(async () => {
+            try {
+                // Create the conversation lazily on the first message
+                if (!thread.id) {
+                    const conversation = await this.conversationService.create();
+                    thread.id = conversation.id;
+                    if (thread === this.thread) {
+                        this.setConversationId(conversation.id);
+                    }
+                }
+
+                await this.conversationService.append(thread.id, messages.map(item => ({
+                    id: item.id,
+                    parentId: item.parentId,
+                    role: item.role,
+                    content: item.content,
+                    timestamp: item.timestamp,
+                    ...(item.plan ? { plan: item.plan } : {}),
+                    ...(item.nutrition ? { nutrition: item.nutrition } : {}),
+                    ...(item.tools?.length ? { tools: item.tools } : {}),
+                    ...(item.meta ? { meta: item.meta } : {})
+                })));
+                this.onConversationChange(thread.id);
+                return true;
+            } catch (error) {
+                console.warn('⚠️ Failed to save message:', error.message);
+                return false;
+            }
+        });
+
+        return this.saveQueue;
+    }
+
+    /**
+     * Delete messages from the server-side conversation (queued after pending saves)
+     * @param {Array<string>} ids - Message IDs
+     * @returns {Promise<void>}
+     */
+    deletePersistedMessages(ids) {
+        const thread = this.thread;
+
+        // A welcome message that was never saved only needs forgetting
+        if (thread.welcome && ids.includes(thread.welcome.id)) {
+            ids = ids.filter(id => id !== thread.welcome.id);
+            thread.welcome = null;
+        }
+
+        this.saveQueue = this.saveQueue.then(async () => {
+            if (!thread.id || ids.length === 0) return;
+
+            try {
+                await this.conversationService.deleteMessages(thread.id, ids);
+                this.onConversationChange(thread.id);
+            } catch (error) {
+                console.warn('⚠️ Failed to delete messages:', error.message);
+            }
+        });
+
+        return this.saveQueue;
+    }
+
     /**
      * Send welcome message based on user profile
      */
@@ -54,7 +236,8 @@ class ChatInterface {
             welcomeMessage += "\n\nI see you haven't completed your profile yet, but I can still help you with general fitness advice! What questions do you have?";
         }
         
-        this.addMessage('assistant', welcomeMessage);
+        // Saved with the first message that follows it (see persistMessage)
+        this.thread.welcome = this.addMessage('assistant', welcomeMessage, { persist: false });
     }
 
     /**
@@ -73,51 +256,538 @@ class ChatInterface {
             return null;
         }
 
-        this.isLoading = true;
-        
-        try {
+        if (!this.isOnline()) {
+            this.queueMessage(message.trim());
+            return null;
+        }
+
+        return this.withReply(() => {
+            // The service appends the new message itself, so take the history first
+            const history = this.getHistory();
+
             // Add user message to chat
-            this.addMessage('user', message.trim());
-            
-            // Show typing indicator
-            this.showTypingIndicator();
-            
-            if (config.app.debug) {
-                console.log('📤 Sending message:', message.trim());
-            }
-            
-            // Send to AI service
-            const response = await this.openaiService.sendMessage(
-                message.trim(),
-                this.userProfile.getProfile(),
-                this.conversationHistory
-            );
-            
-            // Remove typing indicator
+            const userMessage = this.addMessage('user', message.trim());
+
+            return this.requestReply(userMessage, history);
+        });
+    }
+
+    /**
+     * Run a reply request, blocking other requests until it finishes
+     * @param {Function} action - Async work that resolves to the reply (or null)
+     * @returns {Promise<string|Object|null>} The action's result, or null if it threw
+     */
+    async withReply(action) {
+        this.abortController = new AbortController();
+        this.setLoading(true);
+
+        try {
+            return await action();
+        } catch (error) {
             this.hideTypingIndicator();
-            
-            if (config.app.debug) {
-                console.log('📥 Received response:', response);
+            console.error('❌ Chat error:', error);
+            this.addMessage('system', 'Sorry, something went wrong. Please try again.');
+            return null;
+        } finally {
+            this.abortController = null;
+            this.setLoading(false);
+            this.updateMessageActions();
+        }
+    }
+
+    /**
+     * Queue a message written while offline and show it as pending
+     * @param {string} content - Message text
+     */
+    queueMessage(content) {
+        const item = this.outbox.add(this.conversationId, content);
+        this.renderQueuedMessage(item);
+
+        if (config.app.debug) {
+            console.log('📮 Queued message until back online:', content.substring(0, 50));
+        }
+    }
+
+    /**
+     * Send the messages queued in the open thread, oldest first, each waiting for its reply
+     * A message leaves the queue only once it has been answered. Stops at the first failure,
+     * when the connection drops again or when another thread is opened; the rest stay queued.
+     * @returns {Promise<number>} Number of messages sent
+     */
+    async flushQueue() {
+        if (this.isFlushing || this.isLoading) {
+            return 0;
+        }
+
+        // persistMessage fills in the ID of a new thread on the captured object
+        const thread = this.thread;
+        const items = this.outbox.getForThread(thread.id);
+        let sent = 0;
+
+        this.isFlushing = true;
+
+        try {
+            for (const item of items) {
+                if (!this.isOnline() || this.thread.id !== thread.id) {
+                    break;
+                }
+
+                let userMessage = null;
+                document.getElementById(item.id)?.remove();
+
+                const reply = await this.withReply(() => {
+                    const history = this.getHistory();
+                    userMessage = this.addMessage('user', item.content);
+                    return this.requestReply(userMessage, history);
+                });
+
+                if (reply === null) {
+                    // Not answered (offline again, server error, stopped): take the turn back
+                    // out of the chat, which shows the message as queued again
+                    if (userMessage) {
+                        this.deleteTurn(userMessage.id);
+                    } else {
+                        this.renderQueuedMessages();
+                    }
+                    this.addMessage('system', "⏳ Your queued message wasn't answered, so it's still queued.");
+                    break;
+                }
+
+                this.outbox.remove(item.id);
+                sent++;
             }
-            
-            if (response.success && response.message) {
-                // Add AI response to chat
-                this.addMessage('assistant', response.message);
-                return response.message;
+        } finally {
+            this.isFlushing = false;
+        }
+
+        if (config.app.debug && sent > 0) {
+            console.log(`📤 Sent ${sent} queued message(s)`);
+        }
+        return sent;
+    }
+
+    /**
+     * Remove a queued message without sending it
+     * @param {string} id - Queued item ID
+     */
+    discardQueued(id) {
+        this.outbox.remove(id);
+        document.getElementById(id)?.remove();
+    }
+
+    /**
+     * Update the loading state and tell the page (to swap Send for Stop)
+     * @param {boolean} loading - Whether a request is running
+     */
+    setLoading(loading) {
+        this.isLoading = loading;
+        this.onLoadingChange(loading);
+    }
+
+    /**
+     * Stop the reply being requested
+     * A partly streamed reply is kept as it is.
+     * @returns {boolean} Whether there was a reply to stop
+     */
+    stop() {
+        if (!this.abortController) {
+            return false;
+        }
+
+        this.abortController.abort();
+
+        if (config.app.debug) {
+            console.log('⏹️ Reply stopped');
+        }
+        return true;
+    }
+
+    /**
+     * Options passed to the AI service for the reply being requested
+     * @returns {Object} { signal, onRetry }
+     */
+    getRequestOptions() {
+        return {
+            signal: this.abortController?.signal,
+            // Transient failures are retried automatically; say so instead of looking stuck
+            onRetry: ({ attempt, maxRetries }) => {
+                this.showTypingIndicator(`Connection problem, retrying (${attempt}/${maxRetries})…`);
+            }
+        };
+    }
+
+    /**
+     * Ask the AI to answer a user message that is already in the chat
+     * @param {Object} userMessage - The user message being answered
+     * @param {Array} history - Conversation history before that message
+     * @returns {Promise<string|null>} AI response or null if failed
+     */
+    async requestReply(userMessage, history) {
+        // Show typing indicator
+        this.showTypingIndicator();
+
+        if (config.app.debug) {
+            console.log('📤 Sending message:', userMessage.content);
+        }
+
+        // Stream the reply into the chat or wait for the full response
+        if (config.api.streaming) {
+            return this.streamResponse(userMessage, history);
+        }
+
+        // Send to AI service
+        const response = await this.openaiService.sendMessage(
+            userMessage.content,
+            this.userProfile.getProfile(),
+            history,
+            { conversationId: this.conversationId, persona: this.getPersona(), ...this.getRequestOptions() }
+        );
+
+        // Remove typing indicator
+        this.hideTypingIndicator();
+
+        if (config.app.debug) {
+            console.log('📥 Received response:', response);
+        }
+
+        if (response.success && response.message) {
+            // Add AI response to chat
+            this.addMessage('assistant', response.message, {
+                parentId: userMessage.id,
+                meta: response.meta,
+                tools: response.tools
+            });
+            this.noteDroppedHistory(response.context);
+            return response.message;
+        }
+
+        this.showErrorResponse(response);
+        return null;
+    }
+
+    /**
+     * Write a new answer to the user message behind a reply
+     * The old reply is kept as an alternative branch
+     * @param {string} id - ID of the assistant reply to replace
+     * @returns {Promise<string|Object|null>} New reply (a plan for plan cards) or null if failed
+     */
+    async regenerate(id) {
+        const reply = this.tree.get(id);
+        const userMessage = reply && this.tree.get(reply.parentId);
+
+        if (this.isLoading || userMessage?.role !== 'user') {
+            return null;
+        }
+
+        return this.withReply(async () => {
+            // Hide the old reply while the new one is written, and bring it back if that fails
+            const oldDiv = document.getElementById(id);
+            if (oldDiv) oldDiv.hidden = true;
+
+            try {
+                const result = reply.plan
+                    ? await this.requestPlanReply(userMessage)
+                    : await this.requestReply(userMessage, this.getHistoryBefore(userMessage.id));
+
+                // Replaced, unless nothing came back (a stopped stream still keeps its partial reply)
+                if (this.tree.selected.get(userMessage.id) !== id) {
+                    oldDiv?.remove();
+                }
+                return result;
+            } finally {
+                if (oldDiv?.isConnected) oldDiv.hidden = false;
+            }
+        });
+    }
+
+    /**
+     * Replace a user message with an edited copy and answer it
+     * The copy starts a new branch; the original and its replies are kept
+     * @param {string} id - ID of the user message being edited
+     * @param {string} content - New text
+     * @returns {Promise<string|null>} AI response or null if failed
+     */
+    async editMessage(id, content) {
+        const original = this.tree.get(id);
+
+        if (this.isLoading || original?.role !== 'user' || !content.trim()) {
+            return null;
+        }
+
+        return this.withReply(() => {
+            const history = this.getHistoryBefore(id);
+            const userMessage = this.addMessage('user', content.trim(), { parentId: original.parentId });
+
+            // Swap the old branch out of the view
+            this.renderPath();
+
+            return this.requestReply(userMessage, history);
+        });
+    }
+
+    /**
+     * Delete a user message together with its reply
+     * The rest of the branch moves up to the previous message
+     * @param {string} id - ID of the user message
+     */
+    deleteTurn(id) {
+        if (this.isLoading || this.tree.get(id)?.role !== 'user') {
+            return;
+        }
+
+        const ids = this.tree.getTurn(id);
+        this.tree.remove(ids);
+        this.syncHistory();
+        this.renderPath();
+        this.deletePersistedMessages(ids);
+
+        if (config.app.debug) {
+            console.log(`🗑️ Deleted turn (${ids.length} messages)`);
+        }
+    }
+
+    /**
+     * Show the previous or next alternative of a message
+     * @param {string} id - Alternative to show
+     */
+    showBranch(id) {
+        if (this.isLoading || !this.tree.get(id)) {
+            return;
+        }
+
+        this.tree.select(id);
+        this.syncHistory();
+        this.renderPath();
+    }
+
+    /**
+     * Tell the user when older messages were left out of the reply's context
+     * Happens when the server couldn't summarize them (see contextWindow.js)
+     * @param {Object|null} context - Context-window stats from the response
+     */
+    noteDroppedHistory(context) {
+        if (context?.droppedMessages > 0) {
+            this.addMessage('system', `⚠️ The ${context.droppedMessages} oldest messages couldn't be summarized, so that reply didn't take them into account.`);
+        }
+    }
+
+    /**
+     * Stream the AI response into a single assistant bubble as tokens arrive
+     * @param {Object} userMessage - The user message being answered
+     * @param {Array} history - Conversation history before this message
+     * @returns {Promise<string|null>} Full AI response or null if failed
+     */
+    async streamResponse(userMessage, history) {
+        let streamingMessage = null;
+        const tools = [];
+
+        const response = await this.openaiService.streamMessage(
+            userMessage.content,
+            this.userProfile.getProfile(),
+            history,
+            (delta, fullMessage) => {
+                // Swap the typing dots for the real bubble on the first token
+                if (!streamingMessage) {
+                    this.hideTypingIndicator();
+                    streamingMessage = {
+                        role: 'assistant',
+                        content: '',
+                        timestamp: new Date().toISOString(),
+                        id: createMessageId(),
+                        parentId: userMessage.id,
+                        tools
+                    };
+                }
+
+                streamingMessage.content = fullMessage;
+                this.renderMessage(streamingMessage);
+            },
+            {
+                conversationId: this.conversationId,
+                persona: this.getPersona(),
+                ...this.getRequestOptions(),
+                // Show which tool is running while the dots are still up
+                onTool: (tool) => {
+                    tools.push(tool);
+                    if (!streamingMessage) {
+                        this.showTypingIndicator(`Used ${getToolLabel(tool.name)}…`);
+                    }
+                }
+            }
+        );
+
+        this.hideTypingIndicator();
+
+        if (config.app.debug) {
+            console.log('📥 Received streamed response:', response);
+        }
+
+        if (response.success && response.message) {
+            if (!streamingMessage) {
+                // Nothing was streamed (e.g. a very short reply), render it at once
+                this.addMessage('assistant', response.message, {
+                    parentId: userMessage.id,
+                    meta: response.meta,
+                    tools: response.tools
+                });
+            } else {
+                streamingMessage.content = response.message;
+                streamingMessage.tools = response.tools;
+                if (response.meta) {
+                    streamingMessage.meta = response.meta;
+                }
+                this.renderMessage(streamingMessage);
+                this.tree.add(streamingMessage);
+                this.syncHistory();
+                this.persistMessage(streamingMessage);
+            }
+            this.noteDroppedHistory(response.context);
+            return response.message;
+        }
+
+        if (streamingMessage) {
+            if (response.cancelled) {
+                // Stopped by the user: keep what was written so far
+                this.tree.add(streamingMessage);
+                this.syncHistory();
+                this.persistMessage(streamingMessage);
             } else {
-                // Handle error
-                const errorMsg = response.error || 'Unknown error occurred';
-                this.addMessage('system', `Sorry, I encountered an error: ${errorMsg}`);
-                return null;
+                // Drop the partial bubble so it doesn't look like a complete answer
+                document.getElementById(streamingMessage.id)?.remove();
             }
-            
+        }
+
+        this.showErrorResponse(response);
+        return null;
+    }
+
+    /**
+     * Show a failed response in the chat
+     * Rate-limited responses get a live countdown until the user can retry
+     * @param {Object} response - Failed service result
+     * @param {string} [prefix] - Text before the error message
+     */
+    showErrorResponse(response, prefix = 'Sorry, I encountered an error') {
+        if (response.cancelled) {
+            this.addMessage('system', '⏹️ Stopped.');
+            return;
+        }
+
+        // Lets the page switch to offline mode before the next message
+        if (response.code === 'network_error') {
+            this.onNetworkError();
+        }
+
+        if (response.status === 429 && response.retryAfter) {
+            this.addRetryCountdown(response.retryAfter, response.code);
+            return;
+        }
+
+        this.addMessage('system', `${prefix}: ${response.error || 'Unknown error occurred'}`);
+    }
+
+    /**
+     * Add a system message counting down until requests are allowed again
+     * @param {number} seconds - Seconds to wait
+     * @param {string} [code] - Rate-limit code from the server
+     */
+    addRetryCountdown(seconds, code) {
+        clearInterval(this.countdownTimer);
+
+        const message = this.addMessage('system', this.openaiService.getRetryMessage(seconds, code));
+        const retryAt = Date.now() + seconds * 1000;
+
+        this.countdownTimer = setInterval(() => {
+            const element = document.getElementById(message.id)?.querySelector('.message-content');
+            const secondsLeft = Math.max(0, Math.ceil((retryAt - Date.now()) / 1000));
+
+            if (!element) {
+                clearInterval(this.countdownTimer);
+                return;
+            }
+
+            element.textContent = this.openaiService.getRetryMessage(secondsLeft, code);
+
+            if (secondsLeft === 0) {
+                clearInterval(this.countdownTimer);
+            }
+        }, 1000);
+    }
+
+    /**
+     * Ask the server for a structured workout plan and show it as a card
+     * @param {string} [request] - Extra instructions (e.g. "3-day upper/lower split")
+     * @returns {Promise<Object|null>} The plan or null if failed
+     */
+    async requestPlan(request = '') {
+        if (this.isLoading) {
+            console.warn('⚠️ Already processing a message');
+            return null;
+        }
+
+        return this.withReply(() => {
+            const userMessage = this.addMessage('user', request.trim() || 'Create a workout plan for me.');
+            return this.requestPlanReply(userMessage);
+        });
+    }
+
+    /**
+     * Generate a plan for a plan request that is already in the chat
+     * @param {Object} userMessage - The plan request (its text becomes the extra instructions)
+     * @returns {Promise<Object|null>} The plan or null if failed
+     */
+    async requestPlanReply(userMessage) {
+        this.showTypingIndicator();
+
+        const response = await this.openaiService.generatePlan(
+            this.userProfile.getProfile(),
+            userMessage.content,
+            this.getRequestOptions()
+        );
+
+        this.hideTypingIndicator();
+
+        if (response.success && response.plan) {
+            // The text version keeps the plan in the AI's context
+            this.addMessage('assistant', formatPlanAsText(response.plan), {
+                parentId: userMessage.id,
+                plan: response.plan
+            });
+            return response.plan;
+        }
+
+        this.showErrorResponse(response, "Sorry, I couldn't create a plan");
+        return null;
+    }
+
+    /**
+     * Calculate calorie and macro targets and show them as a card
+     * @returns {Promise<Object|null>} The targets or null if failed
+     */
+    async requestNutrition() {
+        if (this.isLoading) {
+            console.warn('⚠️ Already processing a message');
+            return null;
+        }
+
+        this.setLoading(true);
+
+        try {
+            this.addMessage('user', 'What should my daily calories and macros be?');
+
+            const targets = await this.nutritionService.getTargets(this.userProfile.getProfile());
+
+            // The text version keeps the targets in the AI's context
+            this.addMessage('assistant', formatNutritionAsText(targets), { nutrition: targets });
+            return targets;
+
         } catch (error) {
-            this.hideTypingIndicator();
-            console.error('❌ Chat error:', error);
-            this.addMessage('system', 'Sorry, something went wrong. Please try again.');
+            console.error('❌ Nutrition error:', error);
+            this.addMessage('system', `Sorry, I couldn't calculate your targets: ${error.message}`);
             return null;
         } finally {
-            this.isLoading = false;
+            this.setLoading(false);
+            this.updateMessageActions();
         }
     }
 
@@ -125,37 +795,71 @@ class ChatInterface {
      * Add a message to the conversation history and UI
      * @param {string} role - 'user', 'assistant', or 'system'
      * @param {string} content - Message content
+     * @param {Object} options
+     * @param {boolean} [options.persist=true] - Save the message to the server
+     * @param {string} [options.parentId] - Message this one follows (defaults to the last message shown)
+     * @param {string} [options.timestamp] - Original timestamp (when restoring)
+     * @param {Object} [options.plan] - Structured workout plan to render as a card
+     * @param {Object} [options.nutrition] - Nutrition targets to render as a card
+     * @param {Array} [options.tools] - Tool calls behind the reply, shown as collapsible details
+     * @param {Object} [options.meta] - Persona and prompt version the reply was generated with
+     * @returns {Object} The added message
      */
-    addMessage(role, content) {
+    addMessage(role, content, { persist = true, parentId, timestamp, plan, nutrition, tools, meta } = {}) {
         const message = {
             role,
             content: String(content), // Ensure content is always a string
-            timestamp: new Date().toISOString(),
-            id: `msg_${++this.messageIdCounter}`
+            timestamp: timestamp || new Date().toISOString(),
+            id: createMessageId(),
+            ...(plan ? { plan } : {}),
+            ...(nutrition ? { nutrition } : {}),
+            ...(tools?.length ? { tools } : {}),
+            ...(meta ? { meta } : {})
         };
         
         // Add to history (exclude system messages from AI context)
         if (role !== 'system') {
-            this.conversationHistory.push({
-                role: message.role,
-                content: message.content
-            });
+            message.parentId = parentId !== undefined ? parentId : (this.tree.getLeaf()?.id ?? null);
+            this.tree.add(message);
+            this.syncHistory();
+
+            if (persist) {
+                this.persistMessage(message);
+            }
         }
         
         // Render message in UI
         this.renderMessage(message);
+        this.updateMessageActions();
         
         if (config.app.debug) {
             console.log(`💬 Added ${role} message:`, content.substring(0, 50) + '...');
         }
+        
+        return message;
     }
 
     /**
      * Render a message in the UI with proper formatting
+     * Re-rendering a message with the same id updates its content in place
      * @param {Object} message - Message object
      */
     renderMessage(message) {
         if (!this.messageContainer) return;
+
+        // Update an already rendered message in place (used while streaming)
+        const existingDiv = document.getElementById(message.id);
+        if (existingDiv) {
+            existingDiv.querySelector('.message-content').innerHTML = this.formatMessageContent(message.content);
+            const footer = existingDiv.querySelector('.message-timestamp');
+            footer.textContent = this.formatMessageFooter(message);
+            if (message.meta?.promptVersion) {
+                footer.title = `Prompt ${message.meta.promptVersion}`;
+            }
+            this.renderToolTrace(existingDiv, message);
+            this.scrollToBottom();
+            return;
+        }
         
         const messageDiv = document.createElement('div');
         messageDiv.className = `message ${message.role}`;
@@ -164,57 +868,314 @@ class ChatInterface {
         const contentDiv = document.createElement('div');
         contentDiv.className = 'message-content';
         
-        // Format the content for better display
-        const formattedContent = this.formatMessageContent(message.content);
-        contentDiv.innerHTML = formattedContent;
+        if (message.plan) {
+            // Structured plans get a real table instead of formatted text
+            contentDiv.appendChild(createPlanCard(message.plan, {
+                onSchedule: this.onSchedulePlan
+            }));
+        } else if (message.nutrition) {
+            contentDiv.appendChild(createNutritionCard(message.nutrition));
+        } else if (message.role === 'assistant') {
+            // Model output is Markdown, rendered with all raw HTML escaped
+            contentDiv.innerHTML = this.formatMessageContent(message.content);
+        } else {
+            // User and system messages are shown exactly as typed
+            contentDiv.classList.add('plain-text');
+            contentDiv.textContent = message.content;
+        }
         
         const timeDiv = document.createElement('div');
         timeDiv.className = 'message-timestamp';
-        timeDiv.textContent = new Date(message.timestamp).toLocaleTimeString([], {
-            hour: '2-digit',
-            minute: '2-digit'
-        });
+        timeDiv.textContent = this.formatMessageFooter(message);
+        if (message.meta?.promptVersion) {
+            timeDiv.title = `Prompt ${message.meta.promptVersion}`;
+        }
         
         messageDiv.appendChild(contentDiv);
         messageDiv.appendChild(timeDiv);
+        this.renderToolTrace(messageDiv, message);
         
         this.messageContainer.appendChild(messageDiv);
         this.scrollToBottom();
     }
 
     /**
-     * Format message content for better display
-     * @param {string} content - Raw message content
-     * @returns {string} Formatted HTML content
+     * Re-render the branch being shown (after switching, editing or deleting)
+     */
+    renderPath() {
+        if (!this.messageContainer) return;
+
+        clearInterval(this.countdownTimer);
+        this.messageContainer.innerHTML = '';
+        this.messages.forEach(message => this.renderMessage(message));
+        this.updateMessageActions();
+        this.renderQueuedMessages();
+    }
+
+    /**
+     * Show the messages queued in the open thread below the branch
+     */
+    renderQueuedMessages() {
+        if (!this.messageContainer) return;
+
+        this.messageContainer.querySelectorAll('.message-queued').forEach(div => div.remove());
+        this.outbox.getForThread(this.conversationId).forEach(item => this.renderQueuedMessage(item));
+    }
+
+    /**
+     * Render a queued message as a pending user bubble with a discard button
+     * @param {Object} item - Queued item ({ id, content, queuedAt })
+     */
+    renderQueuedMessage(item) {
+        if (!this.messageContainer) return;
+
+        const messageDiv = document.createElement('div');
+        messageDiv.className = 'message user message-queued';
+        messageDiv.id = item.id;
+
+        const contentDiv = document.createElement('div');
+        contentDiv.className = 'message-content plain-text';
+        contentDiv.textContent = item.content;
+
+        const timeDiv = document.createElement('div');
+        timeDiv.className = 'message-timestamp';
+        timeDiv.textContent = '⏳ Queued, sends when you\'re back online';
+
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+        const discard = document.createElement('button');
+        discard.type = 'button';
+        discard.className = 'message-action';
+        discard.textContent = '✖️';
+        discard.title = 'Discard';
+        discard.setAttribute('aria-label', 'Discard queued message');
+        discard.dataset.messageAction = 'discard';
+        discard.dataset.messageId = item.id;
+        actions.appendChild(discard);
+
+        messageDiv.appendChild(contentDiv);
+        messageDiv.appendChild(timeDiv);
+        messageDiv.appendChild(actions);
+
+        this.messageContainer.appendChild(messageDiv);
+        this.scrollToBottom();
+    }
+
+    /**
+     * Refresh the action buttons under every message of the branch
+     * Regenerate is only offered on the last reply
+     */
+    updateMessageActions() {
+        if (!this.messageContainer) return;
+
+        const last = this.messages.at(-1);
+        this.messages.forEach(message => {
+            const messageDiv = document.getElementById(message.id);
+            if (!messageDiv) return;
+
+            messageDiv.querySelector('.message-actions')?.remove();
+            messageDiv.appendChild(this.createMessageActions(message, message === last));
+        });
+    }
+
+    /**
+     * Build the action buttons for one message
+     * @param {Object} message - User or assistant message
+     * @param {boolean} isLast - Whether it is the last message of the branch
+     * @returns {HTMLElement} Actions row
+     */
+    createMessageActions(message, isLast) {
+        const actions = document.createElement('div');
+        actions.className = 'message-actions';
+
+        const addButton = (action, text, label, { target = message.id, disabled = false } = {}) => {
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'message-action';
+            button.textContent = text;
+            button.title = label;
+            button.setAttribute('aria-label', label);
+            button.dataset.messageAction = action;
+            button.dataset.messageId = target;
+            button.disabled = disabled || (this.isLoading && action !== 'copy');
+            actions.appendChild(button);
+        };
+
+        // Arrows between the alternatives of an edited or regenerated message
+        const { index, count, ids } = this.tree.getSiblings(message.id);
+        if (count > 1) {
+            addButton('branch', '‹', 'Previous version', { target: ids[index - 1], disabled: index === 0 });
+            const position = document.createElement('span');
+            position.className = 'message-branch';
+            position.textContent = `${index + 1}/${count}`;
+            actions.appendChild(position);
+            addButton('branch', '›', 'Next version', { target: ids[index + 1], disabled: index === count - 1 });
+        }
+
+        addButton('copy', '📋', 'Copy');
+
+        if (message.role === 'user') {
+            addButton('edit', '✏️', 'Edit and resend');
+            addButton('delete', '🗑️', 'Delete this turn');
+        } else if (isLast && !message.nutrition && this.tree.get(message.parentId)?.role === 'user') {
+            addButton('regenerate', '🔄', 'Regenerate reply');
+        }
+
+        return actions;
+    }
+
+    /**
+     * Handle clicks on the message action buttons
+     * @param {Event} e - Click event
+     */
+    handleMessageAction(e) {
+        const button = e.target.closest('[data-message-action]');
+        if (!button || button.disabled) return;
+
+        const { messageAction, messageId } = button.dataset;
+
+        switch (messageAction) {
+            case 'copy':
+                this.copyMessage(messageId, button);
+                break;
+            case 'edit':
+                this.startEdit(messageId);
+                break;
+            case 'delete':
+                if (confirm('Delete this message and its reply?')) {
+                    this.deleteTurn(messageId);
+                }
+                break;
+            case 'regenerate':
+                this.regenerate(messageId);
+                break;
+            case 'branch':
+                this.showBranch(messageId);
+                break;
+            case 'discard':
+                this.discardQueued(messageId);
+                break;
+        }
+    }
+
+    /**
+     * Copy a message's text to the clipboard
+     * @param {string} id - Message ID
+     * @param {HTMLElement} button - Copy button (briefly shows a tick)
+     */
+    async copyMessage(id, button) {
+        try {
+            await navigator.clipboard.writeText(this.tree.get(id).content);
+            button.textContent = '✅';
+            setTimeout(() => {
+                button.textContent = '📋';
+            }, 1500);
+        } catch (error) {
+            console.warn('⚠️ Could not copy message:', error.message);
+        }
+    }
+
+    /**
+     * Swap a user message for an editor; saving sends the edited copy
+     * @param {string} id - User message ID
+     */
+    startEdit(id) {
+        const messageDiv = document.getElementById(id);
+        const message = this.tree.get(id);
+        if (!messageDiv || !message || this.isLoading) return;
+
+        const editor = document.createElement('div');
+        editor.className = 'message-editor';
+
+        const textarea = document.createElement('textarea');
+        textarea.value = message.content;
+        textarea.maxLength = 500;
+        textarea.rows = 3;
+        textarea.setAttribute('aria-label', 'Edit message');
+
+        const buttons = document.createElement('div');
+        buttons.className = 'message-editor-buttons';
+
+        const cancelButton = document.createElement('button');
+        cancelButton.type = 'button';
+        cancelButton.className = 'btn btn-small';
+        cancelButton.textContent = 'Cancel';
+
+        const sendButton = document.createElement('button');
+        sendButton.type = 'button';
+        sendButton.className = 'btn btn-small';
+        sendButton.textContent = 'Save & Send';
+
+        const save = () => {
+            if (textarea.value.trim() && textarea.value.trim() !== message.content) {
+                this.editMessage(id, textarea.value);
+            } else {
+                this.renderPath();
+            }
+        };
+
+        cancelButton.addEventListener('click', () => this.renderPath());
+        sendButton.addEventListener('click', save);
+        textarea.addEventListener('keydown', (e) => {
+            if (e.key === 'Escape') {
+                this.renderPath();
+            } else if (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) {
+                e.preventDefault();
+                save();
+            }
+        });
+
+        buttons.appendChild(cancelButton);
+        buttons.appendChild(sendButton);
+        editor.appendChild(textarea);
+        editor.appendChild(buttons);
+
+        messageDiv.querySelector('.message-content').replaceWith(editor);
+        messageDiv.querySelector('.message-actions')?.remove();
+        textarea.focus();
+    }
+
+    /**
+     * Text under a message: the time, plus the coach persona for assistant replies
+     * @param {Object} message - Message object
+     * @returns {string} Footer text
+     */
+    formatMessageFooter(message) {
+        const time = new Date(message.timestamp).toLocaleTimeString([], {
+            hour: '2-digit',
+            minute: '2-digit'
+        });
+        const persona = config.coachPersonas.find(item => item.id === message.meta?.persona);
+
+        return persona ? `${time} · ${persona.name} coach` : time;
+    }
+
+    /**
+     * Get the coach persona chosen in the profile
+     * @returns {string} Persona ID
+     */
+    getPersona() {
+        return this.userProfile.getProfile().preferences?.persona || config.defaultPersona;
+    }
+
+    /**
+     * Format assistant message content for display
+     * @param {string} content - Raw Markdown content from the model
+     * @returns {string} Sanitized HTML content
      */
     formatMessageContent(content) {
         if (!content || typeof content !== 'string') {
             return 'Empty message';
         }
         
-        return content
-            // Convert line breaks to HTML breaks
-            .replace(/\n/g, '<br>')
-            // Bold text for **text**
-            .replace(/\*\*(.*?)\*\*/g, '<strong>$1</strong>')
-            // Italic text for *text*
-            .replace(/\*(.*?)\*/g, '<em>$1</em>')
-            // Code blocks for `code`
-            .replace(/`([^`]+)`/g, '<code>$1</code>')
-            // Convert numbered lists (improve formatting)
-            .replace(/^\d+\.\s(.+)$/gm, '<div class="list-item">$&</div>')
-            // Convert bullet points
-            .replace(/^[-•]\s(.+)$/gm, '<div class="list-item">• $1</div>')
-            // Convert workout sections
-            .replace(/^(Workout|Exercise|Day \d+):/gm, '<strong>$&</strong>')
-            // Add some spacing around sections
-            .replace(/<br><strong>/g, '<br><br><strong>');
+        return renderMarkdown(content);
     }
 
     /**
      * Show typing indicator
+     * @param {string} [status] - Short note shown next to the dots (e.g. the tool being used)
      */
-    showTypingIndicator() {
+    showTypingIndicator(status) {
         if (!this.messageContainer) return;
         
         // Remove existing typing indicator
@@ -232,12 +1193,38 @@ class ChatInterface {
         dotsDiv.innerHTML = '<span></span><span></span><span></span>';
         
         contentDiv.appendChild(dotsDiv);
+        if (status) {
+            const statusSpan = document.createElement('span');
+            statusSpan.className = 'typing-status';
+            statusSpan.textContent = status;
+            contentDiv.appendChild(statusSpan);
+        }
         typingDiv.appendChild(contentDiv);
         
         this.messageContainer.appendChild(typingDiv);
         this.scrollToBottom();
     }
 
+    /**
+     * Show or refresh the tool calls under a message
+     * @param {HTMLElement} messageDiv - Rendered message
+     * @param {Object} message - Message object
+     */
+    renderToolTrace(messageDiv, message) {
+        const existing = messageDiv.querySelector('.tool-trace');
+        if (existing?.dataset.count === String(message.tools?.length || 0)) {
+            return;
+        }
+
+        existing?.remove();
+
+        if (message.tools?.length) {
+            const trace = createToolTrace(message.tools);
+            trace.dataset.count = String(message.tools.length);
+            messageDiv.insertBefore(trace, messageDiv.querySelector('.message-timestamp'));
+        }
+    }
+
     /**
      * Hide typing indicator
      */
@@ -263,17 +1250,54 @@ class ChatInterface {
     }
 
     /**
-     * Clear all messages and restart conversation
+     * Empty the chat view and history and point it at a thread
+     * @param {string|null} conversationId - Thread to save to (null starts a new one on the first message)
      */
-    clearMessages() {
-        this.conversationHistory = [];
+    resetView(conversationId) {
+        clearInterval(this.countdownTimer);
+
+        this.setConversationId(conversationId);
+        this.tree = new MessageTree();
+        this.syncHistory();
         if (this.messageContainer) {
             this.messageContainer.innerHTML = '';
         }
-        this.messageIdCounter = 0;
+    }
+
+    /**
+     * Switch to another stored thread
+     * @param {string} id - Conversation ID
+     * @returns {Promise<void>}
+     * @throws {Error} While a reply is still being generated
+     */
+    async openConversation(id) {
+        if (this.isLoading) {
+            throw new Error('Wait for the current reply to finish.');
+        }
+
+        this.resetView(id);
+        const restored = await this.loadConversation();
+        if (!restored) {
+            this.addWelcomeMessage();
+        }
+        this.renderQueuedMessages();
+
+        // Messages queued here while offline go out as soon as the thread is open
+        if (this.isOnline()) {
+            this.flushQueue();
+        }
+    }
+
+    /**
+     * Clear all messages and restart conversation
+     */
+    clearMessages() {
+        // The old thread stays on the server, new messages go to a new one
+        this.resetView(null);
         
         // Add welcome message again
         this.addWelcomeMessage();
+        this.renderQueuedMessages();
         
         if (config.app.debug) {
             console.log('🧹 Chat cleared and restarted');
@@ -297,17 +1321,122 @@ class ChatInterface {
     }
 
     /**
-     * Export chat history as formatted text
-     * @returns {string} Chat history as formatted text
+     * Get the conversation history that came before a message of the branch
+     * @param {string} id - Message ID
+     * @returns {Array} Role/content pairs
+     */
+    getHistoryBefore(id) {
+        const index = this.messages.findIndex(message => message.id === id);
+        return this.conversationHistory.slice(0, index);
+    }
+
+    /**
+     * Rebuild the history from the branch being shown
+     */
+    syncHistory() {
+        this.messages = this.tree.getPath();
+        this.conversationHistory = this.messages.map(message => ({
+            role: message.role,
+            content: message.content
+        }));
+    }
+
+    /**
+     * Export chat history
+     * @param {string} [format='text'] - 'text', 'markdown', 'json' or 'html'
+     * @returns {string} Chat history in that format
      */
-    exportHistory() {
+    exportHistory(format = 'text') {
         if (this.conversationHistory.length === 0) {
             return 'No conversation history yet.';
         }
-        
-        return this.conversationHistory
-            .map(msg => `${msg.role.toUpperCase()}: ${msg.content}`)
-            .join('\n\n');
+
+        if (format === 'text') {
+            return this.conversationHistory
+                .map(msg => `${msg.role.toUpperCase()}: ${msg.content}`)
+                .join('\n\n');
+        }
+
+        const data = createExport({
+            messages: this.messages,
+            profile: this.userProfile.getProfile(),
+            profileSummary: this.userProfile.getSummary(),
+            conversationId: this.conversationId
+        });
+
+        switch (format) {
+            case 'markdown':
+                return toMarkdown(data);
+            case 'json':
+                return JSON.stringify(data, null, 2);
+            case 'html':
+                return toHtml(data);
+            default:
+                throw new Error(`Unknown export format: ${format}`);
+        }
+    }
+
+    /**
+     * Download the chat history as a file
+     * @param {string} format - 'markdown', 'json' or 'html'
+     * @returns {boolean} False when there is nothing to export
+     */
+    downloadHistory(format) {
+        if (this.conversationHistory.length === 0) {
+            return false;
+        }
+
+        const { extension, mimeType } = EXPORT_FORMATS[format];
+        const date = new Date().toISOString().slice(0, 10);
+
+        downloadBlob(
+            new Blob([this.exportHistory(format)], { type: `${mimeType};charset=utf-8` }),
+            `gym-buddy-chat-${date}.${extension}`
+        );
+        return true;
+    }
+
+    /**
+     * Restore a conversation from a JSON export
+     * The messages replace the current chat and are saved as a new server-side conversation
+     * @param {File} file - JSON export chosen by the user
+     * @returns {Promise<number>} Number of messages imported
+     * @throws {Error} When the file isn't a valid export
+     */
+    async importHistory(file) {
+        if (this.isLoading) {
+            throw new Error('Wait for the current reply to finish.');
+        }
+        if (file.size > MAX_IMPORT_SIZE) {
+            throw new Error('The file is too large to import.');
+        }
+
+        // Throws before the view is touched if any message is invalid
+        const { messages } = parseExport(await file.text());
+
+        this.resetView(null);
+
+        // One at a time, so a failed save stops the import instead of orphaning the rest
+        for (const [index, message] of messages.entries()) {
+            const added = this.addMessage(message.role, message.content, {
+                persist: false,
+                timestamp: message.timestamp,
+                plan: message.plan,
+                nutrition: message.nutrition,
+                tools: message.tools,
+                meta: message.meta
+            });
+
+            if (!(await this.persistMessage(added))) {
+                throw new Error(`Message ${index + 1} of ${messages.length} could not be saved, so the import stopped there.`);
+            }
+        }
+
+        if (config.app.debug) {
+            console.log(`📥 Imported ${messages.length} messages`);
+        }
+
+        return messages.length;
     }
 
     /**
@@ -318,8 +1447,10 @@ class ChatInterface {
         return {
             isLoading: this.isLoading,
             historyLength: this.conversationHistory.length,
+            conversationId: this.conversationId,
             hasContainer: !!this.messageContainer,
-            messageCount: this.messageIdCounter,
+            messageCount: this.tree.nodes.size,
+            queuedCount: this.outbox.getAll().length,
             openaiService: this.openaiService.getDebugInfo()
         };
     }
@@ -0,0 +1,291 @@
+// Chat export and import
+// Builds Markdown, JSON and standalone HTML exports of a conversation and reads JSON exports back
+
+import { renderMarkdown, escapeHtml } from './markdown.js';
+
+// Identifies our JSON exports; bump the version when the shape changes
+export const EXPORT_FORMAT = 'gym-buddy-chat';
+export const EXPORT_VERSION = 1;
+
+// Largest JSON export accepted for import (bytes)
+export const MAX_IMPORT_SIZE = 5 * 1024 * 1024;
+
+// Formats offered in the UI: file extension and MIME type
+export const EXPORT_FORMATS = {
+    markdown: { extension: 'md', mimeType: 'text/markdown' },
+    json: { extension: 'json', mimeType: 'application/json' },
+    html: { extension: 'html', mimeType: 'text/html' }
+};
+
+const IMPORTABLE_ROLES = ['user', 'assistant'];
+
+const ROLE_NAMES = {
+    user: 'You',
+    assistant: 'Gym Buddy'
+};
+
+/**
+ * Build the JSON export object (the source for every format)
+ * @param {Object} options
+ * @param {Array} options.messages - Chat messages ({ id, role, content, timestamp, plan?, nutrition?, tools?, meta? })
+ * @param {Object} options.profile - Profile snapshot
+ * @param {string} options.profileSummary - Human-readable profile summary
+ * @param {string|null} options.conversationId - Server conversation ID
+ * @returns {Object} Export data
+ */
+export function createExport({ messages, profile, profileSummary, conversationId }) {
+    return {
+        format: EXPORT_FORMAT,
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        conversationId,
+        profile,
+        profileSummary,
+        messages: messages.map(message => ({
+            id: message.id,
+            role: message.role,
+            content: message.content,
+            timestamp: message.timestamp,
+            ...(message.plan ? { plan: message.plan } : {}),
+            ...(message.nutrition ? { nutrition: message.nutrition } : {}),
+            ...(message.tools?.length ? { tools: message.tools } : {}),
+            ...(message.meta ? { meta: message.meta } : {})
+        }))
+    };
+}
+
+/**
+ * Format a timestamp for the readable exports
+ * @param {string} timestamp - ISO timestamp
+ * @returns {string} Local date and time
+ */
+function formatTimestamp(timestamp) {
+    return new Date(timestamp).toLocaleString();
+}
+
+/**
+ * Render an export as Markdown
+ * @param {Object} data - From createExport
+ * @returns {string} Markdown document
+ */
+export function toMarkdown(data) {
+    const lines = [
+        '# AI Gym Buddy Conversation',
+        '',
+        `_Exported ${formatTimestamp(data.exportedAt)}_`,
+        '',
+        '## Profile',
+        '',
+        ...data.profileSummary.split('\n').map(line => `- ${line}`),
+        '',
+        '## Conversation'
+    ];
+
+    data.messages.forEach(message => {
+        lines.push('', `### ${ROLE_NAMES[message.role]} · ${formatTimestamp(message.timestamp)}`, '', message.content);
+    });
+
+    return lines.join('\n') + '\n';
+}
+
+/**
+ * Render an export as a standalone HTML page (inline styles, no scripts)
+ * @param {Object} data - From createExport
+ * @returns {string} HTML document
+ */
+export function toHtml(data) {
+    const messages = data.messages.map(message => {
+        // Assistant replies are Markdown; user text is shown exactly as typed
+        const body = message.role === 'assistant'
+            ? renderMarkdown(message.content)
+            : `<p class="plain">${escapeHtml(message.content)}</p>`;
+
+        return `<div class="message ${message.role}">
+    <div class="meta">${ROLE_NAMES[message.role]} · ${escapeHtml(formatTimestamp(message.timestamp))}</div>
+    ${body}
+</div>`;
+    }).join('\n');
+
+    const profile = data.profileSummary.split('\n').map(line => `<li>${escapeHtml(line)}</li>`).join('');
+
+    return `<!DOCTYPE html>
+<html lang="en">
+<head>
+<meta charset="UTF-8">
+<meta name="viewport" content="width=device-width, initial-scale=1.0">
+<title>AI Gym Buddy Conversation</title>
+<style>
+    body { font-family: -apple-system, BlinkMacSystemFont, 'Segoe UI', Roboto, sans-serif; max-width: 800px; margin: 0 auto; padding: 20px; color: #333; background: #f8f9fa; }
+    h1 { color: #667eea; }
+    .exported { color: #777; font-style: italic; }
+    .message { padding: 12px 16px; margin: 12px 0; border-radius: 12px; background: white; box-shadow: 0 2px 6px rgba(0,0,0,0.08); }
+    .message.user { background: #eef0fd; margin-left: 15%; }
+    .message.assistant { margin-right: 15%; }
+    .meta { font-size: 0.8em; color: #777; margin-bottom: 6px; }
+    .plain { white-space: pre-wrap; margin: 0; }
+    table { border-collapse: collapse; }
+    th, td { border: 1px solid #ddd; padding: 4px 8px; }
+    pre { background: #f1f3f5; padding: 8px; overflow-x: auto; }
+</style>
+</head>
+<body>
+<h1>AI Gym Buddy Conversation</h1>
+<p class="exported">Exported ${escapeHtml(formatTimestamp(data.exportedAt))}</p>
+<h2>Profile</h2>
+<ul>${profile}</ul>
+<h2>Conversation</h2>
+${messages}
+</body>
+</html>
+`;
+}
+
+/**
+ * Check that a value is a plain object
+ * @param {any} value - Value to check
+ * @returns {boolean} True for non-null, non-array objects
+ */
+function isObject(value) {
+    return typeof value === 'object' && value !== null && !Array.isArray(value);
+}
+
+/**
+ * Check an optional string field
+ * @param {any} value - Value to check
+ * @returns {boolean} True for undefined or a string
+ */
+function isOptionalString(value) {
+    return value === undefined || typeof value === 'string';
+}
+
+/**
+ * Check that a number is finite
+ * @param {any} value - Value to check
+ * @returns {boolean} True for finite numbers
+ */
+function isNumber(value) {
+    return typeof value === 'number' && Number.isFinite(value);
+}
+
+/**
+ * Check a plan has everything the plan card and its text version read
+ * (a looser form of the server's PLAN_SCHEMA)
+ * @param {any} plan - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidPlan(plan) {
+    return isObject(plan) &&
+        typeof plan.title === 'string' &&
+        isOptionalString(plan.summary) &&
+        isOptionalString(plan.notes) &&
+        Array.isArray(plan.days) && plan.days.length > 0 &&
+        plan.days.every(day => isObject(day) &&
+            Number.isInteger(day.day) &&
+            typeof day.name === 'string' &&
+            isOptionalString(day.focus) &&
+            Array.isArray(day.exercises) &&
+            day.exercises.every(exercise => isObject(exercise) &&
+                typeof exercise.name === 'string' &&
+                Number.isInteger(exercise.sets) &&
+                ['reps', 'rest', 'notes'].every(key => isOptionalString(exercise[key]))));
+}
+
+/**
+ * Check nutrition targets have everything the nutrition card reads
+ * @param {any} targets - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidNutrition(targets) {
+    return isObject(targets) &&
+        ['calories', 'bmr', 'tdee'].every(key => isNumber(targets[key])) &&
+        ['goal', 'adjustment', 'formula'].every(key => typeof targets[key] === 'string') &&
+        isObject(targets.activity) &&
+        typeof targets.activity.label === 'string' &&
+        isNumber(targets.activity.daysPerWeek) &&
+        isObject(targets.macros) &&
+        ['protein', 'carbs', 'fat'].every(key => isObject(targets.macros[key]) &&
+            isNumber(targets.macros[key].grams) &&
+            isNumber(targets.macros[key].percent));
+}
+
+/**
+ * Check a tool trace entry has what the trace shows
+ * @param {any} tool - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidTool(tool) {
+    return isObject(tool) &&
+        typeof tool.name === 'string' &&
+        isOptionalString(tool.output) &&
+        isOptionalString(tool.error) &&
+        (tool.arguments === undefined || isObject(tool.arguments));
+}
+
+/**
+ * Check reply metadata the way the server stores it: an object of short strings
+ * @param {any} meta - Value to check
+ * @returns {boolean} True if valid
+ */
+function isValidMeta(meta) {
+    return isObject(meta) &&
+        Object.values(meta).every(value => typeof value === 'string' && value.length <= 100);
+}
+
+/**
+ * Read a JSON export back
+ * The whole file is checked before anything is returned, so an import never stops halfway
+ * on a message the chat can't render or the server won't store.
+ * @param {string} text - File content
+ * @returns {Object} { messages, profile, conversationId, exportedAt }
+ * @throws {Error} With a user-facing message when the file isn't a valid export
+ */
+export function parseExport(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch {
+        throw new Error('The file is not valid JSON.');
+    }
+
+    if (!isObject(data) || data.format !== EXPORT_FORMAT) {
+        throw new Error('The file is not an AI Gym Buddy chat export.');
+    }
+    if (data.version !== EXPORT_VERSION) {
+        throw new Error(`Unsupported export version ${data.version}.`);
+    }
+    if (!Array.isArray(data.messages) || data.messages.length === 0) {
+        throw new Error('The export has no messages.');
+    }
+
+    const messages = data.messages.map((message, index) => {
+        const valid = isObject(message) &&
+            IMPORTABLE_ROLES.includes(message.role) &&
+            typeof message.content === 'string' &&
+            (message.timestamp === undefined || !Number.isNaN(Date.parse(message.timestamp))) &&
+            (message.plan === undefined || isValidPlan(message.plan)) &&
+            (message.nutrition === undefined || isValidNutrition(message.nutrition)) &&
+            (message.tools === undefined || (Array.isArray(message.tools) && message.tools.every(isValidTool))) &&
+            (message.meta === undefined || isValidMeta(message.meta));
+
+        if (!valid) {
+            throw new Error(`Message ${index + 1} in the export is invalid.`);
+        }
+
+        return {
+            role: message.role,
+            content: message.content,
+            timestamp: message.timestamp,
+            plan: message.plan,
+            nutrition: message.nutrition,
+            tools: message.tools,
+            meta: message.meta
+        };
+    });
+
+    return {
+        messages,
+        profile: isObject(data.profile) ? data.profile : null,
+        conversationId: data.conversationId || null,
+        exportedAt: data.exportedAt || null
+    };
+}
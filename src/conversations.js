@@ -0,0 +1,105 @@
+// Conversation persistence client
+// Talks to the /api/conversations endpoints so chats survive reloads
+
+import config from '../config.js';
+import { apiRequest } from './apiClient.js';
+
+/**
+ * ConversationService - Frontend client for stored conversations
+ */
+class ConversationService {
+    /**
+     * Make a request relative to the conversations endpoint
+     * @param {string} path - Path relative to the conversations endpoint
+     * @param {Object} options - Fetch options
+     * @returns {Promise<Object>} Response data
+     */
+    request(path = '', options = {}) {
+        return apiRequest(`${config.api.endpoints.conversations}${path}`, options);
+    }
+
+    /**
+     * Create a new conversation
+     * @param {string} [title] - Conversation title
+     * @returns {Promise<Object>} Created conversation
+     */
+    async create(title) {
+        const data = await this.request('', {
+            method: 'POST',
+            body: JSON.stringify({ title })
+        });
+        return data.conversation;
+    }
+
+    /**
+     * List stored conversations
+     * @returns {Promise<Array>} Conversation summaries
+     */
+    async list() {
+        const data = await this.request();
+        return data.conversations;
+    }
+
+    /**
+     * Get a conversation with its messages
+     * @param {string} id - Conversation ID
+     * @returns {Promise<Object>} Conversation
+     */
+    async get(id) {
+        const data = await this.request(`/${encodeURIComponent(id)}`);
+        return data.conversation;
+    }
+
+    /**
+     * Rename a conversation
+     * @param {string} id - Conversation ID
+     * @param {string} title - New title
+     * @returns {Promise<Object>} Conversation summary
+     */
+    async rename(id, title) {
+        const data = await this.request(`/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ title })
+        });
+        return data.conversation;
+    }
+
+    /**
+     * Append messages to a conversation
+     * @param {string} id - Conversation ID
+     * @param {Array} messages - Messages ({ id, parentId, role, content, timestamp })
+     * @returns {Promise<Array>} Stored messages
+     */
+    async append(id, messages) {
+        const data = await this.request(`/${encodeURIComponent(id)}/messages`, {
+            method: 'POST',
+            body: JSON.stringify({ messages })
+        });
+        return data.messages;
+    }
+
+    /**
+     * Delete messages from a conversation (replies to them move up to the closest remaining message)
+     * @param {string} id - Conversation ID
+     * @param {Array<string>} messageIds - Message IDs
+     * @returns {Promise<number>} Number of messages deleted
+     */
+    async deleteMessages(id, messageIds) {
+        const data = await this.request(`/${encodeURIComponent(id)}/messages`, {
+            method: 'DELETE',
+            body: JSON.stringify({ ids: messageIds })
+        });
+        return data.deleted;
+    }
+
+    /**
+     * Delete a conversation
+     * @param {string} id - Conversation ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await this.request(`/${encodeURIComponent(id)}`, { method: 'DELETE' });
+    }
+}
+
+export default ConversationService;
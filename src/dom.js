@@ -0,0 +1,16 @@
+// DOM helpers
+// Small builders shared by the cards, sidebar and modals
+
+/**
+ * Create an element with optional class and text content
+ * @param {string} tag - Tag name
+ * @param {string} [className] - CSS class
+ * @param {string} [text] - Text content (never parsed as HTML)
+ * @returns {HTMLElement} The element
+ */
+export function createElement(tag, className, text) {
+    const element = document.createElement(tag);
+    if (className) element.className = className;
+    if (text !== undefined) element.textContent = text;
+    return element;
+}
@@ -0,0 +1,16 @@
+// File downloads
+// Saves generated content (exports, calendar files) through a temporary link
+
+/**
+ * Save a blob as a file
+ * @param {Blob} blob - File content
+ * @param {string} filename - Suggested file name
+ */
+export function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    link.click();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+}
@@ -6,6 +6,14 @@ import StageManager from './stageManager.js';
 import UserProfile from './userProfile.js';
 import ChatInterface from './chat.js';
 import OpenAIService from './openai.js';
+import WorkoutLogger from './workoutLogger.js';
+import WeekView from './weekView.js';
+import ThreadSidebar from './threadSidebar.js';
+import AuthService from './auth.js';
+import AuthDialog from './authDialog.js';
+import ProfileStorage from './profileStorage.js';
+import ConnectionMonitor, { registerServiceWorker, clearOfflineData } from './offline.js';
+import { escapeHtml } from './markdown.js';
 
 /**
  * Main Application Class
@@ -18,6 +26,29 @@ class AiGymBuddy {
         this.userProfile = new UserProfile();
         this.chatInterface = null;
         this.openaiService = new OpenAIService();
+        this.workoutLogger = new WorkoutLogger({
+            onLogged: (workout) => {
+                this.chatInterface?.addMessage('system', `✅ Logged workout: ${WorkoutLogger.describe(workout)}`);
+            }
+        });
+        this.weekView = new WeekView({
+            onScheduled: (schedule) => {
+                this.chatInterface?.addMessage('system', `📅 Scheduled ${schedule.sessions.length} sessions over ${schedule.weeks} weeks. Export them from "My Week".`);
+            }
+        });
+        this.threadSidebar = new ThreadSidebar({
+            onSelect: (id) => this.chatInterface.openConversation(id),
+            onCreate: () => this.chatInterface.clearMessages(),
+            onDeleteActive: () => this.chatInterface.clearMessages()
+        });
+        this.authService = new AuthService();
+        this.authDialog = new AuthDialog({
+            authService: this.authService,
+            onSignedIn: () => this.handleSignedIn()
+        });
+        this.profileStorage = new ProfileStorage(this.authService);
+        this.connection = new ConnectionMonitor(this.openaiService);
+        this.connection.addListener((online) => this.handleConnectionChange(online));
         
         // UI References
         this.appContainer = null;
@@ -42,12 +73,16 @@ class AiGymBuddy {
                 throw new Error('App container not found');
             }
 
-            // Check backend health
+            // Cache the app shell so the app opens without a connection
+            registerServiceWorker();
+
+            // Without the backend the app runs offline: cached data stays readable
+            // and chat messages are queued until it is back
             const isHealthy = await this.openaiService.checkHealth();
-            if (!isHealthy) {
-                this.showError('Backend server is not available. Please try again later.');
-                return;
-            }
+            this.connection.start(isHealthy);
+
+            // Restore the signed-in account and saved profile, if any
+            await this.restoreSession();
 
             // Listen for stage changes
             this.stageManager.addListener((newStage, previousStage) => {
@@ -69,6 +104,149 @@ class AiGymBuddy {
         }
     }
 
+    /**
+     * Restore the signed-in account and the saved profile
+     * A completed profile skips straight to the chatting stage
+     */
+    async restoreSession() {
+        try {
+            await this.authService.me();
+        } catch (error) {
+            // Accounts are optional, carry on signed out
+            console.warn('⚠️ Could not restore session:', error.message);
+        }
+
+        try {
+            const savedProfile = await this.profileStorage.load();
+            if (savedProfile && this.userProfile.load(savedProfile)) {
+                this.stageManager.setStage(config.stages.CHATTING, false);
+            }
+        } catch (error) {
+            console.warn('⚠️ Could not restore profile:', error.message);
+        }
+    }
+
+    /**
+     * Apply a fresh sign-in: use the saved profile, or save the one just collected
+     */
+    async handleSignedIn() {
+        let savedProfile = null;
+
+        try {
+            savedProfile = await this.profileStorage.load();
+        } catch (error) {
+            console.warn('⚠️ Could not load saved profile:', error.message);
+        }
+
+        if (savedProfile && this.userProfile.load(savedProfile)) {
+            if (this.stageManager.getCurrentStage() === config.stages.CHATTING) {
+                this.renderCurrentStage();
+            } else {
+                this.stageManager.setStage(config.stages.CHATTING);
+            }
+            return;
+        }
+
+        if (this.userProfile.checkIfComplete()) {
+            await this.saveProfile();
+        }
+
+        this.renderCurrentStage();
+    }
+
+    /**
+     * Sign out and start over as an anonymous user
+     */
+    async signOut() {
+        try {
+            await this.authService.logout();
+        } catch (error) {
+            console.error('❌ Failed to sign out:', error);
+            return;
+        }
+
+        this.chatInterface?.setConversationId(null);
+        this.profileStorage.clearLocal();
+        await clearOfflineData();
+        this.userProfile.reset();
+
+        if (this.stageManager.getCurrentStage() === config.stages.WELCOME) {
+            this.renderCurrentStage();
+        } else {
+            this.stageManager.reset();
+        }
+    }
+
+    /**
+     * Switch between online and offline mode
+     * @param {boolean} online - Whether the backend is reachable
+     */
+    handleConnectionChange(online) {
+        const banner = document.getElementById('connection-banner');
+        if (banner) {
+            banner.hidden = online;
+            banner.textContent = "📴 You're offline. Your profile, threads and workout logs are still here, and messages you send are queued until the connection is back.";
+        }
+
+        if (!online || this.stageManager.getCurrentStage() !== config.stages.CHATTING) {
+            return;
+        }
+
+        // Send what was queued and pick up threads saved elsewhere in the meantime
+        this.chatInterface?.flushQueue();
+        this.threadSidebar.refresh();
+    }
+
+    /**
+     * Save the current profile (on this device, or to the account when signed in)
+     */
+    async saveProfile() {
+        try {
+            await this.profileStorage.save(this.userProfile.getProfile());
+        } catch (error) {
+            console.error('❌ Failed to save profile:', error);
+        }
+    }
+
+    /**
+     * Account controls shown at the top of the welcome and chatting stages
+     * @returns {string} HTML
+     */
+    renderAccountBar() {
+        const user = this.authService.user;
+
+        if (!user) {
+            return `
+                <div class="account-bar">
+                    <button class="link-button" id="sign-in">Sign in</button>
+                </div>
+            `;
+        }
+
+        const label = document.createElement('span');
+        label.textContent = `Signed in as ${user.name || user.email}`;
+
+        return `
+            <div class="account-bar">
+                ${label.outerHTML}
+                <button class="link-button" id="sign-out">Sign out</button>
+            </div>
+        `;
+    }
+
+    /**
+     * Wire up the account bar buttons
+     */
+    setupAccountListeners() {
+        document.getElementById('sign-in')?.addEventListener('click', () => {
+            this.authDialog.open('login');
+        });
+
+        document.getElementById('sign-out')?.addEventListener('click', () => {
+            this.signOut();
+        });
+    }
+
     /**
      * Handle stage changes and render appropriate UI
      * @param {string} newStage - New stage name
@@ -116,6 +294,7 @@ class AiGymBuddy {
     renderWelcomeStage() {
         const html = `
             <div class="stage welcome-stage">
+                ${this.renderAccountBar()}
                 <h1>🏋️ Welcome to AI Gym Buddy!</h1>
                 <p>Your personal AI fitness coach is here to help you achieve your fitness goals.</p>
                 <p>Get personalized workout plans, exercise advice, and motivation tailored just for you.</p>
@@ -130,6 +309,8 @@ class AiGymBuddy {
         document.getElementById('start-onboarding').addEventListener('click', () => {
             this.stageManager.nextStage();
         });
+        
+        this.setupAccountListeners();
     }
 
     /**
@@ -145,6 +326,13 @@ class AiGymBuddy {
             return;
         }
 
+        // Multi-step questions render one step at a time under the question's heading
+        const step = this.userProfile.getCurrentStep();
+        const field = step || question;
+        const stepHeading = step
+            ? `<p class="step-indicator">Step ${progress.currentStep} of ${progress.totalSteps}</p><h4>${step.question}</h4>`
+            : '';
+
         const html = `
             <div class="stage onboarding-stage">
                 <h2>Let's Get to Know You</h2>
@@ -154,63 +342,153 @@ class AiGymBuddy {
                 <p>Question ${progress.currentQuestion} of ${progress.totalQuestions}</p>
                 
                 <h3>${question.question}</h3>
+                ${stepHeading}
                 <div class="options" id="question-options">
-                    ${this.renderQuestionOptions(question)}
+                    ${this.renderQuestionOptions(field, this.userProfile.getAnswer(question.id, step?.id))}
                 </div>
+                <p class="form-error" id="question-error"></p>
                 
                 <div class="navigation">
                     ${progress.canGoBack ? '<button class="btn" id="prev-question">← Previous</button>' : ''}
-                    <button class="btn" id="next-question" disabled>Next →</button>
+                    <button class="btn" id="next-question" disabled>${field.optional ? 'Skip / Next →' : 'Next →'}</button>
                 </div>
             </div>
         `;
         
         this.appContainer.innerHTML = html;
-        this.setupOnboardingListeners(question);
+        this.setupOnboardingListeners(question, step);
     }
 
     /**
      * Render question options based on question type
-     * @param {Object} question - Question object
+     * @param {Object} field - Question object (or the current step of a multi-step question)
+     * @param {any} answer - Previous answer, used to pre-fill the inputs
      * @returns {string} HTML for question options
      */
-    renderQuestionOptions(question) {
-        let html = '';
-        
-        question.options.forEach((option, index) => {
-            const inputType = question.type === 'checkbox' ? 'checkbox' : 'radio';
-            const name = question.type === 'checkbox' ? `${question.id}[]` : question.id;
-            
-            html += `
-                <label>
-                    <input type="${inputType}" name="${name}" value="${option}" data-question="${question.id}">
-                    ${option}
-                </label>
-            `;
-        });
-        
-        return html;
+    renderQuestionOptions(field, answer) {
+        switch (field.type) {
+            case 'number': {
+                const value = field.units ? answer?.value : answer;
+                const selectedUnit = field.units ? (answer?.unit || field.units[0]) : null;
+                const { min, max } = this.userProfile.getNumberLimits(field, selectedUnit);
+                const unitPicker = field.units
+                    ? `<select data-question="${field.id}" data-role="unit">
+                        ${field.units.map(unit => `<option value="${unit}" ${unit === selectedUnit ? 'selected' : ''}>${unit}</option>`).join('')}
+                       </select>`
+                    : (field.suffix ? `<span>${field.suffix}</span>` : '');
+
+                return `
+                    <div class="number-answer">
+                        <input type="number" data-question="${field.id}" data-role="value"
+                            ${min !== undefined ? `min="${min}"` : ''} ${max !== undefined ? `max="${max}"` : ''}
+                            step="${field.step || 1}" value="${value ?? ''}" placeholder="${escapeHtml(field.placeholder || '')}">
+                        ${unitPicker}
+                    </div>
+                `;
+            }
+
+            case 'slider': {
+                const value = answer ?? field.default ?? field.min;
+                return `
+                    <div class="slider-answer">
+                        <input type="range" data-question="${field.id}" data-role="value"
+                            min="${field.min}" max="${field.max}" step="${field.step || 1}" value="${value}">
+                        <output id="slider-value">${value}${field.suffix ? ` ${field.suffix}` : ''}</output>
+                    </div>
+                `;
+            }
+
+            case 'text': {
+                const attributes = `data-question="${field.id}" data-role="value" maxlength="${field.maxLength || 500}" placeholder="${escapeHtml(field.placeholder || '')}"`;
+                return field.multiline
+                    ? `<textarea class="text-answer" rows="3" ${attributes}>${escapeHtml(answer || '')}</textarea>`
+                    : `<input type="text" class="text-answer" ${attributes} value="${escapeHtml(answer || '')}">`;
+            }
+
+            case 'select':
+            case 'checkbox': {
+                const selected = Array.isArray(answer) ? answer : [answer];
+                let html = '';
+                
+                field.options.forEach((option) => {
+                    const inputType = field.type === 'checkbox' ? 'checkbox' : 'radio';
+                    const name = field.type === 'checkbox' ? `${field.id}[]` : field.id;
+                    
+                    html += `
+                        <label>
+                            <input type="${inputType}" name="${name}" value="${option}" data-question="${field.id}" ${selected.includes(option) ? 'checked' : ''}>
+                            ${option}
+                        </label>
+                    `;
+                });
+                
+                return html;
+            }
+
+            default:
+                console.error(`❌ Unsupported question type: ${field.type}`);
+                return '';
+        }
+    }
+
+    /**
+     * Read the answer currently entered for a question or step
+     * @param {Object} field - Question object (or step)
+     * @returns {any} Answer in the shape UserProfile expects
+     */
+    readAnswer(field) {
+        const container = document.getElementById('question-options');
+        const valueInput = container.querySelector(`[data-question="${field.id}"][data-role="value"]`);
+
+        switch (field.type) {
+            case 'checkbox':
+                return Array.from(container.querySelectorAll(`input[data-question="${field.id}"]:checked`))
+                    .map(input => input.value);
+            case 'select':
+                return container.querySelector(`input[data-question="${field.id}"]:checked`)?.value || '';
+            case 'number': {
+                const value = valueInput.value === '' ? null : Number(valueInput.value);
+                if (!field.units) return value;
+
+                const unit = container.querySelector(`[data-question="${field.id}"][data-role="unit"]`).value;
+                return value === null ? null : { value, unit };
+            }
+            case 'slider':
+                return Number(valueInput.value);
+            case 'text':
+                return valueInput.value.trim();
+            default:
+                return null;
+        }
     }
 
     /**
      * Setup event listeners for onboarding stage
      * @param {Object} question - Current question object
+     * @param {Object|null} step - Current step of a multi-step question
      */
-    setupOnboardingListeners(question) {
+    setupOnboardingListeners(question, step) {
         const nextBtn = document.getElementById('next-question');
         const prevBtn = document.getElementById('prev-question');
-        const inputs = document.querySelectorAll(`input[data-question="${question.id}"]`);
+        const field = step || question;
+        const inputs = document.querySelectorAll(`#question-options [data-question="${field.id}"]`);
         
-        // Handle input changes
+        // Handle input changes (typing in number/text fields and dragging sliders fire "input")
         inputs.forEach(input => {
+            input.addEventListener('input', () => {
+                this.handleAnswerChange(question, step);
+            });
             input.addEventListener('change', () => {
-                this.handleAnswerChange(question);
+                this.handleAnswerChange(question, step);
             });
         });
         
+        // Pre-filled answers and optional questions can continue straight away
+        this.handleAnswerChange(question, step);
+        
         // Next button
         nextBtn?.addEventListener('click', () => {
-            this.handleNextQuestion(question);
+            this.handleNextQuestion(question, step);
         });
         
         // Previous button
@@ -221,41 +499,45 @@ class AiGymBuddy {
     }
 
     /**
-     * Handle answer selection changes
+     * Handle answer changes: validate and enable the next button
      * @param {Object} question - Current question object
+     * @param {Object|null} step - Current step of a multi-step question
      */
-    handleAnswerChange(question) {
+    handleAnswerChange(question, step) {
         const nextBtn = document.getElementById('next-question');
-        const inputs = document.querySelectorAll(`input[data-question="${question.id}"]:checked`);
+        const errorText = document.getElementById('question-error');
+        const field = step || question;
+        const answer = this.readAnswer(field);
+        const validation = this.userProfile.validateAnswer(question.id, answer, step?.id);
+        
+        if (field.type === 'slider') {
+            document.getElementById('slider-value').textContent = `${answer}${field.suffix ? ` ${field.suffix}` : ''}`;
+        }
+        
+        // Only explain problems once the user has entered something
+        const hasInput = answer !== null && answer !== '' && !(Array.isArray(answer) && answer.length === 0);
+        errorText.textContent = !validation.valid && hasInput ? validation.error : '';
         
-        // Enable next button if answer selected
-        nextBtn.disabled = inputs.length === 0;
+        // Enable next button if the answer is valid
+        nextBtn.disabled = !validation.valid;
     }
 
     /**
      * Handle next question navigation
      * @param {Object} question - Current question object
+     * @param {Object|null} step - Current step of a multi-step question
      */
-    handleNextQuestion(question) {
-        const inputs = document.querySelectorAll(`input[data-question="${question.id}"]:checked`);
+    handleNextQuestion(question, step) {
+        const answer = this.readAnswer(step || question);
         
-        if (inputs.length === 0) {
-            alert('Please select an answer before continuing.');
+        // Save answer
+        if (!this.userProfile.setAnswer(question.id, answer, step?.id)) {
+            const validation = this.userProfile.validateAnswer(question.id, answer, step?.id);
+            document.getElementById('question-error').textContent = validation.error;
             return;
         }
         
-        // Get selected values
-        let answer;
-        if (question.type === 'checkbox') {
-            answer = Array.from(inputs).map(input => input.value);
-        } else {
-            answer = inputs[0].value;
-        }
-        
-        // Save answer
-        this.userProfile.setAnswer(question.id, answer);
-        
-        // Move to next question or complete onboarding
+        // Move to next step/question or complete onboarding
         const nextQuestion = this.userProfile.nextQuestion();
         if (nextQuestion) {
             this.renderOnboardingStage();
@@ -277,7 +559,7 @@ class AiGymBuddy {
                 <p>Great! Here's what I learned about you:</p>
                 
                 <div class="profile-summary">
-                    ${summary.split('\n').map(line => `<p><strong>${line}</strong></p>`).join('')}
+                    ${summary.split('\n').map(line => `<p><strong>${escapeHtml(line)}</strong></p>`).join('')}
                 </div>
                 
                 <p>I'm ready to help you achieve your fitness goals! Let's start chatting.</p>
@@ -297,6 +579,7 @@ class AiGymBuddy {
         });
         
         document.getElementById('start-chat').addEventListener('click', () => {
+            this.saveProfile();
             this.stageManager.nextStage();
         });
     }
@@ -307,24 +590,56 @@ class AiGymBuddy {
     renderChattingStage() {
         const profile = this.userProfile.getProfile();
         const name = profile.name || 'there';
+        const currentPersona = profile.preferences?.persona || config.defaultPersona;
         
         const html = `
             <div class="stage chatting-stage">
+                ${this.renderAccountBar()}
                 <div class="chat-header">
                     <h2>💬 Chat with Your AI Gym Buddy</h2>
                     <p>Ask me anything about fitness, workouts, or nutrition!</p>
+                    <label class="persona-picker">Coach style
+                        <select id="persona-select">
+                            ${config.coachPersonas.map(persona => `
+                                <option value="${persona.id}" title="${persona.description}" ${persona.id === currentPersona ? 'selected' : ''}>${persona.name}</option>
+                            `).join('')}
+                        </select>
+                    </label>
                 </div>
                 
-                <div class="chat-messages" id="chat-messages"></div>
-                
-                <div class="chat-input">
-                    <input type="text" id="message-input" placeholder="Type your fitness question here..." maxlength="500">
-                    <button class="btn" id="send-message">Send</button>
-                </div>
-                
-                <div class="chat-actions">
-                    <button class="btn" id="new-conversation">New Conversation</button>
-                    <button class="btn" id="edit-profile-chat">Edit Profile</button>
+                <div class="chat-layout">
+                    <aside class="thread-sidebar" id="thread-sidebar" aria-label="Conversation threads"></aside>
+                    
+                    <div class="chat-main">
+                        <div class="chat-messages" id="chat-messages"></div>
+                        
+                        <div class="chat-input">
+                            <input type="text" id="message-input" placeholder="Type your fitness question here..." maxlength="500">
+                            <button class="btn" id="send-message">Send</button>
+                            <button class="btn btn-stop" id="stop-generation" hidden>⏹ Stop</button>
+                        </div>
+                        
+                        <div class="chat-actions">
+                            <button class="btn" id="generate-plan">📋 Generate Plan</button>
+                            <button class="btn" id="nutrition-targets">🥗 Nutrition Targets</button>
+                            <button class="btn" id="log-workout">🏋️ Log Workout</button>
+                            <button class="btn" id="my-week">📅 My Week</button>
+                            <button class="btn" id="edit-profile-chat">Edit Profile</button>
+                        </div>
+                        
+                        <div class="chat-transfer">
+                            <label class="export-picker">Export as
+                                <select id="export-format">
+                                    <option value="markdown">Markdown</option>
+                                    <option value="json">JSON</option>
+                                    <option value="html">HTML</option>
+                                </select>
+                            </label>
+                            <button class="btn btn-small" id="export-chat">⬇️ Export Chat</button>
+                            <button class="btn btn-small" id="import-chat">⬆️ Import Chat</button>
+                            <input type="file" id="import-file" accept=".json,application/json" hidden>
+                        </div>
+                    </div>
                 </div>
             </div>
         `;
@@ -332,10 +647,30 @@ class AiGymBuddy {
         this.appContainer.innerHTML = html;
         
         // Initialize chat interface
-        this.chatInterface = new ChatInterface(this.userProfile);
-        this.chatInterface.initialize('chat-messages');
+        this.chatInterface = new ChatInterface(this.userProfile, {
+            onSchedulePlan: (plan) => this.schedulePlan(plan),
+            onConversationChange: () => this.threadSidebar.refresh(this.chatInterface.conversationId),
+            // Swap Send for Stop while a reply is being written
+            onLoadingChange: (loading) => {
+                document.getElementById('send-message').hidden = loading;
+                document.getElementById('stop-generation').hidden = !loading;
+            },
+            isOnline: () => this.connection.isOnline(),
+            onNetworkError: () => this.connection.check()
+        });
+        
+        // The sidebar highlights whichever thread the chat restored
+        this.chatInterface.initialize('chat-messages').then(() => {
+            this.threadSidebar.mount(document.getElementById('thread-sidebar'), this.chatInterface.conversationId);
+            
+            // Messages queued before a reload go out now if the backend is reachable
+            if (this.connection.isOnline()) {
+                this.chatInterface.flushQueue();
+            }
+        });
         
         this.setupChatListeners();
+        this.setupAccountListeners();
     }
 
     /**
@@ -344,14 +679,28 @@ class AiGymBuddy {
     setupChatListeners() {
         const messageInput = document.getElementById('message-input');
         const sendButton = document.getElementById('send-message');
-        const newConversationBtn = document.getElementById('new-conversation');
+        const stopButton = document.getElementById('stop-generation');
+        const generatePlanBtn = document.getElementById('generate-plan');
+        const nutritionBtn = document.getElementById('nutrition-targets');
+        const logWorkoutBtn = document.getElementById('log-workout');
+        const myWeekBtn = document.getElementById('my-week');
         const editProfileBtn = document.getElementById('edit-profile-chat');
+        const personaSelect = document.getElementById('persona-select');
+        const exportFormat = document.getElementById('export-format');
+        const exportBtn = document.getElementById('export-chat');
+        const importBtn = document.getElementById('import-chat');
+        const importFile = document.getElementById('import-file');
         
         // Send message on button click
         sendButton.addEventListener('click', () => {
             this.sendChatMessage();
         });
         
+        // Cancel the reply being written
+        stopButton.addEventListener('click', () => {
+            this.chatInterface.stop();
+        });
+        
         // Send message on Enter key
         messageInput.addEventListener('keypress', (e) => {
             if (e.key === 'Enter' && !e.shiftKey) {
@@ -360,16 +709,67 @@ class AiGymBuddy {
             }
         });
         
-        // New conversation
-        newConversationBtn.addEventListener('click', () => {
-            this.chatInterface.clearMessages();
-            this.chatInterface.addWelcomeMessage();
+        // Generate a structured plan (the typed text becomes extra instructions)
+        generatePlanBtn.addEventListener('click', () => {
+            this.generateWorkoutPlan();
+        });
+        
+        // Show calorie and macro targets for the profile
+        nutritionBtn.addEventListener('click', () => {
+            this.chatInterface.requestNutrition();
+        });
+        
+        // Switch coach persona (saved with the profile, applies from the next reply)
+        personaSelect.addEventListener('change', () => {
+            const persona = config.coachPersonas.find(item => item.id === personaSelect.value);
+            this.userProfile.setPreference('persona', persona.id);
+            this.saveProfile();
+            this.chatInterface.addMessage('system', `🎙️ Coach style: ${persona.name}. ${persona.description}.`);
+        });
+        
+        // Log a workout session
+        logWorkoutBtn.addEventListener('click', () => {
+            this.workoutLogger.open();
+        });
+        
+        // Show the scheduled sessions for this week
+        myWeekBtn.addEventListener('click', () => {
+            this.weekView.open();
+        });
+        
+        // Download the conversation in the chosen format
+        exportBtn.addEventListener('click', () => {
+            if (!this.chatInterface.downloadHistory(exportFormat.value)) {
+                alert('There is nothing to export yet.');
+            }
+        });
+        
+        // Restore a conversation from a JSON export
+        importBtn.addEventListener('click', () => {
+            importFile.click();
+        });
+        
+        importFile.addEventListener('change', async () => {
+            const file = importFile.files[0];
+            importFile.value = '';
+            if (!file || !confirm('Importing replaces the current conversation. Continue?')) {
+                return;
+            }
+            
+            try {
+                const count = await this.chatInterface.importHistory(file);
+                this.chatInterface.addMessage('system', `📥 Imported ${count} messages from ${file.name}.`);
+            } catch (error) {
+                console.error('❌ Import failed:', error);
+                alert(`Could not import the chat: ${error.message}`);
+            }
         });
         
         // Edit profile
         editProfileBtn.addEventListener('click', () => {
             if (confirm('Are you sure you want to edit your profile? This will start a new conversation.')) {
                 this.userProfile.reset();
+                this.chatInterface.setConversationId(null);
                 this.stageManager.setStage(config.stages.ONBOARDING);
             }
         });
@@ -406,6 +806,47 @@ class AiGymBuddy {
         }
     }
 
+    /**
+     * Generate a workout plan card in the chat
+     */
+    async generateWorkoutPlan() {
+        const messageInput = document.getElementById('message-input');
+        const planButton = document.getElementById('generate-plan');
+        
+        if (this.chatInterface.getIsLoading()) {
+            return;
+        }
+        
+        messageInput.disabled = true;
+        planButton.disabled = true;
+        planButton.textContent = 'Generating...';
+        
+        try {
+            await this.chatInterface.requestPlan(messageInput.value);
+            messageInput.value = '';
+        } catch (error) {
+            console.error('Error generating plan:', error);
+        } finally {
+            messageInput.disabled = false;
+            planButton.disabled = false;
+            planButton.textContent = '📋 Generate Plan';
+            messageInput.focus();
+        }
+    }
+
+    /**
+     * Put a plan from the chat on the calendar
+     * @param {Object} plan - Structured plan
+     */
+    async schedulePlan(plan) {
+        try {
+            await this.weekView.schedulePlan(plan, this.userProfile.getProfile());
+        } catch (error) {
+            console.error('❌ Failed to schedule plan:', error);
+            this.chatInterface?.addMessage('system', `Sorry, I couldn't schedule that plan: ${error.message}`);
+        }
+    }
+
     /**
      * Clean up current stage resources
      */
@@ -414,6 +855,10 @@ class AiGymBuddy {
         if (this.chatInterface) {
             // Chat cleanup if needed
         }
+        
+        this.workoutLogger.close();
+        this.weekView.close();
+        this.authDialog.close();
     }
 
     /**
@@ -0,0 +1,332 @@
+// Safe Markdown renderer for assistant messages
+// Supports headings, paragraphs, nested ordered/unordered lists, tables, fenced code,
+// blockquotes, horizontal rules, emphasis and links. All raw HTML in the input is escaped.
+
+// Link protocols that may be rendered as clickable links
+const SAFE_PROTOCOLS = ['http:', 'https:', 'mailto:'];
+
+const HEADING_PATTERN = /^(#{1,6})\s+(.+?)\s*#*\s*$/;
+const RULE_PATTERN = /^\s{0,3}([-*_])(\s*\1){2,}\s*$/;
+const FENCE_PATTERN = /^\s{0,3}(```|~~~)\s*([\w+-]*)\s*$/;
+const LIST_ITEM_PATTERN = /^(\s*)([-*+•]|\d{1,9}[.)])\s+(.*)$/;
+const QUOTE_PATTERN = /^\s{0,3}>\s?(.*)$/;
+const TABLE_SEPARATOR_PATTERN = /^\s*\|?\s*:?-{1,}:?\s*(\|\s*:?-{1,}:?\s*)*\|?\s*$/;
+
+/**
+ * Escape text for use in HTML content and attributes
+ * @param {string} text - Raw text
+ * @returns {string} Escaped text
+ */
+export function escapeHtml(text) {
+    return String(text)
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+}
+
+/**
+ * Return the URL if its protocol is allowed, otherwise null
+ * @param {string} url - URL from the Markdown source
+ * @returns {string|null} Safe URL or null
+ */
+function sanitizeUrl(url) {
+    try {
+        const parsed = new URL(url.trim());
+        return SAFE_PROTOCOLS.includes(parsed.protocol) ? parsed.href : null;
+    } catch {
+        // Relative URLs and garbage are not rendered as links
+        return null;
+    }
+}
+
+/**
+ * Apply bold, italic and strikethrough to already escaped text
+ * @param {string} html - Escaped text
+ * @returns {string} HTML
+ */
+function applyEmphasis(html) {
+    return html
+        .replace(/\*\*(?=\S)(.+?)\*\*/g, '<strong>$1</strong>')
+        .replace(/__(?=\S)(.+?)__/g, '<strong>$1</strong>')
+        .replace(/(^|[^*\w])\*(?=\S)([^*]+?)\*(?!\*)/g, '$1<em>$2</em>')
+        .replace(/(^|[^_\w])_(?=\S)([^_]+?)_(?!\w)/g, '$1<em>$2</em>')
+        .replace(/~~(?=\S)(.+?)~~/g, '<del>$1</del>');
+}
+
+/**
+ * Render inline Markdown (code spans, links, emphasis) in a single line of text
+ * @param {string} text - Raw text
+ * @returns {string} HTML
+ */
+function renderInline(text) {
+    const tokens = [];
+
+    // Finished HTML is swapped for placeholders so later steps can't touch it
+    const stash = (html) => `\u0000${tokens.push(html) - 1}\u0000`;
+
+    let output = String(text)
+        .replace(/\u0000/g, '')
+        .replace(/`([^`]+)`/g, (match, code) => stash(`<code>${escapeHtml(code)}</code>`))
+        .replace(/\[([^\]]+)\]\(\s*<?([^)\s>]+)>?(?:\s+"[^"]*")?\s*\)/g, (match, label, url) => {
+            const safeUrl = sanitizeUrl(url);
+            const labelHtml = applyEmphasis(escapeHtml(label));
+            return stash(safeUrl
+                ? `<a href="${escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer">${labelHtml}</a>`
+                : labelHtml);
+        })
+        .replace(/\bhttps?:\/\/[^\s<>()\u0000]+[^\s<>().,;:!?'"\u0000]/g, (url) => {
+            const safeUrl = sanitizeUrl(url);
+            return safeUrl
+                ? stash(`<a href="${escapeHtml(safeUrl)}" target="_blank" rel="noopener noreferrer">${escapeHtml(url)}</a>`)
+                : url;
+        });
+
+    output = applyEmphasis(escapeHtml(output));
+
+    return output.replace(/\u0000(\d+)\u0000/g, (match, index) => tokens[Number(index)]);
+}
+
+/**
+ * Split a table row into cell texts
+ * @param {string} line - Table row
+ * @returns {Array<string>} Cells
+ */
+function splitTableRow(line) {
+    return line
+        .trim()
+        .replace(/^\|/, '')
+        .replace(/\|$/, '')
+        .split(/(?<!\\)\|/)
+        .map(cell => cell.trim().replace(/\\\|/g, '|'));
+}
+
+/**
+ * Check whether a line starts a table (a row followed by a separator row)
+ * @param {Array<string>} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {boolean} True if a table starts here
+ */
+function isTableStart(lines, index) {
+    return lines[index].includes('|') &&
+        index + 1 < lines.length &&
+        lines[index + 1].includes('-') &&
+        TABLE_SEPARATOR_PATTERN.test(lines[index + 1]);
+}
+
+/**
+ * Check whether a line starts a block other than a paragraph
+ * @param {Array<string>} lines - All lines
+ * @param {number} index - Line to check
+ * @returns {boolean} True if a new block starts here
+ */
+function isBlockStart(lines, index) {
+    const line = lines[index];
+    return HEADING_PATTERN.test(line) ||
+        RULE_PATTERN.test(line) ||
+        FENCE_PATTERN.test(line) ||
+        LIST_ITEM_PATTERN.test(line) ||
+        QUOTE_PATTERN.test(line) ||
+        isTableStart(lines, index);
+}
+
+/**
+ * Render a table starting at the given line
+ * @param {Array<string>} lines - All lines
+ * @param {number} start - Header row index
+ * @returns {Object} { html, next }
+ */
+function renderTable(lines, start) {
+    const headers = splitTableRow(lines[start]);
+    const alignments = splitTableRow(lines[start + 1]).map(cell => {
+        if (cell.startsWith(':') && cell.endsWith(':')) return 'center';
+        if (cell.endsWith(':')) return 'right';
+        if (cell.startsWith(':')) return 'left';
+        return null;
+    });
+
+    const cell = (tag, text, column) => {
+        const align = alignments[column] ? ` style="text-align: ${alignments[column]}"` : '';
+        return `<${tag}${align}>${renderInline(text)}</${tag}>`;
+    };
+
+    let index = start + 2;
+    const rows = [];
+
+    while (index < lines.length && lines[index].trim() !== '' && lines[index].includes('|')) {
+        const cells = splitTableRow(lines[index]);
+        rows.push(`<tr>${headers.map((header, column) => cell('td', cells[column] || '', column)).join('')}</tr>`);
+        index++;
+    }
+
+    const head = `<tr>${headers.map((header, column) => cell('th', header, column)).join('')}</tr>`;
+    const body = rows.length > 0 ? `<tbody>${rows.join('')}</tbody>` : '';
+
+    return {
+        html: `<div class="md-table-wrapper"><table><thead>${head}</thead>${body}</table></div>`,
+        next: index
+    };
+}
+
+/**
+ * Render a (possibly nested) list starting at the given line
+ * Nesting follows indentation; indented non-item lines continue the previous item
+ * @param {Array<string>} lines - All lines
+ * @param {number} start - First list item index
+ * @returns {Object} { html, next }
+ */
+function renderList(lines, start) {
+    const root = { children: [] };
+    const stack = [{ indent: -1, list: null, owner: root }];
+    let index = start;
+    let lastItem = null;
+
+    while (index < lines.length) {
+        const line = lines[index];
+        const match = line.match(LIST_ITEM_PATTERN);
+
+        if (!match) {
+            if (line.trim() === '') {
+                // A blank line only continues the list if another item follows
+                let lookahead = index + 1;
+                while (lookahead < lines.length && lines[lookahead].trim() === '') lookahead++;
+                if (lookahead < lines.length && LIST_ITEM_PATTERN.test(lines[lookahead])) {
+                    index = lookahead;
+                    continue;
+                }
+                break;
+            }
+
+            // Indented text belongs to the previous item
+            if (lastItem && /^\s{2,}\S/.test(line) && !isBlockStart(lines, index)) {
+                lastItem.lines.push(line.trim());
+                index++;
+                continue;
+            }
+            break;
+        }
+
+        const indent = match[1].replace(/\t/g, '    ').length;
+        const marker = match[2];
+        const ordered = /^\d/.test(marker);
+
+        while (stack.length > 1 && indent < stack[stack.length - 1].indent) {
+            stack.pop();
+        }
+
+        let top = stack[stack.length - 1];
+        if (indent > top.indent) {
+            // Start a new list, nested under the previous item if there is one
+            const list = { ordered, start: ordered ? parseInt(marker, 10) : 1, items: [] };
+            const owner = top.list ? top.list.items[top.list.items.length - 1] : root;
+            owner.children.push(list);
+            top = { indent, list, owner };
+            stack.push(top);
+        }
+
+        lastItem = { lines: [match[3]], children: [] };
+        top.list.items.push(lastItem);
+        index++;
+    }
+
+    const renderLists = (lists) => lists.map(list => {
+        const tag = list.ordered ? 'ol' : 'ul';
+        const startAttr = list.ordered && list.start !== 1 ? ` start="${list.start}"` : '';
+        const items = list.items.map(item =>
+            `<li>${item.lines.map(renderInline).join('<br>')}${renderLists(item.children)}</li>`
+        ).join('');
+        return `<${tag}${startAttr}>${items}</${tag}>`;
+    }).join('');
+
+    return { html: renderLists(root.children), next: index };
+}
+
+/**
+ * Render Markdown to sanitized HTML
+ * @param {string} markdown - Markdown source (untrusted)
+ * @returns {string} HTML safe to assign to innerHTML
+ */
+export function renderMarkdown(markdown) {
+    const lines = String(markdown ?? '').replace(/\r\n?/g, '\n').split('\n');
+    const blocks = [];
+    let index = 0;
+
+    while (index < lines.length) {
+        const line = lines[index];
+
+        if (line.trim() === '') {
+            index++;
+            continue;
+        }
+
+        // Fenced code block
+        const fence = line.match(FENCE_PATTERN);
+        if (fence) {
+            const codeLines = [];
+            index++;
+            while (index < lines.length && !lines[index].trim().startsWith(fence[1])) {
+                codeLines.push(lines[index]);
+                index++;
+            }
+            index++; // Skip the closing fence
+            const language = fence[2] ? ` class="language-${escapeHtml(fence[2])}"` : '';
+            blocks.push(`<pre><code${language}>${escapeHtml(codeLines.join('\n'))}</code></pre>`);
+            continue;
+        }
+
+        // Heading
+        const heading = line.match(HEADING_PATTERN);
+        if (heading) {
+            const level = heading[1].length;
+            blocks.push(`<h${level}>${renderInline(heading[2])}</h${level}>`);
+            index++;
+            continue;
+        }
+
+        // Horizontal rule
+        if (RULE_PATTERN.test(line)) {
+            blocks.push('<hr>');
+            index++;
+            continue;
+        }
+
+        // Table
+        if (isTableStart(lines, index)) {
+            const table = renderTable(lines, index);
+            blocks.push(table.html);
+            index = table.next;
+            continue;
+        }
+
+        // List
+        if (LIST_ITEM_PATTERN.test(line)) {
+            const list = renderList(lines, index);
+            blocks.push(list.html);
+            index = list.next;
+            continue;
+        }
+
+        // Blockquote (rendered recursively)
+        if (QUOTE_PATTERN.test(line)) {
+            const quoteLines = [];
+            while (index < lines.length && QUOTE_PATTERN.test(lines[index])) {
+                quoteLines.push(lines[index].match(QUOTE_PATTERN)[1]);
+                index++;
+            }
+            blocks.push(`<blockquote>${renderMarkdown(quoteLines.join('\n'))}</blockquote>`);
+            continue;
+        }
+
+        // Paragraph: runs until a blank line or another block
+        const paragraphLines = [];
+        while (index < lines.length && lines[index].trim() !== '' &&
+            (paragraphLines.length === 0 || !isBlockStart(lines, index))) {
+            paragraphLines.push(lines[index].trim());
+            index++;
+        }
+        blocks.push(`<p>${paragraphLines.map(renderInline).join('<br>')}</p>`);
+    }
+
+    return blocks.join('');
+}
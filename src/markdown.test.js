@@ -0,0 +1,60 @@
+// Markdown renderer checks
+// Model output is untrusted: no raw HTML, no script URLs and no way out of an attribute
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { renderMarkdown } from './markdown.js';
+
+test('script and data links are rendered as plain text', () => {
+    [
+        '[click](javascript:alert(1))',
+        '[click](JavaScript:alert(1))',
+        '[click]( javascript:alert(1) )',
+        '[click](data:text/html;base64,PHNjcmlwdD5hbGVydCgxKTwvc2NyaXB0Pg==)',
+        '[click](vbscript:msgbox(1))'
+    ].forEach(markdown => {
+        const html = renderMarkdown(markdown);
+        assert.doesNotMatch(html, /<a\b/, markdown);
+        assert.match(html, /click/, markdown);
+    });
+});
+
+test('safe links open in a new tab without an opener', () => {
+    assert.equal(
+        renderMarkdown('[Guide](https://example.com/squat)'),
+        '<p><a href="https://example.com/squat" target="_blank" rel="noopener noreferrer">Guide</a></p>'
+    );
+    assert.match(renderMarkdown('See https://example.com/a.'), /<a href="https:\/\/example\.com\/a" [^>]*>https:\/\/example\.com\/a<\/a>\.<\/p>/);
+});
+
+test('raw HTML is escaped, never rendered', () => {
+    assert.equal(renderMarkdown('<script>alert(1)</script>'), '<p>&lt;script&gt;alert(1)&lt;/script&gt;</p>');
+    assert.equal(renderMarkdown('<img src=x onerror=alert(1)>'), '<p>&lt;img src=x onerror=alert(1)&gt;</p>');
+    assert.equal(renderMarkdown('```\n<script>alert(1)</script>\n```'), '<pre><code>&lt;script&gt;alert(1)&lt;/script&gt;</code></pre>');
+    assert.equal(renderMarkdown('`<b>bold</b>`'), '<p><code>&lt;b&gt;bold&lt;/b&gt;</code></p>');
+    assert.doesNotMatch(renderMarkdown('**<svg onload=alert(1)>**'), /<svg/);
+});
+
+test('quotes in a link URL cannot break out of the href', () => {
+    const html = renderMarkdown('[x](https://example.com/"onmouseover="alert(1))');
+    assert.doesNotMatch(html, /"\s*onmouseover/);
+    assert.match(html, /href="https:\/\/example\.com\/%22onmouseover=%22alert\(1"/);
+
+    const query = renderMarkdown('[x](https://example.com/?a=\'1\'&b=2)');
+    assert.match(query, /href="https:\/\/example\.com\/\?a=%271%27&amp;b=2"/);
+});
+
+test('nested lists keep their structure', () => {
+    assert.equal(
+        renderMarkdown('- Warm-up\n  - Bike\n    1. Easy\n    2. Hard\n- Lifts'),
+        '<ul><li>Warm-up<ul><li>Bike<ol><li>Easy</li><li>Hard</li></ol></li></ul></li><li>Lifts</li></ul>'
+    );
+});
+
+test('tables render with alignment and escaped cells', () => {
+    assert.equal(
+        renderMarkdown('| Lift | Sets |\n|---|:-:|\n| <i>Squat</i> | **3** |'),
+        '<div class="md-table-wrapper"><table><thead><tr><th>Lift</th><th style="text-align: center">Sets</th></tr></thead>' +
+        '<tbody><tr><td>&lt;i&gt;Squat&lt;/i&gt;</td><td style="text-align: center"><strong>3</strong></td></tr></tbody></table></div>'
+    );
+});
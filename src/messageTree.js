@@ -0,0 +1,173 @@
+// Conversation branch tree
+// Every message points at the message it follows; edits and regenerated replies become
+// siblings, so alternative answers are kept and the chat shows one path through the tree
+
+/**
+ * Create a message ID that is unique across devices
+ * @returns {string} Message ID
+ */
+export function createMessageId() {
+    if (typeof crypto !== 'undefined' && crypto.randomUUID) {
+        return crypto.randomUUID();
+    }
+    // crypto.randomUUID is only available in secure contexts
+    return `msg_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 10)}`;
+}
+
+/**
+ * MessageTree keeps the messages of one conversation and which branch is shown
+ */
+class MessageTree {
+    constructor() {
+        this.nodes = new Map();
+        // Parent ID (null for roots) -> IDs of its replies, oldest first
+        this.children = new Map();
+        // Parent ID -> ID of the reply currently shown
+        this.selected = new Map();
+    }
+
+    /**
+     * Build a tree from stored messages
+     * Messages saved before branching existed have no parentId and follow the previous message
+     * @param {Array} messages - Messages in the order they were saved
+     * @returns {MessageTree} Tree showing the most recent branch
+     */
+    static fromList(messages) {
+        const tree = new MessageTree();
+        messages.forEach((message, index) => {
+            const parentId = message.parentId !== undefined
+                ? message.parentId
+                : (messages[index - 1]?.id ?? null);
+            tree.add({ ...message, parentId });
+        });
+        return tree;
+    }
+
+    /**
+     * Add a message and show it (a new reply becomes the selected branch)
+     * An unknown parentId makes the message a root.
+     * @param {Object} message - Message with id and parentId (null for a root), stored as is
+     */
+    add(message) {
+        const parentId = this.nodes.has(message.parentId) ? message.parentId : null;
+        message.parentId = parentId;
+
+        this.nodes.set(message.id, message);
+        if (!this.children.has(parentId)) {
+            this.children.set(parentId, []);
+        }
+        this.children.get(parentId).push(message.id);
+        this.selected.set(parentId, message.id);
+    }
+
+    /**
+     * Get a message
+     * @param {string} id - Message ID
+     * @returns {Object|undefined} Message
+     */
+    get(id) {
+        return this.nodes.get(id);
+    }
+
+    /**
+     * Get the messages of the branch being shown, from the first message to the last
+     * @returns {Array} Messages
+     */
+    getPath() {
+        const path = [];
+        let id = this.selected.get(null);
+
+        while (id !== undefined) {
+            path.push(this.nodes.get(id));
+            id = this.selected.get(id);
+        }
+        return path;
+    }
+
+    /**
+     * Get the last message of the branch being shown
+     * @returns {Object|null} Message or null when empty
+     */
+    getLeaf() {
+        return this.getPath().at(-1) || null;
+    }
+
+    /**
+     * Get the alternatives a message sits between
+     * @param {string} id - Message ID
+     * @returns {Object} { index, count, ids } of the message among its siblings
+     */
+    getSiblings(id) {
+        const ids = this.children.get(this.nodes.get(id).parentId) || [];
+        return { index: ids.indexOf(id), count: ids.length, ids };
+    }
+
+    /**
+     * Show another branch
+     * @param {string} id - Message to show instead of its current sibling
+     */
+    select(id) {
+        this.selected.set(this.nodes.get(id).parentId, id);
+    }
+
+    /**
+     * Get a message and every reply below it
+     * @param {string} id - Message ID
+     * @returns {Array<string>} IDs
+     */
+    getSubtree(id) {
+        const ids = [id];
+        for (let i = 0; i < ids.length; i++) {
+            ids.push(...(this.children.get(ids[i]) || []));
+        }
+        return ids;
+    }
+
+    /**
+     * Get the messages that make up the turn started by a user message:
+     * the message, its shown reply and the alternatives of both.
+     * What follows the shown reply is kept.
+     * @param {string} id - User message ID
+     * @returns {Array<string>} IDs to delete
+     */
+    getTurn(id) {
+        const replyId = this.selected.get(id);
+        const reply = this.nodes.get(replyId);
+        const kept = reply?.role === 'assistant'
+            ? new Set((this.children.get(replyId) || []).flatMap(childId => this.getSubtree(childId)))
+            : new Set();
+
+        return this.getSubtree(id).filter(itemId => !kept.has(itemId));
+    }
+
+    /**
+     * Delete messages; replies to them move up to the closest remaining message
+     * Mirrors deleteMessages on the server
+     * @param {Array<string>} ids - Message IDs
+     */
+    remove(ids) {
+        const deleted = new Set(ids);
+        const remainingParent = (parentId) => {
+            let current = parentId;
+            while (current !== null && deleted.has(current)) {
+                current = this.nodes.get(current).parentId;
+            }
+            return current;
+        };
+
+        const path = new Set(this.getPath().map(message => message.id));
+        const remaining = [...this.nodes.values()]
+            .filter(message => !deleted.has(message.id))
+            .map(message => ({ ...message, parentId: remainingParent(message.parentId) }));
+
+        const tree = MessageTree.fromList(remaining);
+        // Keep showing what is left of the current branch
+        remaining.filter(message => path.has(message.id)).forEach(message => tree.select(message.id));
+
+        this.nodes = tree.nodes;
+        this.children = tree.children;
+        this.selected = tree.selected;
+    }
+}
+
+export default MessageTree;
@@ -0,0 +1,26 @@
+// Nutrition client
+// Talks to /api/nutrition to get calorie and macro targets for the profile
+
+import config from '../config.js';
+import { apiRequest } from './apiClient.js';
+
+/**
+ * NutritionService - Frontend client for nutrition targets
+ */
+class NutritionService {
+    /**
+     * Calculate daily calorie and macro targets
+     * The server uses the stored profile for signed-in users
+     * @param {Object} userProfile - User profile data
+     * @returns {Promise<Object>} Targets ({ bmr, tdee, calories, goal, adjustment, activity, macros })
+     */
+    async getTargets(userProfile) {
+        const data = await apiRequest(`${config.api.endpoints.nutrition}/targets`, {
+            method: 'POST',
+            body: JSON.stringify({ userProfile: userProfile || {} })
+        });
+        return data.targets;
+    }
+}
+
+export default NutritionService;
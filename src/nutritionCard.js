@@ -0,0 +1,60 @@
+// Nutrition targets card
+// Renders calorie and macro targets from /api/nutrition as a chat card
+
+import { createElement } from './dom.js';
+
+const MACROS = [
+    { key: 'protein', label: 'Protein' },
+    { key: 'carbs', label: 'Carbs' },
+    { key: 'fat', label: 'Fat' }
+];
+
+/**
+ * Render a nutrition targets card
+ * @param {Object} targets - Targets from the nutrition API
+ * @returns {HTMLElement} Card element
+ */
+export function createNutritionCard(targets) {
+    const card = createElement('div', 'nutrition-card');
+
+    card.appendChild(createElement('h3', 'nutrition-title', '🥗 Daily Nutrition Targets'));
+    card.appendChild(createElement('p', 'nutrition-calories', `${targets.calories} kcal`));
+    card.appendChild(createElement('p', 'nutrition-goal', `${targets.goal} (${targets.adjustment})`));
+
+    const macros = createElement('div', 'nutrition-macros');
+    MACROS.forEach(({ key, label }) => {
+        const macro = targets.macros[key];
+        const item = createElement('div', `nutrition-macro nutrition-macro-${key}`);
+        item.appendChild(createElement('span', 'nutrition-macro-grams', `${macro.grams} g`));
+        item.appendChild(createElement('span', 'nutrition-macro-label', `${label} · ${macro.percent}%`));
+        macros.appendChild(item);
+    });
+    card.appendChild(macros);
+
+    if (targets.warning) {
+        card.appendChild(createElement('p', 'nutrition-warning', `⚠️ ${targets.warning}`));
+    }
+
+    card.appendChild(createElement('p', 'nutrition-details',
+        `BMR ${targets.bmr} kcal · TDEE ${targets.tdee} kcal (${targets.activity.label}, ${targets.activity.daysPerWeek} training days/week) · ${targets.formula}`));
+    card.appendChild(createElement('p', 'nutrition-disclaimer',
+        'These are estimates. Adjust by 100-200 kcal if your weight trend over 2-3 weeks isn\'t what you expect.'));
+
+    return card;
+}
+
+/**
+ * Describe targets as plain text for the AI context and exports
+ * @param {Object} targets - Targets from the nutrition API
+ * @returns {string} Text version of the targets
+ */
+export function formatNutritionAsText(targets) {
+    const macros = MACROS.map(({ key, label }) => `${label}: ${targets.macros[key].grams} g`).join(', ');
+
+    return [
+        `Daily nutrition targets: ${targets.calories} kcal (${targets.goal}, ${targets.adjustment})`,
+        macros,
+        `BMR ${targets.bmr} kcal, TDEE ${targets.tdee} kcal (${targets.activity.label})`,
+        ...(targets.warning ? [targets.warning] : [])
+    ].join('\n');
+}
@@ -0,0 +1,132 @@
+// Offline support
+// Registers the service worker and tracks whether the backend can be reached
+
+import config from '../config.js';
+import Outbox from './outbox.js';
+
+/**
+ * Register the service worker that caches the app shell and API reads
+ * Only in production builds; in development it would serve stale modules.
+ * @returns {Promise<void>}
+ */
+export async function registerServiceWorker() {
+    if (!('serviceWorker' in navigator) || !import.meta.env.PROD) {
+        return;
+    }
+
+    try {
+        await navigator.serviceWorker.register(`${import.meta.env.BASE_URL}${config.offline.serviceWorker}`);
+
+        if (config.app.debug) {
+            console.log('📦 Service worker registered');
+        }
+    } catch (error) {
+        console.warn('⚠️ Service worker registration failed:', error.message);
+    }
+}
+
+/**
+ * Forget what was kept for offline use (e.g. after signing out):
+ * the cached API responses and any messages still queued
+ * @returns {Promise<void>}
+ */
+export async function clearOfflineData() {
+    new Outbox().clear();
+
+    if (typeof caches !== 'undefined') {
+        await caches.delete(config.offline.apiCache);
+    }
+}
+
+/**
+ * ConnectionMonitor knows whether the backend is reachable
+ * While offline it checks the health endpoint periodically and when the browser reports
+ * a connection, and tells its listeners when the state changes.
+ */
+class ConnectionMonitor {
+    /**
+     * @param {OpenAIService} openaiService - Provides checkHealth()
+     * @param {Object} [options]
+     * @param {number} [options.intervalMs] - Time between checks while offline
+     */
+    constructor(openaiService, { intervalMs = config.offline.healthCheckMs } = {}) {
+        this.openaiService = openaiService;
+        this.intervalMs = intervalMs;
+        this.online = true;
+        this.timer = null;
+        this.listeners = new Set();
+    }
+
+    /**
+     * Start watching the connection
+     * @param {boolean} online - Result of the first health check
+     */
+    start(online) {
+        window.addEventListener('online', () => this.check());
+        window.addEventListener('offline', () => this.setOnline(false));
+        this.setOnline(online);
+    }
+
+    /**
+     * Check the backend now
+     * @returns {Promise<boolean>} Whether it answered
+     */
+    async check() {
+        const online = await this.openaiService.checkHealth();
+        this.setOnline(online);
+        return online;
+    }
+
+    /**
+     * Update the state, polling while offline
+     * @param {boolean} online - Whether the backend is reachable
+     */
+    setOnline(online) {
+        if (online) {
+            clearInterval(this.timer);
+            this.timer = null;
+        } else if (!this.timer) {
+            this.timer = setInterval(() => this.check(), this.intervalMs);
+        }
+
+        if (online === this.online) {
+            return;
+        }
+
+        this.online = online;
+
+        if (config.app.debug) {
+            console.log(online ? '🌐 Back online' : '📴 Offline');
+        }
+
+        this.listeners.forEach(listener => {
+            try {
+                listener(online);
+            } catch (error) {
+                console.error('❌ Error in connection listener:', error);
+            }
+        });
+    }
+
+    /**
+     * Whether the backend is reachable
+     * @returns {boolean} Online state
+     */
+    isOnline() {
+        return this.online;
+    }
+
+    /**
+     * Add a listener for connection changes
+     * @param {Function} callback - Called with true when back online, false when offline
+     * @returns {Function} Unsubscribe function
+     */
+    addListener(callback) {
+        this.listeners.add(callback);
+        return () => {
+            this.listeners.delete(callback);
+        };
+    }
+}
+
+export default ConnectionMonitor;
@@ -4,6 +4,7 @@
 // Handles HTTP requests to server/index.js which talks to OpenAI
 
 import config from '../config.js';
+import { apiHeaders, createResponseError, fetchWithRetry } from './apiClient.js';
 
 /**
  * OpenAI Service - Frontend API client
@@ -27,9 +28,12 @@ class OpenAIService {
         try {
             const response = await fetch(`${this.baseURL}${config.api.endpoints.health}`, {
                 method: 'GET',
+                credentials: 'include',
                 headers: {
                     'Content-Type': 'application/json'
-                }
+                },
+                // A check may not outlast the interval between offline checks
+                signal: AbortSignal.timeout(config.offline.healthCheckMs)
             });
 
             if (response.ok) {
@@ -47,7 +51,8 @@ class OpenAIService {
             
         } catch (error) {
             this.isHealthy = false;
-            console.error('❌ Backend health check failed:', error);
+            // Expected while offline, the app keeps checking until the backend is back
+            console.warn('⚠️ Backend health check failed:', error.message);
             return false;
         }
     }
@@ -57,9 +62,14 @@ class OpenAIService {
      * @param {string} message - User's message
      * @param {Object} userProfile - User profile data
      * @param {Array} conversationHistory - Previous messages
+     * @param {Object} options
+     * @param {string} [options.conversationId] - Stored conversation, lets the server keep a rolling summary
+     * @param {string} [options.persona] - Coach persona ID
+     * @param {AbortSignal} [options.signal] - Cancels the request (Stop button)
+     * @param {Function} [options.onRetry] - Called before each automatic retry
      * @returns {Promise<Object>} API response
      */
-    async sendMessage(message, userProfile, conversationHistory = []) {
+    async sendMessage(message, userProfile, conversationHistory = [], { conversationId, persona, signal, onRetry } = {}) {
         try {
             // Validate inputs
             if (!message || typeof message !== 'string' || message.trim().length === 0) {
@@ -80,21 +90,28 @@ class OpenAIService {
                 });
             }
     
-            const response = await fetch(`${this.baseURL}${config.api.endpoints.chat}`, {
+            const response = await fetchWithRetry(`${this.baseURL}${config.api.endpoints.chat}`, {
                 method: 'POST',
-                headers: {
-                    'Content-Type': 'application/json'
-                },
+                credentials: 'include',
+                headers: apiHeaders(),
                 body: JSON.stringify({
                     messages,
-                    userProfile: userProfile || {}
+                    userProfile: userProfile || {},
+                    conversationId,
+                    persona
                 })
+            }, {
+                signal,
+                onRetry,
+                // The chat may have saved the message or run tools (e.g. logged a workout) before
+                // failing, so a 5xx is not retried
+                idempotent: false
             });
     
             // Handle HTTP errors
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.details || `HTTP ${response.status}: ${response.statusText}`);
+                throw createResponseError(response, errorData);
             }
     
             const data = await response.json();
@@ -116,17 +133,217 @@ class OpenAIService {
             return {
                 success: true,
                 message: aiMessage,
-                usage: data.usage || null
+                usage: data.usage || null,
+                context: data.context || null,
+                tools: data.tools || [],
+                meta: this.getResponseMeta(data)
             };
     
         } catch (error) {
-            console.error('❌ OpenAI Service Error:', error);
+            if (error.name !== 'AbortError') {
+                console.error('❌ OpenAI Service Error:', error);
+            }
             
+            return this.createErrorResult(error, 'Failed to get response from AI');
+        }
+    }
+
+    /**
+     * Pick the persona and prompt version the server reported for a reply
+     * @param {Object} data - Response body or final stream event
+     * @returns {Object|null} { persona, promptVersion } or null (e.g. screened replies)
+     */
+    getResponseMeta(data) {
+        if (!data.persona) {
+            return null;
+        }
+        return { persona: data.persona, promptVersion: data.promptVersion };
+    }
+
+    /**
+     * Send a message and stream the AI response as it is generated
+     * @param {string} message - User's message
+     * @param {Object} userProfile - User profile data
+     * @param {Array} conversationHistory - Previous messages
+     * @param {Function} onToken - Called with (delta, fullMessageSoFar) for each chunk
+     * @param {Object} options
+     * @param {string} [options.conversationId] - Stored conversation, lets the server keep a rolling summary
+     * @param {string} [options.persona] - Coach persona ID
+     * @param {Function} [options.onTool] - Called with each tool trace entry as the server runs tools
+     * @param {AbortSignal} [options.signal] - Cancels the request, also while streaming (Stop button)
+     * @param {Function} [options.onRetry] - Called before each automatic retry (only before streaming starts)
+     * @returns {Promise<Object>} Final result with the full message, tool trace and usage
+     */
+    async streamMessage(message, userProfile, conversationHistory = [], onToken = () => {}, { conversationId, persona, onTool = () => {}, signal, onRetry } = {}) {
+        try {
+            // Validate inputs
+            if (!message || typeof message !== 'string' || message.trim().length === 0) {
+                throw new Error('Message is required');
+            }
+
+            const messages = [
+                ...conversationHistory,
+                { role: 'user', content: message.trim() }
+            ];
+
+            if (config.app.debug) {
+                console.log('📤 Streaming message to backend:', {
+                    message: message.trim(),
+                    messagesCount: messages.length
+                });
+            }
+
+            const response = await fetchWithRetry(`${this.baseURL}${config.api.endpoints.chat}`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: {
+                    ...apiHeaders(),
+                    'Accept': 'text/event-stream'
+                },
+                body: JSON.stringify({
+                    messages,
+                    userProfile: userProfile || {},
+                    conversationId,
+                    persona,
+                    stream: true
+                })
+            }, {
+                signal,
+                onRetry,
+                // Not retried on 5xx, see sendMessage
+                idempotent: false
+            });
+
+            // Errors raised before streaming starts still come back as JSON
+            if (!response.ok) {
+                const errorData = await response.json().catch(() => ({}));
+                throw createResponseError(response, errorData);
+            }
+
+            let fullMessage = '';
+            let result = null;
+
+            await this.readEventStream(response, (event, data) => {
+                if (event === 'delta') {
+                    fullMessage += data.content;
+                    onToken(data.content, fullMessage);
+                } else if (event === 'tool') {
+                    onTool(data);
+                } else if (event === 'done') {
+                    result = data;
+                } else if (event === 'error') {
+                    throw new Error(data.details || data.error || 'Streaming failed');
+                }
+            });
+
+            if (!result) {
+                throw new Error('Stream ended before the response was complete');
+            }
+
+            if (config.app.debug) {
+                console.log('📥 Stream finished:', result.usage);
+            }
+
             return {
-                success: false,
-                error: error.message || 'Failed to get response from AI',
-                details: error.stack || null
+                success: true,
+                message: result.message ?? fullMessage,
+                usage: result.usage || null,
+                context: result.context || null,
+                tools: result.tools || [],
+                meta: this.getResponseMeta(result)
             };
+
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ OpenAI Service Error:', error);
+            }
+
+            return this.createErrorResult(error, 'Failed to get response from AI');
+        }
+    }
+
+    /**
+     * Read a Server-Sent Events response body and dispatch each event
+     * @param {Response} response - Fetch response with an event-stream body
+     * @param {Function} onEvent - Called with (eventName, parsedData)
+     */
+    async readEventStream(response, onEvent) {
+        const reader = response.body.getReader();
+        const decoder = new TextDecoder();
+        let buffer = '';
+
+        while (true) {
+            const { value, done } = await reader.read();
+            if (done) break;
+
+            buffer += decoder.decode(value, { stream: true });
+
+            // Events are separated by a blank line
+            let boundary;
+            while ((boundary = buffer.indexOf('\n\n')) !== -1) {
+                const rawEvent = buffer.slice(0, boundary);
+                buffer = buffer.slice(boundary + 2);
+
+                let eventName = 'message';
+                let data = '';
+                rawEvent.split('\n').forEach(line => {
+                    if (line.startsWith('event:')) {
+                        eventName = line.slice(6).trim();
+                    } else if (line.startsWith('data:')) {
+                        data += line.slice(5).trim();
+                    }
+                });
+
+                if (data) {
+                    onEvent(eventName, JSON.parse(data));
+                }
+            }
+        }
+    }
+
+    /**
+     * Generate a structured workout plan from the user profile
+     * @param {Object} userProfile - User profile data
+     * @param {string} [request] - Extra instructions (e.g. "3-day upper/lower split")
+     * @param {Object} [options]
+     * @param {AbortSignal} [options.signal] - Cancels the request (Stop button)
+     * @param {Function} [options.onRetry] - Called before each automatic retry
+     * @returns {Promise<Object>} { success, plan } or { success: false, error }
+     */
+    async generatePlan(userProfile, request, { signal, onRetry } = {}) {
+        try {
+            const response = await fetchWithRetry(`${this.baseURL}${config.api.endpoints.plans}`, {
+                method: 'POST',
+                credentials: 'include',
+                headers: apiHeaders(),
+                body: JSON.stringify({
+                    userProfile: userProfile || {},
+                    request
+                })
+            }, { signal, onRetry });
+
+            const data = await response.json().catch(() => ({}));
+
+            if (!response.ok || !data.success) {
+                throw createResponseError(response, data);
+            }
+
+            if (config.app.debug) {
+                console.log('📋 Received plan:', data.plan);
+            }
+
+            return {
+                success: true,
+                plan: data.plan,
+                usage: data.usage || null
+            };
+
+        } catch (error) {
+            if (error.name !== 'AbortError') {
+                console.error('❌ Plan generation error:', error);
+            }
+
+            return this.createErrorResult(error, 'Failed to generate plan');
         }
     }
 
@@ -165,6 +382,51 @@ class OpenAIService {
         return this.isHealthy;
     }
 
+    /**
+     * Build the failed result returned by the request methods
+     * @param {Error} error - The error object
+     * @param {string} fallback - Message when the error has none
+     * @returns {Object} { success: false, error, cancelled, status, retryAfter, code, details }
+     */
+    createErrorResult(error, fallback) {
+        // Stopped by the user, not a failure worth describing
+        if (error.name === 'AbortError') {
+            return { success: false, cancelled: true, error: 'Stopped' };
+        }
+
+        return {
+            success: false,
+            error: error.message ? this.getErrorMessage(error) : fallback,
+            status: error.status || null,
+            retryAfter: error.retryAfter || null,
+            code: error.code || null,
+            details: error.stack || null
+        };
+    }
+
+    /**
+     * Describe how long to wait before retrying
+     * @param {number} seconds - Seconds left
+     * @param {string} [code] - 'quota_exceeded' for the daily token quota
+     * @returns {string} User-friendly countdown message
+     */
+    getRetryMessage(seconds, code) {
+        if (seconds <= 0) {
+            return 'You can send messages again.';
+        }
+
+        const hours = Math.floor(seconds / 3600);
+        const minutes = Math.floor((seconds % 3600) / 60);
+        const secs = seconds % 60;
+        const wait = hours > 0
+            ? `${hours}h ${minutes}m`
+            : minutes > 0 ? `${minutes}m ${secs}s` : `${secs}s`;
+
+        return code === 'quota_exceeded'
+            ? `You've reached today's message quota. It resets in ${wait}.`
+            : `Too many requests. You can send another message in ${wait}.`;
+    }
+
     /**
      * Handle network errors with user-friendly messages
      * @param {Error} error - The error object
@@ -175,7 +437,11 @@ class OpenAIService {
             return 'Unable to connect to server. Please check your internet connection.';
         }
         
-        if (error.message.includes('429')) {
+        if (error.status === 429 && error.retryAfter) {
+            return this.getRetryMessage(error.retryAfter, error.code);
+        }
+        
+        if (error.status === 429 || error.message.includes('429')) {
             return 'Too many requests. Please wait a moment and try again.';
         }
         
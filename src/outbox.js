@@ -0,0 +1,89 @@
+// Outgoing message queue
+// Chat messages written while offline wait here (in localStorage, so they survive a reload)
+// until the backend can be reached again
+
+import config from '../config.js';
+import { createMessageId } from './messageTree.js';
+
+/**
+ * Outbox keeps the queued chat messages of every thread
+ */
+class Outbox {
+    /**
+     * @param {string} [storageKey] - localStorage key
+     */
+    constructor(storageKey = config.storage.outbox) {
+        this.storageKey = storageKey;
+    }
+
+    /**
+     * Get every queued message, oldest first
+     * @returns {Array} Items ({ id, conversationId, content, queuedAt })
+     */
+    getAll() {
+        try {
+            const items = JSON.parse(localStorage.getItem(this.storageKey));
+            return Array.isArray(items) ? items : [];
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable message queue:', error.message);
+            return [];
+        }
+    }
+
+    /**
+     * Get the messages queued in one thread
+     * @param {string|null} conversationId - Thread (null for a thread not saved yet)
+     * @returns {Array} Items, oldest first
+     */
+    getForThread(conversationId) {
+        return this.getAll().filter(item => item.conversationId === conversationId);
+    }
+
+    /**
+     * Queue a message
+     * @param {string|null} conversationId - Thread it was written in
+     * @param {string} content - Message text
+     * @returns {Object} The queued item
+     */
+    add(conversationId, content) {
+        const item = {
+            id: createMessageId(),
+            conversationId,
+            content,
+            queuedAt: new Date().toISOString()
+        };
+
+        this.save([...this.getAll(), item]);
+        return item;
+    }
+
+    /**
+     * Remove a message from the queue (sent or discarded)
+     * @param {string} id - Item ID
+     */
+    remove(id) {
+        this.save(this.getAll().filter(item => item.id !== id));
+    }
+
+    /**
+     * Discard every queued message (e.g. after signing out)
+     */
+    clear() {
+        localStorage.removeItem(this.storageKey);
+    }
+
+    /**
+     * Write the queue
+     * @param {Array} items - Items to keep
+     */
+    save(items) {
+        if (items.length === 0) {
+            this.clear();
+            return;
+        }
+
+        localStorage.setItem(this.storageKey, JSON.stringify(items));
+    }
+}
+
+export default Outbox;
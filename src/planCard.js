@@ -0,0 +1,101 @@
+// Workout plan card
+// Renders a structured plan from /api/plans as per-day tables
+
+import { createElement } from './dom.js';
+
+/**
+ * Build the table for one day of the plan
+ * @param {Object} day - Plan day ({ day, name, focus, exercises })
+ * @returns {HTMLElement} Day section
+ */
+function createDaySection(day) {
+    const section = createElement('section', 'plan-day');
+
+    const heading = createElement('h4', 'plan-day-title', `Day ${day.day}: ${day.name}`);
+    section.appendChild(heading);
+
+    if (day.focus) {
+        section.appendChild(createElement('p', 'plan-day-focus', day.focus));
+    }
+
+    const table = createElement('table', 'plan-table');
+    const headerRow = createElement('tr');
+    ['Exercise', 'Sets', 'Reps', 'Rest', 'Notes'].forEach(label => {
+        headerRow.appendChild(createElement('th', null, label));
+    });
+    table.appendChild(createElement('thead')).appendChild(headerRow);
+
+    const body = createElement('tbody');
+    day.exercises.forEach(exercise => {
+        const row = createElement('tr');
+        [exercise.name, String(exercise.sets), exercise.reps, exercise.rest, exercise.notes].forEach(value => {
+            row.appendChild(createElement('td', null, value || '—'));
+        });
+        body.appendChild(row);
+    });
+    table.appendChild(body);
+
+    section.appendChild(table);
+    return section;
+}
+
+/**
+ * Render a workout plan card
+ * @param {Object} plan - Plan matching the server's PLAN_SCHEMA
+ * @param {Object} [options]
+ * @param {Function} [options.onSchedule] - Adds an "Add to Calendar" button that calls this with the plan
+ * @returns {HTMLElement} Card element
+ */
+export function createPlanCard(plan, { onSchedule } = {}) {
+    const card = createElement('div', 'plan-card');
+
+    card.appendChild(createElement('h3', 'plan-title', `📋 ${plan.title}`));
+
+    if (plan.summary) {
+        card.appendChild(createElement('p', 'plan-summary', plan.summary));
+    }
+
+    plan.days.forEach(day => {
+        card.appendChild(createDaySection(day));
+    });
+
+    if (plan.notes) {
+        card.appendChild(createElement('p', 'plan-notes', plan.notes));
+    }
+
+    if (onSchedule) {
+        const button = createElement('button', 'btn btn-small', '📅 Add to Calendar');
+        button.type = 'button';
+        button.addEventListener('click', () => onSchedule(plan));
+        card.appendChild(button);
+    }
+
+    return card;
+}
+
+/**
+ * Describe a plan as plain text for the AI context and exports
+ * @param {Object} plan - Plan matching the server's PLAN_SCHEMA
+ * @returns {string} Text version of the plan
+ */
+export function formatPlanAsText(plan) {
+    const lines = [`Workout plan: ${plan.title}`];
+
+    if (plan.summary) {
+        lines.push(plan.summary);
+    }
+
+    plan.days.forEach(day => {
+        lines.push('', `Day ${day.day}: ${day.name}${day.focus ? ` (${day.focus})` : ''}`);
+        day.exercises.forEach(exercise => {
+            const notes = exercise.notes ? ` - ${exercise.notes}` : '';
+            lines.push(`- ${exercise.name}: ${exercise.sets} x ${exercise.reps}, rest ${exercise.rest}${notes}`);
+        });
+    });
+
+    if (plan.notes) {
+        lines.push('', `Notes: ${plan.notes}`);
+    }
+
+    return lines.join('\n');
+}
@@ -0,0 +1,120 @@
+// Profile persistence
+// Saves the onboarding profile to localStorage (anonymous) or the account (signed in),
+// tagging it with a schema version so older saved profiles can be migrated on load
+
+import config from '../config.js';
+
+// Bump when the saved profile shape changes and add a migration from the previous version
+export const PROFILE_SCHEMA_VERSION = 1;
+
+// Migrations keyed by the version they upgrade from; each returns the next version's shape
+// Version 1 is the first saved shape, so there is nothing to migrate yet
+const MIGRATIONS = {};
+
+/**
+ * Upgrade a saved profile to the current schema version
+ * @param {Object} stored - Saved profile ({ schemaVersion, ...fields })
+ * @returns {Object|null} Profile without the version tag, or null if it can't be used
+ */
+export function migrateProfile(stored) {
+    if (!stored || typeof stored !== 'object' || Array.isArray(stored)) {
+        return null;
+    }
+
+    let { schemaVersion, ...profile } = stored;
+
+    if (!Number.isInteger(schemaVersion) || schemaVersion > PROFILE_SCHEMA_VERSION) {
+        // Untagged, saved by a newer build or broken, don't guess at its shape
+        console.warn(`⚠️ Unsupported profile schema version: ${schemaVersion}`);
+        return null;
+    }
+
+    while (schemaVersion < PROFILE_SCHEMA_VERSION) {
+        const migrate = MIGRATIONS[schemaVersion];
+        if (!migrate) {
+            console.warn(`⚠️ No profile migration from version ${schemaVersion}`);
+            return null;
+        }
+
+        profile = migrate(profile);
+        schemaVersion++;
+
+        if (config.app.debug) {
+            console.log(`🔄 Migrated profile to schema version ${schemaVersion}`);
+        }
+    }
+
+    return profile;
+}
+
+/**
+ * ProfileStorage loads and saves the user's profile in the right place
+ */
+class ProfileStorage {
+    /**
+     * @param {AuthService} authService - Account client (decides local vs. account storage)
+     */
+    constructor(authService) {
+        this.authService = authService;
+    }
+
+    /**
+     * Load the saved profile
+     * A signed-in user without an account profile adopts the one saved on this device
+     * @returns {Promise<Object|null>} Migrated profile or null if none is saved
+     */
+    async load() {
+        if (this.authService.isSignedIn()) {
+            const accountProfile = migrateProfile(this.authService.user.profile);
+            if (accountProfile) {
+                return accountProfile;
+            }
+
+            const localProfile = this.loadLocal();
+            if (localProfile) {
+                await this.save(localProfile);
+            }
+            return localProfile;
+        }
+
+        return this.loadLocal();
+    }
+
+    /**
+     * Save the profile with the current schema version
+     * @param {Object} profile - Profile from UserProfile.getProfile()
+     * @returns {Promise<void>}
+     */
+    async save(profile) {
+        const stored = { schemaVersion: PROFILE_SCHEMA_VERSION, ...profile };
+
+        if (this.authService.isSignedIn()) {
+            await this.authService.saveProfile(stored);
+            return;
+        }
+
+        localStorage.setItem(config.storage.profile, JSON.stringify(stored));
+    }
+
+    /**
+     * Forget the profile saved on this device
+     */
+    clearLocal() {
+        localStorage.removeItem(config.storage.profile);
+    }
+
+    /**
+     * Read the profile saved on this device
+     * @returns {Object|null} Migrated profile or null
+     */
+    loadLocal() {
+        try {
+            return migrateProfile(JSON.parse(localStorage.getItem(config.storage.profile)));
+        } catch (error) {
+            console.warn('⚠️ Ignoring unreadable saved profile:', error.message);
+            return null;
+        }
+    }
+}
+
+export default ProfileStorage;
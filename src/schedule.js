@@ -0,0 +1,107 @@
+// Schedule client
+// Talks to /api/schedule to put plans on the calendar, update sessions and export .ics files
+
+import config from '../config.js';
+import { apiRequest, apiHeaders, createResponseError } from './apiClient.js';
+import { downloadBlob } from './download.js';
+
+/**
+ * Format a date as the local YYYY-MM-DD the schedule API uses
+ * @param {Date} [date] - Date (defaults to now)
+ * @returns {string} Local date
+ */
+export function toLocalDate(date = new Date()) {
+    const pad = (value) => String(value).padStart(2, '0');
+    return `${date.getFullYear()}-${pad(date.getMonth() + 1)}-${pad(date.getDate())}`;
+}
+
+/**
+ * ScheduleService - Frontend client for the training calendar
+ * Every call sends the local date so "missed" matches the user's day, not the server's
+ */
+class ScheduleService {
+    /**
+     * Get the current schedule
+     * @returns {Promise<Object|null>} Schedule or null if none
+     */
+    async get() {
+        const data = await apiRequest(`${config.api.endpoints.schedule}?today=${toLocalDate()}`);
+        return data.schedule;
+    }
+
+    /**
+     * Put a plan on the calendar, replacing the current schedule
+     * @param {Object} plan - Structured plan from /api/plans
+     * @param {Object} userProfile - User profile data (training days, time of day, session length)
+     * @param {Object} options
+     * @param {number} [options.weeks] - Number of weeks to schedule
+     * @returns {Promise<Object>} Schedule
+     */
+    async create(plan, userProfile, { weeks } = {}) {
+        const data = await apiRequest(config.api.endpoints.schedule, {
+            method: 'POST',
+            body: JSON.stringify({ plan, userProfile: userProfile || {}, weeks, today: toLocalDate() })
+        });
+        return data.schedule;
+    }
+
+    /**
+     * Mark a session as done, skipped or planned
+     * @param {string} id - Session ID
+     * @param {string} status - 'planned', 'done' or 'skipped'
+     * @returns {Promise<Object>} Updated schedule
+     */
+    async setStatus(id, status) {
+        const data = await apiRequest(`${config.api.endpoints.schedule}/sessions/${encodeURIComponent(id)}`, {
+            method: 'PATCH',
+            body: JSON.stringify({ status, today: toLocalDate() })
+        });
+        return data.schedule;
+    }
+
+    /**
+     * Move a session to a date, or the first training day from today
+     * @param {string} id - Session ID
+     * @param {string} [date] - New YYYY-MM-DD date
+     * @returns {Promise<Object>} Updated schedule
+     */
+    async reschedule(id, date) {
+        const data = await apiRequest(`${config.api.endpoints.schedule}/sessions/${encodeURIComponent(id)}/reschedule`, {
+            method: 'POST',
+            body: JSON.stringify({ date, today: toLocalDate() })
+        });
+        return data.schedule;
+    }
+
+    /**
+     * Move every missed session to the next training days
+     * @returns {Promise<Object>} { schedule, moved }
+     */
+    async rescheduleMissed() {
+        const data = await apiRequest(`${config.api.endpoints.schedule}/reschedule-missed`, {
+            method: 'POST',
+            body: JSON.stringify({ today: toLocalDate() })
+        });
+        return { schedule: data.schedule, moved: data.moved };
+    }
+
+    /**
+     * Download the schedule as an .ics file
+     * @returns {Promise<void>}
+     */
+    async downloadCalendar() {
+        const response = await fetch(`${config.api.baseURL}${config.api.endpoints.schedule}/calendar.ics`, {
+            credentials: 'include',
+            headers: apiHeaders()
+        });
+
+        if (!response.ok) {
+            const data = await response.json().catch(() => ({}));
+            throw createResponseError(response, data);
+        }
+
+        downloadBlob(await response.blob(), 'gym-buddy-schedule.ics');
+    }
+}
+
+export default ScheduleService;
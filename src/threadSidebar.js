@@ -0,0 +1,212 @@
+// Conversation threads sidebar
+// Lists the stored threads and lets the user create, rename, switch and delete them
+
+import ConversationService from './conversations.js';
+import config from '../config.js';
+import { createElement } from './dom.js';
+
+/**
+ * ThreadSidebar renders the list of coaching threads next to the chat
+ */
+class ThreadSidebar {
+    /**
+     * @param {Object} options
+     * @param {Function} options.onSelect - Called with a thread ID when the user opens it (may be async)
+     * @param {Function} options.onCreate - Called when the user starts a new thread
+     * @param {Function} options.onDeleteActive - Called after the open thread was deleted
+     */
+    constructor({ onSelect, onCreate, onDeleteActive }) {
+        this.conversationService = new ConversationService();
+        this.onSelect = onSelect;
+        this.onCreate = onCreate;
+        this.onDeleteActive = onDeleteActive;
+        this.container = null;
+        this.threads = [];
+        this.activeId = null;
+    }
+
+    /**
+     * Render the sidebar into a container and load the threads
+     * @param {HTMLElement} container - Sidebar element
+     * @param {string|null} activeId - Thread open in the chat
+     * @returns {Promise<void>}
+     */
+    async mount(container, activeId) {
+        this.container = container;
+        this.activeId = activeId;
+        this.container.innerHTML = `
+            <div class="thread-sidebar-header">
+                <h3>Threads</h3>
+                <button class="btn btn-small" type="button" id="new-conversation">➕ New</button>
+            </div>
+            <p class="form-error" id="thread-error"></p>
+            <ul class="thread-list" id="thread-list"></ul>
+        `;
+
+        this.container.querySelector('#new-conversation').addEventListener('click', () => {
+            this.run(async () => {
+                await this.onCreate();
+                this.setActive(null);
+            });
+        });
+
+        // Thread buttons carry their action and thread ID
+        this.container.querySelector('#thread-list').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, threadId } = button.dataset;
+            if (action === 'open') {
+                this.run(async () => {
+                    await this.onSelect(threadId);
+                    this.setActive(threadId);
+                });
+            } else if (action === 'rename') {
+                this.run(() => this.rename(threadId));
+            } else if (action === 'delete') {
+                this.run(() => this.remove(threadId));
+            }
+        });
+
+        await this.refresh();
+    }
+
+    /**
+     * Reload the thread list from the server
+     * @param {string|null} [activeId] - Thread open in the chat (unchanged when omitted)
+     * @returns {Promise<void>}
+     */
+    async refresh(activeId = this.activeId) {
+        this.activeId = activeId;
+
+        try {
+            this.threads = await this.conversationService.list();
+            this.showError('');
+        } catch (error) {
+            console.warn('⚠️ Could not load threads:', error.message);
+            this.showError('Could not load your threads.');
+        }
+        this.render();
+    }
+
+    /**
+     * Highlight the thread open in the chat
+     * @param {string|null} id - Conversation ID (null for a thread that isn't saved yet)
+     */
+    setActive(id) {
+        this.activeId = id;
+        this.render();
+    }
+
+    /**
+     * Run a sidebar action, showing errors above the list
+     * @param {Function} action - Async work
+     * @returns {Promise<void>}
+     */
+    async run(action) {
+        this.showError('');
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('❌ Thread error:', error);
+            this.showError(error.message);
+        }
+    }
+
+    /**
+     * Ask for a new title and rename a thread
+     * @param {string} id - Conversation ID
+     * @returns {Promise<void>}
+     */
+    async rename(id) {
+        const thread = this.threads.find(item => item.id === id);
+        const title = prompt('Rename thread', thread?.title || '')?.trim();
+        if (!title || title === thread?.title) {
+            return;
+        }
+
+        await this.conversationService.rename(id, title);
+        await this.refresh();
+    }
+
+    /**
+     * Delete a thread after confirmation
+     * @param {string} id - Conversation ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        const thread = this.threads.find(item => item.id === id);
+        if (!confirm(`Delete "${thread?.title || 'this thread'}"? This can't be undone.`)) {
+            return;
+        }
+
+        await this.conversationService.remove(id);
+
+        if (config.app.debug) {
+            console.log('🗑️ Deleted thread:', id);
+        }
+
+        if (id === this.activeId) {
+            await this.onDeleteActive();
+            this.activeId = null;
+        }
+        await this.refresh();
+    }
+
+    /**
+     * Show a message above the thread list
+     * @param {string} message - Message ('' clears it)
+     */
+    showError(message) {
+        const errorText = this.container?.querySelector('#thread-error');
+        if (errorText) errorText.textContent = message;
+    }
+
+    /**
+     * Render the thread list
+     */
+    render() {
+        const list = this.container?.querySelector('#thread-list');
+        if (!list) return;
+
+        list.innerHTML = '';
+
+        if (this.activeId === null) {
+            // The new thread only exists on the server once its first message is saved
+            const item = createElement('li', 'thread-item thread-item-active');
+            item.appendChild(createElement('span', 'thread-title', 'New Conversation'));
+            list.appendChild(item);
+        }
+
+        this.threads.forEach(thread => {
+            const active = thread.id === this.activeId;
+            const item = createElement('li', `thread-item${active ? ' thread-item-active' : ''}`);
+
+            const open = createElement('button', 'thread-open');
+            open.type = 'button';
+            open.dataset.action = 'open';
+            open.dataset.threadId = thread.id;
+            open.title = thread.title;
+            if (active) open.setAttribute('aria-current', 'true');
+            open.appendChild(createElement('span', 'thread-title', thread.title));
+            open.appendChild(createElement('span', 'thread-meta',
+                `${thread.messageCount} messages · ${new Date(thread.updatedAt).toLocaleDateString()}`));
+            item.appendChild(open);
+
+            [['rename', '✏️', 'Rename'], ['delete', '🗑️', 'Delete']].forEach(([action, icon, label]) => {
+                const button = createElement('button', 'thread-action', icon);
+                button.type = 'button';
+                button.dataset.action = action;
+                button.dataset.threadId = thread.id;
+                button.setAttribute('aria-label', `${label} ${thread.title}`);
+                button.title = label;
+                item.appendChild(button);
+            });
+
+            list.appendChild(item);
+        });
+    }
+}
+
+export default ThreadSidebar;
@@ -0,0 +1,49 @@
+// Tool trace details
+// Renders the server-side tool calls behind a reply as a collapsible section
+
+import { createElement } from './dom.js';
+
+// Friendly names for the server's chat tools
+const TOOL_LABELS = {
+    search_exercises: 'Exercise search',
+    calculate_nutrition: 'Nutrition calculator',
+    get_recent_workouts: 'Workout history',
+    log_workout: 'Workout logger'
+};
+
+/**
+ * Get the display name of a tool
+ * @param {string} name - Tool name from the server
+ * @returns {string} Display name
+ */
+export function getToolLabel(name) {
+    return TOOL_LABELS[name] || name;
+}
+
+/**
+ * Render the tool calls made for a reply
+ * @param {Array} tools - Trace entries ({ name, arguments, output, error, durationMs })
+ * @returns {HTMLElement} Collapsed <details> element
+ */
+export function createToolTrace(tools) {
+    const details = createElement('details', 'tool-trace');
+    const count = tools.length === 1 ? '1 tool' : `${tools.length} tools`;
+    details.appendChild(createElement('summary', null, `🔧 Used ${count}: ${[...new Set(tools.map(tool => getToolLabel(tool.name)))].join(', ')}`));
+
+    tools.forEach(tool => {
+        const item = createElement('div', `tool-call${tool.error ? ' tool-call-error' : ''}`);
+
+        const status = tool.error ? '⚠️' : '✅';
+        item.appendChild(createElement('div', 'tool-call-name', `${status} ${getToolLabel(tool.name)} (${tool.durationMs} ms)`));
+
+        const args = tool.arguments && Object.keys(tool.arguments).length > 0
+            ? JSON.stringify(tool.arguments, null, 2)
+            : 'No arguments';
+        item.appendChild(createElement('pre', 'tool-call-arguments', args));
+        item.appendChild(createElement('pre', 'tool-call-output', tool.error || tool.output));
+
+        details.appendChild(item);
+    });
+
+    return details;
+}
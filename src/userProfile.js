@@ -1,8 +1,52 @@
 // Manage user profile during the onboarding process// Manage user profile data and onboarding questions
-// Collects: goals, fitness level, equipment, workout time
+// Collects: name, goals, fitness level, body metrics, equipment, workout time, plus any follow-up questions from config
 
 import config from '../config.js';
 
+// Answers every completed profile must have; a profile saved before a question was added
+// here loads as incomplete, so onboarding asks for the missing answers
+const REQUIRED_FIELDS = ['name', 'goals', 'level', 'bodyMetrics', 'conditions', 'equipment', 'time', 'schedule'];
+
+// Answers with their own line at the top of the summary (the rest are listed after them)
+const SUMMARY_FIELDS = ['name', 'goals', 'level', 'equipment', 'time'];
+
+/**
+ * Check whether an answer counts as "not answered"
+ * @param {any} answer - Answer value
+ * @returns {boolean} True if empty
+ */
+function isEmptyAnswer(answer) {
+    if (answer === undefined || answer === null || answer === '') return true;
+    if (Array.isArray(answer)) return answer.length === 0;
+    if (typeof answer === 'object' && 'value' in answer) return isEmptyAnswer(answer.value);
+    if (typeof answer === 'string') return answer.trim().length === 0;
+    return false;
+}
+
+/**
+ * Check whether an earlier answer satisfies a showIf condition
+ * @param {any} answer - Answer to the referenced question
+ * @param {Object} condition - { question, equals | includes | oneOf }
+ * @returns {boolean} True if the condition holds
+ */
+function matchesCondition(answer, condition) {
+    if (isEmptyAnswer(answer)) return false;
+
+    if ('equals' in condition) {
+        return answer === condition.equals;
+    }
+    if ('includes' in condition) {
+        return Array.isArray(answer) ? answer.includes(condition.includes) : answer === condition.includes;
+    }
+    if ('oneOf' in condition) {
+        const answers = Array.isArray(answer) ? answer : [answer];
+        return answers.some(value => condition.oneOf.includes(value));
+    }
+
+    console.warn('⚠️ Unknown showIf condition:', condition);
+    return false;
+}
+
 /**
  * UserProfile manages user data collection during onboarding
  * and provides the collected data for personalized AI responses
@@ -10,7 +54,24 @@ import config from '../config.js';
 class UserProfile {
     constructor() {
         // Initialize empty profile
-        this.profile = {
+        this.profile = this.createEmptyProfile();
+
+        // Track onboarding progress (step index is used by multi-step questions)
+        this.currentQuestionIndex = 0;
+        this.currentStepIndex = 0;
+        this.isComplete = false;
+
+        if (config.app.debug) {
+            console.log('👤 UserProfile initialized');
+        }
+    }
+
+    /**
+     * Build an empty profile
+     * @returns {Object} Profile with default values
+     */
+    createEmptyProfile() {
+        return {
             name: '',
             goals: [],
             level: '',
@@ -19,14 +80,46 @@ class UserProfile {
             preferences: {},
             completedAt: null
         };
-        
-        // Track onboarding progress
-        this.currentQuestionIndex = 0;
-        this.isComplete = false;
-        
-        if (config.app.debug) {
-            console.log('👤 UserProfile initialized');
+    }
+
+    /**
+     * Check whether a question should be asked given the answers so far
+     * @param {Object} question - Question object
+     * @returns {boolean} True if visible
+     */
+    isQuestionVisible(question) {
+        if (!question.showIf) {
+            return true;
+        }
+
+        const conditions = Array.isArray(question.showIf) ? question.showIf : [question.showIf];
+        return conditions.every(condition => matchesCondition(this.profile[condition.question], condition));
+    }
+
+    /**
+     * Get the questions that apply to this user
+     * @returns {Array<Object>} Visible questions in order
+     */
+    getVisibleQuestions() {
+        return config.onboarding.questions.filter(question => this.isQuestionVisible(question));
+    }
+
+    /**
+     * Find the next visible question index in a direction
+     * @param {number} from - Index to start from (exclusive)
+     * @param {number} direction - 1 for forward, -1 for backward
+     * @returns {number} Question index or -1
+     */
+    findVisibleIndex(from, direction) {
+        const questions = config.onboarding.questions;
+
+        for (let index = from + direction; index >= 0 && index < questions.length; index += direction) {
+            if (this.isQuestionVisible(questions[index])) {
+                return index;
+            }
         }
+
+        return -1;
     }
 
     /**
@@ -35,77 +128,113 @@ class UserProfile {
      */
     getCurrentQuestion() {
         const questions = config.onboarding.questions;
-        
+
         if (this.currentQuestionIndex >= questions.length) {
             return null;
         }
-        
+
         return questions[this.currentQuestionIndex];
     }
 
+    /**
+     * Get the current step of a multi-step question
+     * @returns {Object|null} Step object, or null if the current question has no steps
+     */
+    getCurrentStep() {
+        const question = this.getCurrentQuestion();
+        return question?.type === 'multi-step' ? question.steps[this.currentStepIndex] : null;
+    }
+
+    /**
+     * Get the saved answer for a question (or one of its steps)
+     * @param {string} questionId - Question ID
+     * @param {string} [stepId] - Step ID for multi-step questions
+     * @returns {any} Answer or undefined
+     */
+    getAnswer(questionId, stepId = null) {
+        const answer = this.profile[questionId];
+        return stepId ? answer?.[stepId] : answer;
+    }
+
     /**
      * Check if there are more questions
      * @returns {boolean} True if more questions exist
      */
     hasNextQuestion() {
-        return this.currentQuestionIndex < config.onboarding.questions.length - 1;
+        return this.findVisibleIndex(this.currentQuestionIndex, 1) !== -1;
     }
 
     /**
-     * Move to the next question
+     * Move to the next step or question, skipping questions whose conditions don't match
      * @returns {Object|null} Next question or null if no more questions
      */
     nextQuestion() {
+        const question = this.getCurrentQuestion();
+
+        if (question?.type === 'multi-step' && this.currentStepIndex < question.steps.length - 1) {
+            this.currentStepIndex++;
+            return question;
+        }
+
         if (this.hasNextQuestion()) {
-            this.currentQuestionIndex++;
+            this.currentQuestionIndex = this.findVisibleIndex(this.currentQuestionIndex, 1);
+            this.currentStepIndex = 0;
             return this.getCurrentQuestion();
         }
-        
+
         // Mark as complete when all questions are answered
         this.markComplete();
         return null;
     }
 
     /**
-     * Go back to previous question
+     * Go back to the previous step or question
      * @returns {Object|null} Previous question or null if at first question
      */
     previousQuestion() {
-        if (this.currentQuestionIndex > 0) {
-            this.currentQuestionIndex--;
+        if (this.currentStepIndex > 0) {
+            this.currentStepIndex--;
             return this.getCurrentQuestion();
         }
+
+        const previousIndex = this.findVisibleIndex(this.currentQuestionIndex, -1);
+        if (previousIndex !== -1) {
+            this.currentQuestionIndex = previousIndex;
+
+            // Re-enter a multi-step question at its last step
+            const question = this.getCurrentQuestion();
+            this.currentStepIndex = question.type === 'multi-step' ? question.steps.length - 1 : 0;
+            return question;
+        }
         return null;
     }
 
     /**
      * Set answer for a specific question
-     * @param {string} questionId - The question ID (goals, level, equipment, time)
-     * @param {string|Array} answer - The user's answer
+     * @param {string} questionId - The question ID (goals, level, equipment, time, ...)
+     * @param {any} answer - The user's answer
+     * @param {string} [stepId] - Step ID when answering one step of a multi-step question
      * @returns {boolean} Success status
      */
-    setAnswer(questionId, answer) {
+    setAnswer(questionId, answer, stepId = null) {
         try {
-            // Validate question exists
-            const validIds = config.onboarding.questions.map(q => q.id);
-            if (!validIds.includes(questionId)) {
-                console.error(`❌ Invalid question ID: ${questionId}`);
+            const validation = this.validateAnswer(questionId, answer, stepId);
+            if (!validation.valid) {
+                console.warn(`⚠️ Invalid answer for ${stepId ? `${questionId}.${stepId}` : questionId}: ${validation.error}`);
                 return false;
             }
 
-            // Validate answer is not empty
-            if (!answer || (Array.isArray(answer) && answer.length === 0)) {
-                console.warn(`⚠️ Empty answer for question: ${questionId}`);
-                return false;
+            // Set the answer
+            if (stepId) {
+                this.profile[questionId] = { ...this.profile[questionId], [stepId]: answer };
+            } else {
+                this.profile[questionId] = answer;
             }
 
-            // Set the answer
-            this.profile[questionId] = answer;
-            
             if (config.app.debug) {
-                console.log(`✅ Set ${questionId}:`, answer);
+                console.log(`✅ Set ${stepId ? `${questionId}.${stepId}` : questionId}:`, answer);
             }
-            
+
             return true;
         } catch (error) {
             console.error('❌ Error setting answer:', error);
@@ -123,16 +252,29 @@ class UserProfile {
             console.warn('⚠️ Invalid name provided');
             return false;
         }
-        
+
         this.profile.name = name.trim();
-        
+
         if (config.app.debug) {
             console.log(`✅ Set name: ${this.profile.name}`);
         }
-        
+
         return true;
     }
 
+    /**
+     * Set a preference that isn't part of onboarding (e.g. the coach persona)
+     * @param {string} key - Preference name
+     * @param {any} value - Preference value
+     */
+    setPreference(key, value) {
+        this.profile.preferences = { ...this.profile.preferences, [key]: value };
+
+        if (config.app.debug) {
+            console.log(`✅ Set preference ${key}:`, value);
+        }
+    }
+
     /**
      * Get the complete user profile
      * @returns {Object} Copy of the user profile
@@ -155,18 +297,16 @@ class UserProfile {
      * @returns {boolean} True if profile is complete
      */
     checkIfComplete() {
-        const requiredFields = ['goals', 'level', 'equipment', 'time'];
-        
-        const isComplete = requiredFields.every(field => {
-            const value = this.profile[field];
-            
-            // For arrays, check if not empty
-            if (Array.isArray(value)) {
-                return value.length > 0;
+        const isComplete = REQUIRED_FIELDS.every(field => {
+            const question = config.onboarding.questions.find(item => item.id === field);
+            const answer = this.profile[field];
+
+            // Multi-step questions need an answer for every step
+            if (question?.type === 'multi-step') {
+                return question.steps.every(step => !isEmptyAnswer(answer?.[step.id]));
             }
-            
-            // For strings, check if not empty
-            return value && value.toString().trim().length > 0;
+
+            return !isEmptyAnswer(answer);
         });
 
         this.isComplete = isComplete;
@@ -175,60 +315,129 @@ class UserProfile {
 
     /**
      * Mark profile as complete
+     * Answers to questions that no longer apply (e.g. goals changed after going back) are dropped
      */
     markComplete() {
+        config.onboarding.questions.forEach(question => {
+            if (!this.isQuestionVisible(question)) {
+                delete this.profile[question.id];
+            }
+        });
+
         this.isComplete = true;
         this.profile.completedAt = new Date().toISOString();
-        
+
         if (config.app.debug) {
             console.log('🎉 Profile marked as complete');
         }
     }
 
+    /**
+     * Replace the profile with one stored elsewhere (e.g. on the user's account)
+     * @param {Object} profile - Stored profile
+     * @returns {boolean} True if the loaded profile is complete
+     */
+    load(profile) {
+        this.reset();
+        this.profile = { ...this.profile, ...profile };
+
+        const isComplete = this.checkIfComplete();
+        if (isComplete) {
+            // Editing goes back through the questions from the end
+            this.currentQuestionIndex = this.findVisibleIndex(config.onboarding.questions.length, -1);
+        }
+
+        if (config.app.debug) {
+            console.log('📥 Profile loaded:', this.profile);
+        }
+
+        return isComplete;
+    }
+
     /**
      * Reset the profile to initial state
      */
     reset() {
-        this.profile = {
-            name: '',
-            goals: [],
-            level: '',
-            equipment: [],
-            time: '',
-            preferences: {},
-            completedAt: null
-        };
-        
+        this.profile = this.createEmptyProfile();
+
         this.currentQuestionIndex = 0;
+        this.currentStepIndex = 0;
         this.isComplete = false;
-        
+
         if (config.app.debug) {
             console.log('🔄 Profile reset');
         }
     }
 
+    /**
+     * Format an answer for display
+     * @param {Object} field - Question or step object
+     * @param {any} answer - Answer value
+     * @returns {string} Display text
+     */
+    formatAnswer(field, answer) {
+        if (isEmptyAnswer(answer)) {
+            return 'Not provided';
+        }
+
+        switch (field.type) {
+            case 'checkbox':
+                return Array.isArray(answer) ? answer.join(', ') : answer;
+            case 'number':
+            case 'slider': {
+                const value = typeof answer === 'object' ? `${answer.value} ${answer.unit}` : String(answer);
+                return field.suffix ? `${value} ${field.suffix}` : value;
+            }
+            case 'multi-step':
+                return field.steps
+                    .filter(step => !isEmptyAnswer(answer[step.id]))
+                    .map(step => `${step.label}: ${this.formatAnswer(step, answer[step.id])}`)
+                    .join(', ');
+            default:
+                return String(answer);
+        }
+    }
+
+    /**
+     * Get label/value pairs for the answered questions beyond the summary's own lines
+     * @returns {Array<Object>} [{ label, value }]
+     */
+    getExtraAnswers() {
+        return this.getVisibleQuestions()
+            .filter(question => !SUMMARY_FIELDS.includes(question.id))
+            .filter(question => !isEmptyAnswer(this.profile[question.id]))
+            .map(question => ({
+                label: question.label,
+                value: this.formatAnswer(question, this.profile[question.id])
+            }));
+    }
+
     /**
      * Get a formatted summary of the user's profile
      * @returns {string} Human-readable profile summary
      */
     getSummary() {
         const profile = this.profile;
-        
+
         if (!this.checkIfComplete()) {
             return 'Profile not yet completed';
         }
 
         const parts = [];
-        
+
         if (profile.name) {
             parts.push(`Name: ${profile.name}`);
         }
-        
+
         parts.push(`Goals: ${Array.isArray(profile.goals) ? profile.goals.join(', ') : profile.goals}`);
         parts.push(`Fitness Level: ${profile.level}`);
         parts.push(`Available Equipment: ${Array.isArray(profile.equipment) ? profile.equipment.join(', ') : profile.equipment}`);
         parts.push(`Workout Duration: ${profile.time}`);
-        
+
+        this.getExtraAnswers().forEach(({ label, value }) => {
+            parts.push(`${label}: ${value}`);
+        });
+
         return parts.join('\n');
     }
 
@@ -238,75 +447,175 @@ class UserProfile {
      */
     getAIContext() {
         const profile = this.profile;
-        
+
         if (!this.checkIfComplete()) {
             return 'User profile not yet completed';
         }
 
+        const extras = this.getExtraAnswers().map(({ label, value }) => `\n- ${label}: ${value}`).join('');
+
         return `User Profile:
 - Name: ${profile.name || 'Not provided'}
 - Primary Goals: ${Array.isArray(profile.goals) ? profile.goals.join(', ') : profile.goals}
 - Fitness Level: ${profile.level}
 - Available Equipment: ${Array.isArray(profile.equipment) ? profile.equipment.join(', ') : profile.equipment}
-- Preferred Workout Duration: ${profile.time}
+- Preferred Workout Duration: ${profile.time}${extras}
 - Profile Completed: ${profile.completedAt ? new Date(profile.completedAt).toLocaleDateString() : 'Unknown'}`;
     }
 
     /**
-     * Get the current onboarding progress
+     * Get the current onboarding progress (counting only questions that apply)
      * @returns {Object} Progress information
      */
     getProgress() {
-        const totalQuestions = config.onboarding.questions.length;
-        const answeredQuestions = this.currentQuestionIndex;
+        const visibleQuestions = this.getVisibleQuestions();
+        const totalQuestions = visibleQuestions.length;
+        const answeredQuestions = Math.max(0, visibleQuestions.indexOf(this.getCurrentQuestion()));
         const progressPercent = Math.round((answeredQuestions / totalQuestions) * 100);
-        
+        const question = this.getCurrentQuestion();
+
         return {
-            currentQuestion: this.currentQuestionIndex + 1,
+            currentQuestion: answeredQuestions + 1,
             totalQuestions,
             answeredQuestions,
             progressPercent,
+            currentStep: this.currentStepIndex + 1,
+            totalSteps: question?.type === 'multi-step' ? question.steps.length : 1,
             isComplete: this.isComplete,
-            canGoBack: this.currentQuestionIndex > 0,
+            canGoBack: answeredQuestions > 0 || this.currentStepIndex > 0,
             canGoNext: this.hasNextQuestion()
         };
     }
 
+    /**
+     * Get the numeric limits for a number/slider field, per unit when the field has units
+     * @param {Object} field - Question or step object
+     * @param {string} [unit] - Selected unit
+     * @returns {Object} { min, max }
+     */
+    getNumberLimits(field, unit) {
+        return field.limits?.[unit] ?? { min: field.min, max: field.max };
+    }
+
     /**
      * Validate a specific answer format
      * @param {string} questionId - Question ID to validate
      * @param {any} answer - Answer to validate
+     * @param {string} [stepId] - Step ID for multi-step questions
      * @returns {Object} Validation result
      */
-    validateAnswer(questionId, answer) {
+    validateAnswer(questionId, answer, stepId = null) {
         const question = config.onboarding.questions.find(q => q.id === questionId);
-        
+
         if (!question) {
             return { valid: false, error: 'Question not found' };
         }
 
+        const field = stepId ? question.steps?.find(step => step.id === stepId) : question;
+
+        if (!field) {
+            return { valid: false, error: 'Step not found' };
+        }
+
+        return this.validateFieldAnswer(field, answer);
+    }
+
+    /**
+     * Validate an answer against a question or step definition
+     * @param {Object} field - Question or step object
+     * @param {any} answer - Answer to validate
+     * @returns {Object} Validation result
+     */
+    validateFieldAnswer(field, answer) {
         // Check if answer is provided
-        if (!answer || (Array.isArray(answer) && answer.length === 0)) {
-            return { valid: false, error: 'Answer is required' };
+        if (isEmptyAnswer(answer)) {
+            return field.optional ? { valid: true } : { valid: false, error: 'Answer is required' };
         }
 
-        // For select questions, check if answer is in options
-        if (question.type === 'select') {
-            if (!question.options.includes(answer)) {
-                return { valid: false, error: 'Invalid option selected' };
+        switch (field.type) {
+            // For select questions, check if answer is in options
+            case 'select':
+                if (!field.options.includes(answer)) {
+                    return { valid: false, error: 'Invalid option selected' };
+                }
+                break;
+
+            // For checkbox questions, check if all answers are valid options
+            case 'checkbox': {
+                if (!Array.isArray(answer)) {
+                    return { valid: false, error: 'Multiple selections expected' };
+                }
+
+                const invalidOptions = answer.filter(opt => !field.options.includes(opt));
+                if (invalidOptions.length > 0) {
+                    return { valid: false, error: `Invalid options: ${invalidOptions.join(', ')}` };
+                }
+
+                if (field.exclusiveOption && answer.includes(field.exclusiveOption) && answer.length > 1) {
+                    return { valid: false, error: `"${field.exclusiveOption}" can't be combined with other options` };
+                }
+                break;
             }
-        }
 
-        // For checkbox questions, check if all answers are valid options
-        if (question.type === 'checkbox') {
-            if (!Array.isArray(answer)) {
-                return { valid: false, error: 'Multiple selections expected' };
+            // Numbers may carry a unit ({ value, unit }) with limits per unit
+            case 'number':
+            case 'slider': {
+                const value = field.units ? answer?.value : answer;
+                const unit = field.units ? answer?.unit : null;
+
+                if (field.units && !field.units.includes(unit)) {
+                    return { valid: false, error: `Unit must be one of: ${field.units.join(', ')}` };
+                }
+                if (typeof value !== 'number' || !Number.isFinite(value)) {
+                    return { valid: false, error: 'Please enter a number' };
+                }
+
+                const { min, max } = this.getNumberLimits(field, unit);
+                const unitText = unit ? ` ${unit}` : '';
+                if ((min !== undefined && value < min) || (max !== undefined && value > max)) {
+                    return { valid: false, error: `Must be between ${min} and ${max}${unitText}` };
+                }
+                if (field.integer && !Number.isInteger(value)) {
+                    return { valid: false, error: 'Please enter a whole number' };
+                }
+                break;
             }
-            
-            const invalidOptions = answer.filter(opt => !question.options.includes(opt));
-            if (invalidOptions.length > 0) {
-                return { valid: false, error: `Invalid options: ${invalidOptions.join(', ')}` };
+
+            case 'text': {
+                if (typeof answer !== 'string') {
+                    return { valid: false, error: 'Text expected' };
+                }
+
+                const length = answer.trim().length;
+                if (field.minLength && length < field.minLength) {
+                    return { valid: false, error: `Please enter at least ${field.minLength} characters` };
+                }
+                if (field.maxLength && length > field.maxLength) {
+                    return { valid: false, error: `Please keep it under ${field.maxLength} characters` };
+                }
+                if (field.pattern && !new RegExp(field.pattern).test(answer.trim())) {
+                    return { valid: false, error: field.patternError || 'Invalid format' };
+                }
+                break;
             }
+
+            // Multi-step answers are objects keyed by step ID
+            case 'multi-step': {
+                if (typeof answer !== 'object' || Array.isArray(answer)) {
+                    return { valid: false, error: 'Step answers expected' };
+                }
+
+                for (const step of field.steps) {
+                    const result = this.validateFieldAnswer(step, answer[step.id]);
+                    if (!result.valid) {
+                        return { valid: false, error: `${step.label}: ${result.error}` };
+                    }
+                }
+                break;
+            }
+
+            default:
+                return { valid: false, error: `Unsupported question type: ${field.type}` };
         }
 
         return { valid: true };
@@ -320,6 +629,7 @@ class UserProfile {
         return {
             profile: { ...this.profile },
             currentQuestionIndex: this.currentQuestionIndex,
+            currentStepIndex: this.currentStepIndex,
             isComplete: this.isComplete,
             progress: this.getProgress(),
             currentQuestion: this.getCurrentQuestion()
@@ -327,4 +637,4 @@ class UserProfile {
     }
 }
 
-export default UserProfile;
\ No newline at end of file
+export default UserProfile;
@@ -0,0 +1,276 @@
+// Training week view
+// Modal showing one calendar week of scheduled sessions, with done/skip, rescheduling and .ics export
+
+import ScheduleService, { toLocalDate } from './schedule.js';
+import config from '../config.js';
+import { createElement } from './dom.js';
+
+const DAY_NAMES = ['Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat', 'Sun'];
+
+const STATUS_LABELS = {
+    planned: 'Planned',
+    done: '✅ Done',
+    skipped: 'Skipped',
+    missed: '⚠️ Missed'
+};
+
+/**
+ * Get the Monday of the week a date falls in
+ * @param {Date} date - Any date
+ * @returns {Date} Local midnight on that week's Monday
+ */
+function getWeekStart(date) {
+    const start = new Date(date.getFullYear(), date.getMonth(), date.getDate());
+    start.setDate(start.getDate() - ((start.getDay() + 6) % 7));
+    return start;
+}
+
+/**
+ * WeekView renders the "My Week" modal for the current schedule
+ */
+class WeekView {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.onScheduled] - Called with the schedule after a plan is put on the calendar
+     */
+    constructor({ onScheduled = () => {} } = {}) {
+        this.scheduleService = new ScheduleService();
+        this.onScheduled = onScheduled;
+        this.overlay = null;
+        this.schedule = null;
+        this.weekStart = getWeekStart(new Date());
+    }
+
+    /**
+     * Put a plan on the calendar and show the first week
+     * @param {Object} plan - Structured plan
+     * @param {Object} userProfile - User profile data
+     * @returns {Promise<Object>} Schedule
+     */
+    async schedulePlan(plan, userProfile) {
+        const schedule = await this.scheduleService.create(plan, userProfile);
+
+        if (config.app.debug) {
+            console.log('📅 Scheduled plan:', schedule);
+        }
+
+        this.onScheduled(schedule);
+        this.weekStart = getWeekStart(new Date());
+        this.open(schedule);
+        return schedule;
+    }
+
+    /**
+     * Open the modal
+     * @param {Object} [schedule] - Schedule to show (loaded from the server when omitted)
+     */
+    open(schedule) {
+        if (!this.overlay) {
+            this.overlay = document.createElement('div');
+            this.overlay.className = 'modal-overlay';
+            this.overlay.innerHTML = `
+                <div class="modal week-view" role="dialog" aria-modal="true" aria-labelledby="week-view-title">
+                    <div class="modal-header">
+                        <h3 id="week-view-title">📅 My Training Week</h3>
+                        <button class="modal-close" type="button" aria-label="Close">×</button>
+                    </div>
+
+                    <div class="week-nav">
+                        <button class="btn btn-small" type="button" id="week-prev" aria-label="Previous week">‹</button>
+                        <span id="week-label"></span>
+                        <button class="btn btn-small" type="button" id="week-next" aria-label="Next week">›</button>
+                    </div>
+
+                    <p class="form-error" id="week-error"></p>
+                    <div class="week-grid" id="week-grid"><p>Loading...</p></div>
+
+                    <div class="navigation week-actions">
+                        <button class="btn" type="button" id="reschedule-missed">Reschedule Missed</button>
+                        <button class="btn" type="button" id="export-ics">⬇️ Export .ics</button>
+                    </div>
+                </div>
+            `;
+
+            document.body.appendChild(this.overlay);
+            this.setupListeners();
+        }
+
+        if (schedule) {
+            this.schedule = schedule;
+            this.render();
+        } else {
+            this.load();
+        }
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.overlay?.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Wire up the modal controls
+     */
+    setupListeners() {
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes the modal
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.overlay.querySelector('#week-prev').addEventListener('click', () => this.moveWeek(-1));
+        this.overlay.querySelector('#week-next').addEventListener('click', () => this.moveWeek(1));
+
+        this.overlay.querySelector('#reschedule-missed').addEventListener('click', () => {
+            this.run(async () => {
+                const { schedule, moved } = await this.scheduleService.rescheduleMissed();
+                this.schedule = schedule;
+                this.showError(moved === 0 ? 'No missed sessions to move.' : '');
+            });
+        });
+
+        this.overlay.querySelector('#export-ics').addEventListener('click', () => {
+            this.run(() => this.scheduleService.downloadCalendar());
+        });
+
+        // Session buttons carry their action and session ID
+        this.overlay.querySelector('#week-grid').addEventListener('click', (e) => {
+            const button = e.target.closest('[data-action]');
+            if (!button) return;
+
+            const { action, sessionId } = button.dataset;
+            this.run(async () => {
+                this.schedule = action === 'reschedule'
+                    ? await this.scheduleService.reschedule(sessionId)
+                    : await this.scheduleService.setStatus(sessionId, action);
+            });
+        });
+    }
+
+    /**
+     * Load the schedule from the server
+     */
+    async load() {
+        await this.run(async () => {
+            this.schedule = await this.scheduleService.get();
+        });
+    }
+
+    /**
+     * Run a schedule request, showing errors in the modal and re-rendering afterwards
+     * @param {Function} action - Async work
+     */
+    async run(action) {
+        this.showError('');
+
+        try {
+            await action();
+        } catch (error) {
+            console.error('❌ Schedule error:', error);
+            this.showError(error.message);
+        }
+
+        this.render();
+    }
+
+    /**
+     * Show a message above the week grid
+     * @param {string} message - Message ('' clears it)
+     */
+    showError(message) {
+        const errorText = this.overlay?.querySelector('#week-error');
+        if (errorText) errorText.textContent = message;
+    }
+
+    /**
+     * Show the previous or next week
+     * @param {number} direction - -1 or 1
+     */
+    moveWeek(direction) {
+        this.weekStart.setDate(this.weekStart.getDate() + direction * 7);
+        this.render();
+    }
+
+    /**
+     * Render the current week
+     */
+    render() {
+        if (!this.overlay) return;
+
+        const grid = this.overlay.querySelector('#week-grid');
+        const days = DAY_NAMES.map((name, index) => {
+            const date = new Date(this.weekStart);
+            date.setDate(date.getDate() + index);
+            return { name, date, key: toLocalDate(date) };
+        });
+
+        const format = (date) => date.toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+        this.overlay.querySelector('#week-label').textContent = `${format(days[0].date)} – ${format(days[6].date)}`;
+
+        const hasSchedule = Boolean(this.schedule);
+        this.overlay.querySelector('#reschedule-missed').disabled = !hasSchedule;
+        this.overlay.querySelector('#export-ics').disabled = !hasSchedule;
+
+        grid.innerHTML = '';
+
+        if (!hasSchedule) {
+            grid.appendChild(createElement('p', 'week-empty', 'No schedule yet. Generate a plan in the chat and press "Add to Calendar".'));
+            return;
+        }
+
+        const today = toLocalDate();
+
+        days.forEach(day => {
+            const column = createElement('div', `week-day${day.key === today ? ' week-day-today' : ''}`);
+            column.appendChild(createElement('div', 'week-day-name', `${day.name} ${day.date.getDate()}`));
+
+            this.schedule.sessions
+                .filter(session => session.date === day.key)
+                .forEach(session => column.appendChild(this.createSessionCard(session)));
+
+            grid.appendChild(column);
+        });
+    }
+
+    /**
+     * Render one session with its actions
+     * @param {Object} session - Schedule session
+     * @returns {HTMLElement} Session card
+     */
+    createSessionCard(session) {
+        const card = createElement('div', `week-session week-session-${session.status}`);
+
+        card.appendChild(createElement('div', 'week-session-name', session.name));
+        card.appendChild(createElement('div', 'week-session-time', `${session.startTime} · ${session.durationMinutes} min`));
+        card.appendChild(createElement('div', 'week-session-status', STATUS_LABELS[session.status]));
+
+        if (session.rescheduledFrom) {
+            card.title = `Moved from ${session.rescheduledFrom}`;
+        }
+
+        const actions = {
+            planned: [['done', 'Done'], ['skipped', 'Skip']],
+            missed: [['reschedule', 'Reschedule'], ['done', 'Done'], ['skipped', 'Skip']],
+            done: [['planned', 'Undo']],
+            skipped: [['planned', 'Undo']]
+        }[session.status] || [];
+
+        const buttons = createElement('div', 'week-session-actions');
+        actions.forEach(([action, label]) => {
+            const button = createElement('button', 'link-button', label);
+            button.type = 'button';
+            button.dataset.action = action;
+            button.dataset.sessionId = session.id;
+            buttons.appendChild(button);
+        });
+        card.appendChild(buttons);
+
+        return card;
+    }
+}
+
+export default WeekView;
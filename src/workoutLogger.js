@@ -0,0 +1,227 @@
+// Workout logging UI
+// Modal opened from the chatting stage to record a session and review recent ones
+
+import WorkoutService from './workouts.js';
+import config from '../config.js';
+
+/**
+ * WorkoutLogger renders the "Log Workout" modal and submits sessions
+ */
+class WorkoutLogger {
+    /**
+     * @param {Object} options
+     * @param {Function} [options.onLogged] - Called with the stored workout after saving
+     */
+    constructor({ onLogged = () => {} } = {}) {
+        this.workoutService = new WorkoutService();
+        this.onLogged = onLogged;
+        this.overlay = null;
+    }
+
+    /**
+     * Open the modal
+     */
+    open() {
+        if (this.overlay) return;
+
+        const today = new Date().toISOString().slice(0, 10);
+
+        this.overlay = document.createElement('div');
+        this.overlay.className = 'modal-overlay';
+        this.overlay.innerHTML = `
+            <div class="modal workout-logger" role="dialog" aria-modal="true" aria-labelledby="workout-logger-title">
+                <div class="modal-header">
+                    <h3 id="workout-logger-title">🏋️ Log Workout</h3>
+                    <button class="modal-close" type="button" aria-label="Close">×</button>
+                </div>
+                
+                <form id="workout-form">
+                    <div class="form-row">
+                        <label>Date <input type="date" name="date" value="${today}" required></label>
+                        <label>Unit
+                            <select name="unit">
+                                <option value="kg">kg</option>
+                                <option value="lb">lb</option>
+                            </select>
+                        </label>
+                    </div>
+                    
+                    <table class="log-table">
+                        <thead>
+                            <tr><th>Exercise</th><th>Sets</th><th>Reps</th><th>Load</th><th>RPE</th><th>Notes</th><th></th></tr>
+                        </thead>
+                        <tbody id="log-entries"></tbody>
+                    </table>
+                    <button class="btn btn-small" type="button" id="add-entry">+ Add Exercise</button>
+                    
+                    <label class="form-block">Session notes
+                        <textarea name="notes" rows="2" maxlength="500" placeholder="How did it feel?"></textarea>
+                    </label>
+                    
+                    <p class="form-error" id="workout-error"></p>
+                    
+                    <div class="navigation">
+                        <button class="btn" type="submit" id="save-workout">Save Workout</button>
+                    </div>
+                </form>
+                
+                <h4>Recent Sessions</h4>
+                <ul class="recent-workouts" id="recent-workouts"><li>Loading...</li></ul>
+            </div>
+        `;
+
+        document.body.appendChild(this.overlay);
+        this.addEntryRow();
+        this.setupListeners();
+        this.loadRecentWorkouts();
+    }
+
+    /**
+     * Close the modal
+     */
+    close() {
+        this.overlay?.remove();
+        this.overlay = null;
+    }
+
+    /**
+     * Wire up the modal controls
+     */
+    setupListeners() {
+        this.overlay.querySelector('.modal-close').addEventListener('click', () => this.close());
+
+        // Clicking the backdrop closes the modal
+        this.overlay.addEventListener('click', (e) => {
+            if (e.target === this.overlay) this.close();
+        });
+
+        this.overlay.querySelector('#add-entry').addEventListener('click', () => this.addEntryRow());
+
+        this.overlay.querySelector('#log-entries').addEventListener('click', (e) => {
+            if (e.target.matches('.remove-entry')) {
+                e.target.closest('tr').remove();
+            }
+        });
+
+        this.overlay.querySelector('#workout-form').addEventListener('submit', (e) => {
+            e.preventDefault();
+            this.submit();
+        });
+    }
+
+    /**
+     * Add an empty exercise row to the form
+     */
+    addEntryRow() {
+        const row = document.createElement('tr');
+        row.innerHTML = `
+            <td><input type="text" name="exercise" placeholder="e.g. Squat" maxlength="80" required></td>
+            <td><input type="number" name="sets" min="1" max="50" value="3" required></td>
+            <td><input type="number" name="reps" min="1" max="500" value="10" required></td>
+            <td><input type="number" name="load" min="0" step="0.5" placeholder="—"></td>
+            <td><input type="number" name="rpe" min="1" max="10" step="0.5" placeholder="—"></td>
+            <td><input type="text" name="entry-notes" maxlength="200"></td>
+            <td><button class="remove-entry" type="button" aria-label="Remove exercise">×</button></td>
+        `;
+        this.overlay.querySelector('#log-entries').appendChild(row);
+    }
+
+    /**
+     * Read the form into a workout object
+     * @returns {Object} Workout for the API
+     */
+    readForm() {
+        const form = this.overlay.querySelector('#workout-form');
+        const optionalNumber = (value) => value === '' ? null : Number(value);
+
+        const entries = Array.from(form.querySelectorAll('#log-entries tr')).map(row => ({
+            exercise: row.querySelector('[name="exercise"]').value.trim(),
+            sets: Number(row.querySelector('[name="sets"]').value),
+            reps: Number(row.querySelector('[name="reps"]').value),
+            load: optionalNumber(row.querySelector('[name="load"]').value),
+            rpe: optionalNumber(row.querySelector('[name="rpe"]').value),
+            notes: row.querySelector('[name="entry-notes"]').value.trim()
+        }));
+
+        return {
+            date: form.date.value,
+            unit: form.unit.value,
+            notes: form.notes.value.trim(),
+            entries
+        };
+    }
+
+    /**
+     * Save the session
+     */
+    async submit() {
+        const errorText = this.overlay.querySelector('#workout-error');
+        const saveButton = this.overlay.querySelector('#save-workout');
+        const workout = this.readForm();
+
+        if (workout.entries.length === 0) {
+            errorText.textContent = 'Add at least one exercise.';
+            return;
+        }
+
+        saveButton.disabled = true;
+        errorText.textContent = '';
+
+        try {
+            const stored = await this.workoutService.log(workout);
+
+            if (config.app.debug) {
+                console.log('🏋️ Workout logged:', stored);
+            }
+
+            this.onLogged(stored);
+            this.close();
+        } catch (error) {
+            console.error('❌ Failed to log workout:', error);
+            errorText.textContent = `Couldn't save workout: ${error.message}`;
+            saveButton.disabled = false;
+        }
+    }
+
+    /**
+     * Show the most recent sessions under the form
+     */
+    async loadRecentWorkouts() {
+        const list = this.overlay?.querySelector('#recent-workouts');
+        if (!list) return;
+
+        try {
+            const workouts = await this.workoutService.list({ limit: 5 });
+            list.innerHTML = '';
+
+            if (workouts.length === 0) {
+                list.innerHTML = '<li>No workouts logged yet.</li>';
+                return;
+            }
+
+            workouts.forEach(workout => {
+                const item = document.createElement('li');
+                item.textContent = `${workout.date}: ${WorkoutLogger.describe(workout)}`;
+                list.appendChild(item);
+            });
+        } catch (error) {
+            list.innerHTML = '<li>Could not load recent workouts.</li>';
+        }
+    }
+
+    /**
+     * Short text description of a workout's exercises
+     * @param {Object} workout - Stored workout
+     * @returns {string} e.g. "Squat 3x5 @ 100kg, Bench Press 3x8"
+     */
+    static describe(workout) {
+        return workout.entries
+            .map(entry => {
+                const load = entry.load !== null ? ` @ ${entry.load}${workout.unit}` : '';
+                return `${entry.exercise} ${entry.sets}x${entry.reps}${load}`;
+            })
+            .join(', ');
+    }
+}
+
+export default WorkoutLogger;
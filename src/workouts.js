@@ -0,0 +1,53 @@
+// Workout log client
+// Talks to the /api/workouts endpoints to record and read training sessions
+
+import config from '../config.js';
+import { apiRequest } from './apiClient.js';
+
+/**
+ * WorkoutService - Frontend client for logged workouts
+ */
+class WorkoutService {
+    /**
+     * Log a workout session
+     * @param {Object} workout - { date, unit, notes, entries: [{ exercise, sets, reps, load, rpe, notes }] }
+     * @returns {Promise<Object>} Stored workout
+     */
+    async log(workout) {
+        const data = await apiRequest(config.api.endpoints.workouts, {
+            method: 'POST',
+            body: JSON.stringify(workout)
+        });
+        return data.workout;
+    }
+
+    /**
+     * List recent workout sessions
+     * @param {Object} options
+     * @param {number} [options.limit] - Maximum number of sessions
+     * @param {string} [options.exercise] - Only sessions with this exercise
+     * @returns {Promise<Array>} Workouts, newest first
+     */
+    async list({ limit, exercise } = {}) {
+        const params = new URLSearchParams();
+        if (limit) params.set('limit', limit);
+        if (exercise) params.set('exercise', exercise);
+
+        const query = params.toString() ? `?${params}` : '';
+        const data = await apiRequest(`${config.api.endpoints.workouts}${query}`);
+        return data.workouts;
+    }
+
+    /**
+     * Delete a workout session
+     * @param {string} id - Workout ID
+     * @returns {Promise<void>}
+     */
+    async remove(id) {
+        await apiRequest(`${config.api.endpoints.workouts}/${encodeURIComponent(id)}`, {
+            method: 'DELETE'
+        });
+    }
+}
+
+export default WorkoutService;